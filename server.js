@@ -2,6 +2,7 @@ require("dotenv").config();
 const app = require("./src/app");
 const logger = require("./src/utils/logger");
 const { connectDB } = require("./src/config/database");
+const emailWorker = require("./src/jobs/emailWorker");
 
 const PORT = process.env.PORT || 5000;
 
@@ -30,12 +31,18 @@ const startServer = async () => {
       logger.info(`🔗 Health Check: ${process.env.APP_URL}/api/health`);
     });
 
+    // Deliver queued emails (disable on instances that shouldn't send)
+    if (process.env.EMAIL_WORKER_ENABLED !== "false") {
+      emailWorker.start();
+    }
+
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       logger.info(`📴 ${signal} received. Starting graceful shutdown...`);
 
       server.close(async () => {
         try {
+          await emailWorker.stop();
           const mongoose = require("mongoose");
           await mongoose.connection.close();
           logger.info("✅ Database connection closed");
@@ -0,0 +1,42 @@
+const logger = require("../utils/logger");
+
+if (
+  !process.env.JWT_SECRET ||
+  !process.env.JWT_REFRESH_SECRET ||
+  !process.env.DONOR_PORTAL_SECRET
+) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "JWT_SECRET, JWT_REFRESH_SECRET and DONOR_PORTAL_SECRET environment variables are required"
+    );
+  }
+
+  logger.warn(
+    "⚠️ Auth secrets not set, using insecure development defaults for admin and donor portal auth"
+  );
+}
+
+// Admin and donor portal authentication configuration
+const authConfig = {
+  accessToken: {
+    secret: process.env.JWT_SECRET || "dev-access-secret-change-me",
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  },
+  refreshToken: {
+    secret: process.env.JWT_REFRESH_SECRET || "dev-refresh-secret-change-me",
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "7d",
+  },
+  donorPortal: {
+    secret: process.env.DONOR_PORTAL_SECRET || "dev-portal-secret-change-me",
+    expiresIn: process.env.DONOR_PORTAL_SESSION_EXPIRES_IN || "2h",
+    audience: "donor-portal",
+    magicLinkTtlMs:
+      parseInt(process.env.DONOR_PORTAL_LINK_TTL_MS) || 15 * 60 * 1000, // 15 minutes
+  },
+  issuer: "rockbridge-api",
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
+};
+
+module.exports = {
+  authConfig,
+};
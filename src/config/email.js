@@ -1,28 +1,78 @@
-const nodemailer = require("nodemailer");
+const path = require("path");
 const logger = require("../utils/logger");
+const {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+} = require("./emailTransports");
 
-if (!process.env.GMAIL_USER || !process.env.GMAIL_APP_PASSWORD) {
-  throw new Error("Gmail credentials not provided in environment variables");
-}
+// SMTP settings. GMAIL_USER / GMAIL_APP_PASSWORD are still honoured so
+// existing deployments keep working without new variables.
+const smtpOptions = {
+  service:
+    process.env.SMTP_SERVICE ||
+    (!process.env.SMTP_HOST && process.env.GMAIL_USER ? "gmail" : undefined),
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER || process.env.GMAIL_USER,
+  pass: process.env.SMTP_PASS || process.env.GMAIL_APP_PASSWORD,
+};
 
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_APP_PASSWORD,
-  },
-  pool: true, // Use pooled connections
-  maxConnections: 5,
-  maxMessages: 100,
-  rateDelta: 1000, // 1 second between messages
-  rateLimit: 5, // Max 5 messages per rateDelta
+// Pick a driver: EMAIL_TRANSPORT wins, tests capture in memory, otherwise
+// SMTP when it is configured and .eml files when it isn't
+const resolveDriver = () => {
+  if (process.env.EMAIL_TRANSPORT) {
+    return process.env.EMAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === "test") {
+    return "memory";
+  }
+  if (smtpOptions.service || smtpOptions.host) {
+    return "smtp";
+  }
+  return process.env.NODE_ENV === "production" ? "smtp" : "file";
+};
+
+// A misconfigured transport must not stop the app from booting; it fails
+// sends (which the outbox retries) and shows up in the health check instead
+const createFailingTransport = (name, error) => ({
+  name,
+  sendMail: () => Promise.reject(error),
+  verify: () => Promise.reject(error),
 });
 
+const createTransport = (driver) => {
+  try {
+    switch (driver) {
+      case "smtp":
+        return createSmtpTransport(smtpOptions);
+      case "file":
+        return createFileTransport({
+          directory: path.resolve(
+            process.env.EMAIL_FILE_DIR || path.join("temp", "emails")
+          ),
+        });
+      case "memory":
+        return createMemoryTransport();
+      default:
+        throw new Error(`Unknown EMAIL_TRANSPORT: ${driver}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Email transport "${driver}" is misconfigured:`, error);
+    return createFailingTransport(driver, error);
+  }
+};
+
+const transporter = createTransport(resolveDriver());
+
 // Test email connection
 const testEmailConnection = async () => {
   try {
     await transporter.verify();
-    logger.info("📧 Email service connected successfully");
+    logger.info(
+      `📧 Email service connected successfully (${transporter.name})`
+    );
   } catch (error) {
     logger.error("❌ Email service connection failed:", error);
     throw error;
@@ -31,9 +81,13 @@ const testEmailConnection = async () => {
 
 // Email configuration
 const emailConfig = {
+  transport: transporter.name,
   from: {
     name: process.env.EMAIL_FROM_NAME || "Rockbridge Ministries",
-    address: process.env.EMAIL_FROM_ADDRESS || process.env.GMAIL_USER,
+    address:
+      process.env.EMAIL_FROM_ADDRESS ||
+      smtpOptions.user ||
+      "donations@rockbridgeministries.org",
   },
   adminEmail: process.env.ADMIN_EMAIL || "admin@rockbridgeministries.org",
   replyTo: process.env.ADMIN_EMAIL || "admin@rockbridgeministries.org",
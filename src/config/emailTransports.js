@@ -0,0 +1,111 @@
+const path = require("path");
+const { promises: fs, constants: fsConstants } = require("fs");
+const nodemailer = require("nodemailer");
+
+// Every driver exposes the same interface used by emailService and the
+// health check: { name, sendMail(mailOptions), verify() }. sendMail resolves
+// with an object carrying the provider messageId, like nodemailer does.
+
+// Generic SMTP. Either SMTP_SERVICE (a nodemailer well-known service such as
+// "gmail") or SMTP_HOST/SMTP_PORT must be set.
+const createSmtpTransport = (options) => {
+  if (!options.service && !options.host) {
+    throw new Error(
+      "SMTP email transport requires SMTP_SERVICE or SMTP_HOST to be set"
+    );
+  }
+
+  const transport = nodemailer.createTransport({
+    ...(options.service
+      ? { service: options.service }
+      : { host: options.host, port: options.port, secure: options.secure }),
+    ...(options.user && {
+      auth: { user: options.user, pass: options.pass },
+    }),
+    pool: true, // Use pooled connections
+    maxConnections: 5,
+    maxMessages: 100,
+    rateDelta: 1000, // 1 second between messages
+    rateLimit: 5, // Max 5 messages per rateDelta
+  });
+
+  return {
+    name: "smtp",
+    sendMail: (mailOptions) => transport.sendMail(mailOptions),
+    verify: () => transport.verify(),
+  };
+};
+
+// Writes each message as an .eml file for local development
+const createFileTransport = ({ directory }) => {
+  const transport = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+
+  return {
+    name: "file",
+    directory,
+
+    async sendMail(mailOptions) {
+      const info = await transport.sendMail(mailOptions);
+      const fileName = `${Date.now()}-${info.messageId.replace(
+        /[^a-zA-Z0-9.-]/g,
+        ""
+      )}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, fileName), info.message);
+
+      return { ...info, path: path.join(directory, fileName) };
+    },
+
+    async verify() {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.access(directory, fsConstants.W_OK);
+      return true;
+    },
+  };
+};
+
+// Captures messages in memory so tests can assert on what was sent
+const createMemoryTransport = () => {
+  const transport = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+
+  return {
+    name: "memory",
+    messages: [],
+
+    async sendMail(mailOptions) {
+      const info = await transport.sendMail(mailOptions);
+
+      this.messages.push({
+        ...mailOptions,
+        messageId: info.messageId,
+        envelope: info.envelope,
+        raw: info.message.toString(),
+      });
+
+      return info;
+    },
+
+    async verify() {
+      return true;
+    },
+
+    clear() {
+      this.messages.length = 0;
+    },
+  };
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+};
@@ -28,6 +28,20 @@ const config = {
   frontendUrl: process.env.FRONTEND_URL || "http://localhost:3000",
   adminDashboardUrl: process.env.ADMIN_DASHBOARD_URL || "http://localhost:3001",
 
+  // Organization details printed on receipts and tax statements
+  organization: {
+    name: process.env.ORG_NAME || "Rockbridge Ministries",
+    address:
+      process.env.ORG_ADDRESS || "123 Ministry Way, Faith City, FC 12345",
+    taxId: process.env.ORG_TAX_ID || "",
+  },
+
+  // Currency that analytics and reports are converted to
+  baseCurrency: (process.env.BASE_CURRENCY || "USD").toUpperCase(),
+
+  // Default IANA timezone analytics are bucketed in (days, weeks, months)
+  reportingTimezone: process.env.REPORTING_TIMEZONE || "UTC",
+
   // Rate limiting
   rateLimiting: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
@@ -0,0 +1,105 @@
+const authService = require("../services/authService");
+const { HTTP_STATUS } = require("../utils/constants");
+
+class AuthController {
+  // Log in with email and password
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+      const { admin, tokens } = await authService.login(
+        email,
+        password,
+        req.ip
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { admin, ...tokens },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Refresh access token
+  async refresh(req, res, next) {
+    try {
+      const { admin, tokens } = await authService.refresh(
+        req.body.refreshToken
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { admin, ...tokens },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Log out and revoke outstanding tokens
+  async logout(req, res, next) {
+    try {
+      await authService.logout(req.admin._id);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the currently authenticated admin
+  async me(req, res) {
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { admin: req.admin },
+    });
+  }
+
+  // List admin users (superadmin only)
+  async listAdmins(req, res, next) {
+    try {
+      const admins = await authService.listAdmins();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { admins },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create admin user (superadmin only)
+  async createAdmin(req, res, next) {
+    try {
+      const admin = await authService.createAdmin(req.body);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        data: { admin },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update admin role or status (superadmin only)
+  async updateAdmin(req, res, next) {
+    try {
+      const admin = await authService.updateAdmin(req.params.id, req.body);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { admin },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,52 @@
+const campaignService = require("../services/campaignService");
+const { HTTP_STATUS, MESSAGES, ERROR_CODES } = require("../utils/constants");
+
+class CampaignController {
+  // List campaigns (public)
+  async getCampaigns(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await campaignService.getCampaigns(filters, {
+        page,
+        limit,
+      });
+
+      res.set("X-Total-Count", result.pagination.totalItems);
+      res.set("X-Total-Pages", result.pagination.totalPages);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get campaign by slug (public)
+  async getCampaignBySlug(req, res, next) {
+    try {
+      const campaign = await campaignService.getCampaignBySlug(
+        req.params.slug
+      );
+
+      if (!campaign) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: MESSAGES.ERROR.CAMPAIGN_NOT_FOUND,
+          errorCode: ERROR_CODES.CAMPAIGN_NOT_FOUND,
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: MESSAGES.SUCCESS.CAMPAIGN_FETCHED,
+        data: { campaign },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CampaignController();
@@ -1,7 +1,16 @@
 const { Donation } = require("../models");
 const stripeService = require("../services/stripeService");
-const emailService = require("../services/emailService");
-const { HTTP_STATUS, MESSAGES, PAYMENT_STATUS } = require("../utils/constants");
+const donationService = require("../services/donationService");
+const campaignService = require("../services/campaignService");
+const ministryService = require("../services/ministryService");
+const donationExportService = require("../services/donationExportService");
+const {
+  HTTP_STATUS,
+  MESSAGES,
+  PAYMENT_STATUS,
+  ERROR_CODES,
+  ADMIN_ROLES,
+} = require("../utils/constants");
 const { getPaginationInfo } = require("../utils/helpers");
 const logger = require("../utils/logger");
 
@@ -11,59 +20,119 @@ class DonationController {
     try {
       const {
         ministry,
-        amount,
+        amountMinor,
         currency = "USD",
         donorInfo,
         isRecurring = false,
+        recurringFrequency,
+        isAnonymous = false,
+        coverFees = false,
+        message,
+        dedication,
+        campaign,
       } = req.body;
 
-      // Validate ministry initiative exists
-      const validMinistries = [
-        "Holiday Homes",
-        "Clean Water Initiative",
-        "Workplace Ministry",
-        "Lish AI Labs",
-        "Upendo Academy",
-      ];
-
-      if (!validMinistries.includes(ministry)) {
+      // Validate ministry initiative exists and is accepting donations
+      if (!(await ministryService.isAcceptingDonations(ministry))) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
           success: false,
-          message: "Invalid ministry initiative selected",
+          message: MESSAGES.ERROR.MINISTRY_INACTIVE,
+          errorCode: ERROR_CODES.MINISTRY_INACTIVE,
         });
       }
 
-      // Convert amount from cents to dollars if it's already in cents
-      let amountInDollars = amount;
-      if (amount > 100000) {
-        // If amount is greater than 100k, it's likely in cents, convert to dollars
-        amountInDollars = Math.round(amount / 100);
+      // Validate campaign is accepting donations, if one was selected
+      if (campaign) {
+        const campaignDoc = await campaignService.getCampaignById(campaign);
+
+        if (!campaignDoc) {
+          return res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: MESSAGES.ERROR.CAMPAIGN_NOT_FOUND,
+            errorCode: ERROR_CODES.CAMPAIGN_NOT_FOUND,
+          });
+        }
+
+        if (!campaignDoc.isAcceptingDonations()) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: MESSAGES.ERROR.CAMPAIGN_INACTIVE,
+            errorCode: ERROR_CODES.CAMPAIGN_INACTIVE,
+          });
+        }
+
+        // Progress is tracked in the campaign's currency only
+        if (campaignDoc.currency !== currency) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: MESSAGES.ERROR.CAMPAIGN_CURRENCY_MISMATCH,
+            errorCode: ERROR_CODES.CAMPAIGN_CURRENCY_MISMATCH,
+            campaignCurrency: campaignDoc.currency,
+          });
+        }
       }
 
-      // Validate converted amount
-      if (amountInDollars < 1 || amountInDollars > 100000) {
-        return res.status(HTTP_STATUS.BAD_REQUEST).json({
-          success: false,
-          message: "Amount must be between $1 and $100,000",
+      // Recurring gifts are billed through a Stripe subscription whose first
+      // invoice payment intent is confirmed by the frontend
+      if (isRecurring) {
+        const { donation, subscription, paymentIntent } =
+          await donationService.createSubscriptionDonation(
+            {
+              ministry,
+              amountMinor,
+              currency,
+              donorInfo,
+              recurringFrequency,
+              campaign,
+              isAnonymous,
+              coverFees,
+              message,
+              dedication,
+              ipAddress: req.ip,
+              userAgent: req.get("User-Agent"),
+            },
+            { idempotencyKey: req.idempotencyKey }
+          );
+
+        return res.status(HTTP_STATUS.CREATED).json({
+          success: true,
+          data: {
+            clientSecret: paymentIntent.client_secret,
+            paymentIntentId: paymentIntent.id,
+            subscriptionId: subscription.id,
+            donationId: donation._id,
+            amountMinor: donation.amountMinor,
+            coveredFeeMinor: donation.coveredFeeMinor,
+            currency: donation.currency,
+            ministry: ministry,
+            campaign: campaign || null,
+          },
         });
       }
 
-      // Create payment intent with Stripe (amount in dollars)
-      const paymentIntent = await stripeService.createPaymentIntent(
-        amountInDollars,
-        currency,
-        {
-          ministry: ministry,
-          donorEmail: donorInfo.email,
-          donorName: `${donorInfo.firstName} ${donorInfo.lastName}`,
-          isRecurring: isRecurring.toString(),
-        },
-        isRecurring
-      );
+      // Create the payment intent and its pending donation record
+      const { donation, paymentIntent } =
+        await donationService.createOneTimeDonation(
+          {
+            ministry,
+            amountMinor,
+            currency,
+            donorInfo,
+            campaign,
+            isAnonymous,
+            coverFees,
+            message,
+            dedication,
+            ipAddress: req.ip,
+            userAgent: req.get("User-Agent"),
+          },
+          { idempotencyKey: req.idempotencyKey }
+        );
 
       logger.info(`Payment intent created: ${paymentIntent.id}`, {
+        donationId: donation._id,
         ministry,
-        amount: amountInDollars,
+        amountMinor,
         currency,
         donorEmail: donorInfo.email,
       });
@@ -73,7 +142,12 @@ class DonationController {
         data: {
           clientSecret: paymentIntent.client_secret,
           paymentIntentId: paymentIntent.id,
+          donationId: donation._id,
+          amountMinor: donation.amountMinor,
+          coveredFeeMinor: donation.coveredFeeMinor,
+          currency: donation.currency,
           ministry: ministry,
+          campaign: campaign || null,
         },
       });
     } catch (error) {
@@ -107,35 +181,10 @@ class DonationController {
         });
       }
 
-      // Convert amount from cents to dollars for storage
-      const amountInDollars = paymentIntent.amount / 100;
-
-      // Create donation record
-      const donationData = {
-        ...req.body,
-        amount: amountInDollars, // Store in dollars
-        stripePaymentIntentId: paymentIntentId,
-        paymentStatus: PAYMENT_STATUS.SUCCEEDED,
-        netAmount: amountInDollars,
-        transactionFee: (paymentIntent.application_fee_amount || 0) / 100,
-        processedAt: new Date(),
-        ipAddress: req.ip,
-        userAgent: req.get("User-Agent"),
-      };
-
-      const donation = new Donation(donationData);
-      await donation.save();
-
-      // Send confirmation emails asynchronously
-      setImmediate(async () => {
-        try {
-          await emailService.sendDonationReceipt(donation);
-          await emailService.sendThankYouEmail(donation);
-          await emailService.sendDonationNotification(donation);
-        } catch (emailError) {
-          logger.error("Failed to send confirmation emails:", emailError);
-        }
-      });
+      // Complete the donation recorded when the intent was created. The
+      // ministry and donor come from that record, not from this request.
+      // Confirmation emails are queued when the payment succeeds.
+      const donation = await donationService.completePayment(paymentIntent);
 
       logger.info(`Donation confirmed: ${donation._id}`, {
         donationId: donation._id,
@@ -150,6 +199,7 @@ class DonationController {
         data: {
           donationId: donation._id,
           amount: donation.amount,
+          amountMinor: donation.amountMinor,
           currency: donation.currency,
           ministry: donation.ministry,
         },
@@ -165,7 +215,7 @@ class DonationController {
     try {
       const { id } = req.params;
 
-      const donation = await Donation.findById(id).lean();
+      const donation = await Donation.findById(id);
 
       if (!donation) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -195,13 +245,13 @@ class DonationController {
 
       if (ministry) filter.ministry = ministry;
 
+      // Not lean, so the major-unit amount virtual is serialized
       const donations = await Donation.find(filter)
         .sort({ createdAt: -1 })
         .limit(parseInt(limit))
         .select(
-          "donorInfo.firstName donorInfo.lastName amount currency message createdAt ministry"
-        )
-        .lean();
+          "donorInfo.firstName donorInfo.lastName amountMinor currency message createdAt ministry"
+        );
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
@@ -215,9 +265,19 @@ class DonationController {
   // Get all donations with filtering and pagination
   async getDonations(req, res, next) {
     try {
-      const { page = 1, limit = 10, ...filters } = req.query;
-      const options = { page: parseInt(page), limit: parseInt(limit) };
-      const result = await donationService.getDonations(filters, options);
+      const { page, limit, sort, cursor, ...filters } = req.query;
+      const result = await donationService.getDonations(filters, {
+        page,
+        limit,
+        sort,
+        cursor,
+      });
+
+      // Cursor pages are not counted
+      if (result.pagination.totalItems !== null) {
+        res.set("X-Total-Count", result.pagination.totalItems);
+        res.set("X-Total-Pages", result.pagination.totalPages);
+      }
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
@@ -228,90 +288,127 @@ class DonationController {
     }
   }
 
-  // Get donation analytics
-  async getDonationAnalytics(req, res, next) {
+  // Export donations as CSV or XLSX (personal data masked below finance)
+  async exportDonations(req, res, next) {
     try {
-      const { startDate, endDate, ministry } = req.query;
+      const { format, columns, sort, ...filters } = req.query;
+      const canViewPii = req.admin.hasRole(ADMIN_ROLES.FINANCE);
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.set("Content-Type", donationExportService.getContentType(format));
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="donations-${date}.${format}"`
+      );
+      res.status(HTTP_STATUS.OK);
 
-      const matchStage = {
-        paymentStatus: PAYMENT_STATUS.SUCCEEDED,
-      };
+      const rows = await donationExportService.exportDonations(res, filters, {
+        format,
+        columns,
+        sort,
+        canViewPii,
+      });
 
-      if (startDate || endDate) {
-        matchStage.createdAt = {};
-        if (startDate) matchStage.createdAt.$gte = new Date(startDate);
-        if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+      logger.info("Donations exported", {
+        adminId: req.admin._id,
+        format,
+        rows,
+        piiMasked: !canViewPii,
+      });
+    } catch (error) {
+      // Once streaming has started the status line is gone; cut the
+      // download short so it is not mistaken for a complete file
+      if (res.headersSent) {
+        logger.error("Donation export failed:", error);
+        return res.destroy(error);
       }
 
-      if (ministry) {
-        matchStage.ministry = ministry;
-      }
+      res.removeHeader("Content-Type");
+      res.removeHeader("Content-Disposition");
+      next(error);
+    }
+  }
 
-      const pipeline = [
-        { $match: matchStage },
-        {
-          $group: {
-            _id: null,
-            totalDonations: { $sum: 1 },
-            totalAmount: { $sum: "$amount" },
-            averageAmount: { $avg: "$amount" },
-            uniqueDonors: { $addToSet: "$donorInfo.email" },
-            recurringDonations: {
-              $sum: { $cond: ["$isRecurring", 1, 0] },
-            },
-          },
-        },
-        {
-          $project: {
-            _id: 0,
-            totalDonations: 1,
-            totalAmount: { $round: ["$totalAmount", 2] },
-            averageAmount: { $round: ["$averageAmount", 2] },
-            uniqueDonorCount: { $size: "$uniqueDonors" },
-            recurringDonations: 1,
-            oneTimeDonations: {
-              $subtract: ["$totalDonations", "$recurringDonations"],
-            },
-          },
-        },
-      ];
-
-      const [analytics] = await Donation.aggregate(pipeline);
-
-      // Get ministry-wise breakdown
-      const ministryStats = await Donation.aggregate([
-        { $match: matchStage },
-        {
-          $group: {
-            _id: "$ministry",
-            totalAmount: { $sum: "$amount" },
-            totalDonations: { $sum: 1 },
-            avgAmount: { $avg: "$amount" },
-          },
-        },
-        {
-          $project: {
-            ministry: "$_id",
-            totalAmount: { $round: ["$totalAmount", 2] },
-            totalDonations: 1,
-            avgAmount: { $round: ["$avgAmount", 2] },
-          },
+  // Get donation analytics
+  async getDonationAnalytics(req, res, next) {
+    try {
+      const { summary, ministryBreakdown, ...analytics } =
+        await donationService.getAnalytics(req.query);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          ...analytics,
+          analytics: summary,
+          ministryStats: ministryBreakdown,
         },
-        { $sort: { totalAmount: -1 } },
-      ]);
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get donor retention for a year
+  async getDonorRetention(req, res, next) {
+    try {
+      const retention = await donationService.getDonorRetention(req.query);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: retention,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get monthly donor acquisition cohorts
+  async getDonorCohorts(req, res, next) {
+    try {
+      const cohorts = await donationService.getDonorCohorts(req.query);
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
+        data: cohorts,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get top donors by lifetime giving
+  async getTopDonors(req, res, next) {
+    try {
+      const topDonors = await donationService.getTopDonors(req.query.limit);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: topDonors,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Refund a donation in full or in part
+  async refundDonation(req, res, next) {
+    try {
+      const donation = await donationService.refundDonation(
+        req.params.id,
+        req.body,
+        req.admin,
+        { idempotencyKey: req.idempotencyKey }
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Refund processed successfully",
         data: {
-          analytics: analytics || {
-            totalDonations: 0,
-            totalAmount: 0,
-            averageAmount: 0,
-            uniqueDonorCount: 0,
-            recurringDonations: 0,
-            oneTimeDonations: 0,
-          },
-          ministryStats,
+          donationId: donation._id,
+          paymentStatus: donation.paymentStatus,
+          amount: donation.amount,
+          refundedAmount: donation.refundedAmount,
+          refunds: donation.refunds,
         },
       });
     } catch (error) {
@@ -0,0 +1,70 @@
+const donorService = require("../services/donorService");
+const { HTTP_STATUS } = require("../utils/constants");
+
+class DonorController {
+  // List and search donors
+  async getDonors(req, res, next) {
+    try {
+      const { page, limit, sort, ...filters } = req.query;
+      const result = await donorService.getDonors(filters, {
+        page,
+        limit,
+        sort,
+      });
+
+      res.set("X-Total-Count", result.pagination.totalItems);
+      res.set("X-Total-Pages", result.pagination.totalPages);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get donor profile with giving history
+  async getDonorById(req, res, next) {
+    try {
+      const profile = await donorService.getDonorProfile(req.params.id);
+
+      if (!profile) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Donor not found",
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: profile,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get donor giving stats
+  async getDonorStats(req, res, next) {
+    try {
+      const result = await donorService.getDonorStats(req.params.id);
+
+      if (!result) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Donor not found",
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new DonorController();
@@ -0,0 +1,79 @@
+const emailQueueService = require("../services/emailQueueService");
+const { HTTP_STATUS } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+class EmailJobController {
+  // List queued, sent and failed emails
+  async getJobs(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await emailQueueService.getJobs(filters, { page, limit });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a single email job with its payload and failure history
+  async getJobById(req, res, next) {
+    try {
+      const job = await emailQueueService.getJobById(req.params.id);
+
+      if (!job) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Email job not found",
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { job },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Queue a failed email to be sent again
+  async resendJob(req, res, next) {
+    try {
+      const existing = await emailQueueService.getJobById(req.params.id);
+
+      if (!existing) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Email job not found",
+        });
+      }
+
+      const job = await emailQueueService.resendJob(req.params.id);
+      if (!job) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: "Only failed emails can be resent",
+          data: { status: existing.status },
+        });
+      }
+
+      logger.info(`Email job requeued: ${job._id}`, {
+        adminId: req.admin._id,
+        type: job.type,
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Email queued for resending",
+        data: { job },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new EmailJobController();
@@ -0,0 +1,69 @@
+const exchangeRateService = require("../services/exchangeRateService");
+const { HTTP_STATUS } = require("../utils/constants");
+
+class ExchangeRateController {
+  // List exchange rates into the base currency
+  async getRates(req, res, next) {
+    try {
+      const result = await exchangeRateService.getRates();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set the rate for one currency
+  async setRate(req, res, next) {
+    try {
+      const exchangeRate = await exchangeRateService.setRate(
+        req.params.currency,
+        req.body.rate,
+        { adminId: req.admin._id }
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { exchangeRate },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set several rates at once
+  async importRates(req, res, next) {
+    try {
+      const result = await exchangeRateService.importRates(req.body.rates, {
+        adminId: req.admin._id,
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: `Imported ${result.rates.length} exchange rates`,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove the rate for a currency
+  async deleteRate(req, res, next) {
+    try {
+      await exchangeRateService.deleteRate(req.params.currency);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Exchange rate deleted",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ExchangeRateController();
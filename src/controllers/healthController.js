@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const { testStripeConnection } = require("../config/stripe");
-const { testEmailConnection } = require("../config/email");
+const { testEmailConnection, emailConfig } = require("../config/email");
+const emailQueueService = require("../services/emailQueueService");
 const { HTTP_STATUS } = require("../utils/constants");
 
 class HealthController {
@@ -35,7 +36,8 @@ class HealthController {
         health.status = "degraded";
       }
 
-      // Check email service
+      // Check email service (whichever transport is configured)
+      health.services.emailTransport = emailConfig.transport;
       try {
         await testEmailConnection();
         health.services.email = "configured";
@@ -44,6 +46,13 @@ class HealthController {
         health.status = "degraded";
       }
 
+      // Email outbox backlog (informational)
+      try {
+        health.emailQueue = await emailQueueService.getStatusCounts();
+      } catch (error) {
+        health.emailQueue = null;
+      }
+
       const statusCode =
         health.status === "healthy"
           ? HTTP_STATUS.OK
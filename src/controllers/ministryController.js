@@ -0,0 +1,101 @@
+const ministryService = require("../services/ministryService");
+const { HTTP_STATUS, MESSAGES, ERROR_CODES } = require("../utils/constants");
+
+class MinistryController {
+  // List ministries accepting donations (public)
+  async getActiveMinistries(req, res, next) {
+    try {
+      const ministries = await ministryService.getActiveMinistries();
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { ministries },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List all ministries, including inactive ones (admin)
+  async getMinistries(req, res, next) {
+    try {
+      const ministries = await ministryService.getMinistries(req.query);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { ministries },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get ministry by ID (admin)
+  async getMinistryById(req, res, next) {
+    try {
+      const ministry = await ministryService.getMinistryById(req.params.id);
+
+      if (!ministry) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: MESSAGES.ERROR.MINISTRY_NOT_FOUND,
+          errorCode: ERROR_CODES.MINISTRY_NOT_FOUND,
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { ministry },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create ministry (admin)
+  async createMinistry(req, res, next) {
+    try {
+      const ministry = await ministryService.createMinistry(req.body);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        data: { ministry },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update ministry (admin)
+  async updateMinistry(req, res, next) {
+    try {
+      const ministry = await ministryService.updateMinistry(
+        req.params.id,
+        req.body
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { ministry },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a ministry without donations (admin)
+  async deleteMinistry(req, res, next) {
+    try {
+      await ministryService.deleteMinistry(req.params.id);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Ministry deleted",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new MinistryController();
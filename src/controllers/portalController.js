@@ -0,0 +1,183 @@
+const portalService = require("../services/portalService");
+const { HTTP_STATUS } = require("../utils/constants");
+
+class PortalController {
+  // Request a magic login link by email
+  async requestLoginLink(req, res, next) {
+    try {
+      await portalService.requestLoginLink(req.body.email);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message:
+          "If we have donations on record for this email, a login link is on its way.",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Exchange magic link token for a portal session
+  async verifyLoginLink(req, res, next) {
+    try {
+      const { donor, sessionToken, expiresIn } =
+        await portalService.verifyLoginLink(req.body.token);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { donor, sessionToken, expiresIn },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get donor profile and giving stats
+  async getOverview(req, res, next) {
+    try {
+      const overview = await portalService.getOverview(req.donor);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: overview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get donor's donation history
+  async getDonations(req, res, next) {
+    try {
+      const donations = await portalService.getDonations(req.donor);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { donations },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // List donor's recurring gifts
+  async getSubscriptions(req, res, next) {
+    try {
+      const subscriptions = await portalService.getSubscriptions(req.donor);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { subscriptions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Change amount or frequency of a recurring gift
+  async updateSubscription(req, res, next) {
+    try {
+      const subscription = await portalService.updateSubscription(
+        req.donor,
+        req.params.subscriptionId,
+        req.body
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { subscription },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Pause a recurring gift
+  async pauseSubscription(req, res, next) {
+    try {
+      const subscription = await portalService.pauseSubscription(
+        req.donor,
+        req.params.subscriptionId,
+        req.body.resumesAt
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { subscription },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Resume a paused recurring gift
+  async resumeSubscription(req, res, next) {
+    try {
+      const subscription = await portalService.resumeSubscription(
+        req.donor,
+        req.params.subscriptionId
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { subscription },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel a recurring gift
+  async cancelSubscription(req, res, next) {
+    try {
+      await portalService.cancelSubscription(
+        req.donor,
+        req.params.subscriptionId
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Recurring donation canceled",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Start a card update for a recurring gift
+  async createCardSetup(req, res, next) {
+    try {
+      const setup = await portalService.createCardSetup(
+        req.donor,
+        req.params.subscriptionId
+      );
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        data: setup,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Switch a recurring gift to a newly saved card
+  async updatePaymentMethod(req, res, next) {
+    try {
+      const subscription = await portalService.updatePaymentMethod(
+        req.donor,
+        req.params.subscriptionId,
+        req.body.paymentMethodId
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { subscription },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new PortalController();
@@ -0,0 +1,94 @@
+const taxReceiptService = require("../services/taxReceiptService");
+const { HTTP_STATUS } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+class TaxReceiptController {
+  // List generated statements
+  async getReceipts(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await taxReceiptService.getReceipts(filters, {
+        page,
+        limit,
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Queue statements for one donor, or start a run for every donor in the year
+  async generateReceipts(req, res, next) {
+    try {
+      const { taxYear, donorEmail, force } = req.body;
+
+      if (donorEmail) {
+        const { receipt, skipped } = await taxReceiptService.queueTaxReceipt(
+          donorEmail,
+          taxYear,
+          { force }
+        );
+
+        return res.status(HTTP_STATUS.OK).json({
+          success: true,
+          message: skipped
+            ? "Tax receipt was already sent (use force to resend)"
+            : "Tax receipt queued for delivery",
+          data: { receipt },
+        });
+      }
+
+      // A full run can take a while, so don't hold the request open
+      setImmediate(async () => {
+        try {
+          await taxReceiptService.generateForYear(taxYear, { force });
+        } catch (error) {
+          logger.error(`Tax receipt run failed for ${taxYear}:`, error);
+        }
+      });
+
+      logger.info(`Tax receipt run started for ${taxYear}`, {
+        adminId: req.admin._id,
+        force,
+      });
+
+      res.status(HTTP_STATUS.ACCEPTED).json({
+        success: true,
+        message: `Tax receipt generation started for ${taxYear}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Download a statement as PDF
+  async downloadReceipt(req, res, next) {
+    try {
+      const result = await taxReceiptService.getReceiptPdf(req.params.id);
+
+      if (!result) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Tax receipt not found",
+        });
+      }
+
+      const { taxYear, receiptNumber } = result.receipt;
+
+      res.set("Content-Type", "application/pdf");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="giving-statement-${taxYear}-${receiptNumber}.pdf"`
+      );
+      res.status(HTTP_STATUS.OK).send(result.pdf);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TaxReceiptController();
@@ -1,10 +1,18 @@
 const { stripe, webhookSecret } = require("../config/stripe");
 const donationService = require("../services/donationService");
 const emailService = require("../services/emailService");
-const { STRIPE_WEBHOOK_EVENTS } = require("../utils/constants");
+const subscriptionService = require("../services/subscriptionService");
+const webhookEventService = require("../services/webhookEventService");
+const { STRIPE_WEBHOOK_EVENTS, HTTP_STATUS } = require("../utils/constants");
 const logger = require("../utils/logger");
 
 class WebhookController {
+  constructor() {
+    // Route handlers are passed to Express unbound
+    this.handleStripeWebhook = this.handleStripeWebhook.bind(this);
+    this.replayEvent = this.replayEvent.bind(this);
+  }
+
   // Handle Stripe webhooks
   async handleStripeWebhook(req, res, next) {
     const sig = req.headers["stripe-signature"];
@@ -22,15 +30,132 @@ class WebhookController {
       eventType: event.type,
     });
 
+    try {
+      await webhookEventService.recordEvent(event);
+
+      // Stripe retries deliveries; only one may process each event
+      const claimed = await webhookEventService.claimEvent(event.id);
+      if (!claimed) {
+        logger.info(`Skipping already handled webhook event: ${event.id}`);
+        return res.json({ received: true, duplicate: true });
+      }
+    } catch (error) {
+      logger.error("Failed to record webhook event:", error);
+      return res.status(500).json({ error: "Webhook processing failed" });
+    }
+
     try {
       await this.processWebhookEvent(event);
+      await webhookEventService.markProcessed(event.id);
       res.json({ received: true });
     } catch (error) {
       logger.error("Webhook processing failed:", error);
+
+      // Stripe retries either way; a stale "processing" lock is reclaimed
+      try {
+        await webhookEventService.markFailed(event.id, error);
+      } catch (markError) {
+        logger.error("Failed to mark webhook event as failed:", markError);
+      }
+
       res.status(500).json({ error: "Webhook processing failed" });
     }
   }
 
+  // List recorded webhook events (admin)
+  async getEvents(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const result = await webhookEventService.getEvents(filters, {
+        page,
+        limit,
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a recorded webhook event with its payload (admin)
+  async getEventById(req, res, next) {
+    try {
+      const event = await webhookEventService.getEventById(req.params.id);
+
+      if (!event) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Webhook event not found",
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: { event },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Re-run processing for a failed webhook event (admin)
+  async replayEvent(req, res, next) {
+    try {
+      const record = await webhookEventService.getEventById(req.params.id);
+
+      if (!record) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: "Webhook event not found",
+        });
+      }
+
+      const claimed = await webhookEventService.claimFailedEvent(
+        record.stripeEventId
+      );
+      if (!claimed) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: "Only failed events can be replayed",
+          data: { status: record.status },
+        });
+      }
+
+      logger.info(`Replaying webhook event: ${record.stripeEventId}`, {
+        adminId: req.admin._id,
+      });
+
+      try {
+        await this.processWebhookEvent(record.payload);
+      } catch (error) {
+        const failed = await webhookEventService.markFailed(
+          record.stripeEventId,
+          error
+        );
+        return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+          success: false,
+          message: `Replay failed: ${error.message}`,
+          data: { event: failed },
+        });
+      }
+
+      const processed = await webhookEventService.markProcessed(
+        record.stripeEventId
+      );
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: "Webhook event replayed successfully",
+        data: { event: processed },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Process different webhook events
   async processWebhookEvent(event) {
     switch (event.type) {
@@ -50,10 +175,31 @@ class WebhookController {
         await this.handleRecurringPaymentFailed(event.data.object);
         break;
 
+      case STRIPE_WEBHOOK_EVENTS.CUSTOMER_SUBSCRIPTION_CREATED:
+      case STRIPE_WEBHOOK_EVENTS.CUSTOMER_SUBSCRIPTION_UPDATED:
+        await this.handleSubscriptionUpdated(event.data.object);
+        break;
+
       case STRIPE_WEBHOOK_EVENTS.CUSTOMER_SUBSCRIPTION_DELETED:
         await this.handleSubscriptionCanceled(event.data.object);
         break;
 
+      case STRIPE_WEBHOOK_EVENTS.CHARGE_REFUNDED:
+        await this.handleChargeRefunded(event.data.object);
+        break;
+
+      case STRIPE_WEBHOOK_EVENTS.CHARGE_DISPUTE_CREATED:
+        await this.handleDisputeCreated(event.data.object);
+        break;
+
+      case STRIPE_WEBHOOK_EVENTS.CHARGE_DISPUTE_CLOSED:
+        await this.handleDisputeClosed(event.data.object);
+        break;
+
+      case STRIPE_WEBHOOK_EVENTS.PAYMENT_METHOD_ATTACHED:
+        await this.handlePaymentMethodAttached(event.data.object);
+        break;
+
       default:
         logger.info(`Unhandled webhook event type: ${event.type}`);
     }
@@ -62,7 +208,13 @@ class WebhookController {
   // Handle successful one-time payment
   async handlePaymentSucceeded(paymentIntent) {
     try {
-      await donationService.updateDonationStatus(paymentIntent.id, "succeeded");
+      // Subscription payments are handled by the invoice events
+      if (paymentIntent.invoice) {
+        logger.info(`Skipping invoice payment intent: ${paymentIntent.id}`);
+        return;
+      }
+
+      await donationService.completePayment(paymentIntent);
 
       logger.info(`Payment succeeded webhook processed: ${paymentIntent.id}`);
     } catch (error) {
@@ -74,6 +226,12 @@ class WebhookController {
   // Handle failed payment
   async handlePaymentFailed(paymentIntent) {
     try {
+      // Failed renewals have no donation; invoice.payment_failed handles them
+      if (paymentIntent.invoice) {
+        logger.info(`Skipping invoice payment intent: ${paymentIntent.id}`);
+        return;
+      }
+
       await donationService.updateDonationStatus(paymentIntent.id, "failed");
 
       logger.info(`Payment failed webhook processed: ${paymentIntent.id}`);
@@ -92,10 +250,14 @@ class WebhookController {
       // Create donation record for recurring payment
       await donationService.createRecurringDonation({
         stripeInvoiceId: invoice.id,
+        stripePaymentIntentId: invoice.payment_intent,
+        stripeChargeId: invoice.charge,
         stripeSubscriptionId: subscriptionId,
         stripeCustomerId: customerId,
-        amount: invoice.amount_paid / 100,
+        amountMinor: invoice.amount_paid,
         currency: invoice.currency.toUpperCase(),
+        recurringFrequency:
+          invoice.subscription_details?.metadata?.recurringFrequency,
       });
 
       logger.info(`Recurring payment succeeded: ${invoice.id}`);
@@ -108,19 +270,29 @@ class WebhookController {
   // Handle failed recurring payment
   async handleRecurringPaymentFailed(invoice) {
     try {
-      logger.warn(`Recurring payment failed: ${invoice.id}`);
-
-      // Send notification email to donor about failed payment
-      // Implementation depends on your email service setup
+      await subscriptionService.recordPaymentFailure(invoice);
     } catch (error) {
       logger.error("Error processing recurring payment failed:", error);
       throw error;
     }
   }
 
+  // Keep our subscription record in step with amount, status and pause changes
+  async handleSubscriptionUpdated(subscription) {
+    try {
+      await subscriptionService.syncFromStripe(subscription);
+
+      logger.info(`Subscription updated: ${subscription.id}`);
+    } catch (error) {
+      logger.error("Error processing subscription update:", error);
+      throw error;
+    }
+  }
+
   // Handle subscription cancellation
   async handleSubscriptionCanceled(subscription) {
     try {
+      await subscriptionService.syncFromStripe(subscription);
       await donationService.cancelRecurringDonation(subscription.id);
 
       logger.info(`Subscription canceled: ${subscription.id}`);
@@ -129,6 +301,51 @@ class WebhookController {
       throw error;
     }
   }
+
+  // Handle refunds (including those made in the Stripe dashboard)
+  async handleChargeRefunded(charge) {
+    try {
+      await donationService.syncRefundsFromStripe(charge);
+
+      logger.info(`Charge refunded webhook processed: ${charge.id}`);
+    } catch (error) {
+      logger.error("Error processing charge refunded webhook:", error);
+      throw error;
+    }
+  }
+
+  // Handle a chargeback being opened
+  async handleDisputeCreated(dispute) {
+    try {
+      await donationService.recordDisputeCreated(dispute);
+
+      logger.info(`Dispute created webhook processed: ${dispute.id}`);
+    } catch (error) {
+      logger.error("Error processing dispute created webhook:", error);
+      throw error;
+    }
+  }
+
+  // Handle a chargeback being won or lost
+  async handleDisputeClosed(dispute) {
+    try {
+      await donationService.recordDisputeClosed(dispute);
+
+      logger.info(`Dispute closed webhook processed: ${dispute.id}`);
+    } catch (error) {
+      logger.error("Error processing dispute closed webhook:", error);
+      throw error;
+    }
+  }
+
+  // Card saved to a customer (e.g. a portal card update)
+  async handlePaymentMethodAttached(paymentMethod) {
+    logger.info(`Payment method attached: ${paymentMethod.id}`, {
+      customerId: paymentMethod.customer,
+      brand: paymentMethod.card?.brand,
+      last4: paymentMethod.card?.last4,
+    });
+  }
 }
 
 module.exports = new WebhookController();
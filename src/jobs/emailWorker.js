@@ -0,0 +1,118 @@
+const { Donation } = require("../models");
+const emailService = require("../services/emailService");
+const emailQueueService = require("../services/emailQueueService");
+const taxReceiptService = require("../services/taxReceiptService");
+const { EMAIL_TYPES, EMAIL_QUEUE } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+const loadDonation = async (donationId) => {
+  const donation = await Donation.findById(donationId);
+  if (!donation) {
+    throw new Error(`Donation not found: ${donationId}`);
+  }
+  return donation;
+};
+
+// Build and send one email type from a queued job's payload. Each handler
+// resolves with the nodemailer result.
+const handlers = {
+  [EMAIL_TYPES.RECEIPT]: async ({ donationId }) =>
+    emailService.sendDonationReceipt(await loadDonation(donationId)),
+
+  [EMAIL_TYPES.THANK_YOU]: async ({ donationId }) =>
+    emailService.sendThankYouEmail(await loadDonation(donationId)),
+
+  [EMAIL_TYPES.ADMIN_NOTIFICATION]: async ({ donationId }) =>
+    emailService.sendDonationNotification(await loadDonation(donationId)),
+
+  [EMAIL_TYPES.DEDICATION_NOTIFICATION]: async ({ donationId }) =>
+    emailService.sendDedicationNotification(await loadDonation(donationId)),
+
+  [EMAIL_TYPES.TAX_RECEIPT]: async ({ taxReceiptId }) =>
+    taxReceiptService.deliverTaxReceipt(taxReceiptId),
+
+  [EMAIL_TYPES.PAYMENT_FAILED]: async (failure) =>
+    emailService.sendPaymentFailedEmail(failure),
+};
+
+// Polls the email outbox and sends due jobs one at a time. Jobs survive
+// restarts because they live in MongoDB; a job left in "processing" by a
+// crashed process is picked up again once its lock expires.
+class EmailWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.stopped = true;
+    this.tick = this.tick.bind(this);
+  }
+
+  start() {
+    if (!this.stopped) return;
+
+    this.stopped = false;
+    logger.info("📬 Email worker started");
+    this.schedule(0);
+  }
+
+  // Resolves once any in-flight job has finished
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    while (this.running) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+
+    logger.info("📭 Email worker stopped");
+  }
+
+  schedule(delay = EMAIL_QUEUE.POLL_INTERVAL) {
+    if (this.stopped) return;
+    this.timer = setTimeout(this.tick, delay);
+  }
+
+  async tick() {
+    this.running = true;
+
+    try {
+      let job = await emailQueueService.claimNextJob();
+      while (job && !this.stopped) {
+        await this.processJob(job);
+        job = await emailQueueService.claimNextJob();
+      }
+    } catch (error) {
+      logger.error("Email worker poll failed:", error);
+    } finally {
+      this.running = false;
+      this.schedule();
+    }
+  }
+
+  async processJob(job) {
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`No email handler for type: ${job.type}`);
+      }
+
+      const result = await handler(job.payload);
+      await emailQueueService.markSent(job, result && result.messageId);
+
+      logger.info(`Email job sent: ${job._id}`, {
+        type: job.type,
+        attempts: job.attempts,
+      });
+    } catch (error) {
+      const updated = await emailQueueService.markFailed(job, error);
+
+      logger.error(`Email job ${job._id} failed (${job.type}):`, {
+        error: error.message,
+        attempts: job.attempts,
+        status: updated.status,
+        nextAttemptAt: updated.nextAttemptAt,
+      });
+    }
+  }
+}
+
+module.exports = new EmailWorker();
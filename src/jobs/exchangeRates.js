@@ -0,0 +1,64 @@
+const fs = require("fs").promises;
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { Donor } = require("../models");
+const exchangeRateService = require("../services/exchangeRateService");
+const donationService = require("../services/donationService");
+const logger = require("../utils/logger");
+
+// Usage: node src/jobs/exchangeRates.js [rates.json] [--recalculate-donors]
+// Imports rates from a JSON file such as { "EUR": 1.08, "GBP": 1.27 } (units
+// of BASE_CURRENCY per unit), then converts any donations still missing an
+// amount in the base currency. --recalculate-donors then rebuilds every
+// donor's lifetime total in the base currency; use it after changing
+// BASE_CURRENCY or upgrading, while no payments are being taken.
+async function runExchangeRates() {
+  const args = process.argv.slice(2);
+  const recalculateDonors = args.includes("--recalculate-donors");
+  const [ratesFile] = args.filter((arg) => !arg.startsWith("--"));
+
+  try {
+    const rates = ratesFile
+      ? JSON.parse(await fs.readFile(ratesFile, "utf-8"))
+      : null;
+
+    await mongoose.connect(
+      process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/rockbridge-donations"
+    );
+
+    logger.info("Connected to MongoDB for exchange rate update");
+
+    if (rates) {
+      const { rates: imported } = await exchangeRateService.importRates(rates);
+      logger.info(`Imported ${imported.length} exchange rates`);
+    }
+
+    const summary = await exchangeRateService.convertAllPendingDonations();
+    logger.info("Donation currency conversion complete", summary);
+
+    if (recalculateDonors) {
+      let recalculated = 0;
+      const donors = Donor.find().select("email").lean().cursor();
+      for await (const { email } of donors) {
+        await donationService.recalculateDonorStats(email);
+        recalculated += 1;
+      }
+      logger.info(`Recalculated lifetime stats for ${recalculated} donors`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error("Exchange rate job failed:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runExchangeRates();
+}
+
+module.exports = {
+  runExchangeRates,
+};
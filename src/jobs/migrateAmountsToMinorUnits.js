@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { Campaign, Donation, Ministry } = require("../models");
+const { ZERO_DECIMAL_CURRENCIES } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+// Usage: node src/jobs/migrateAmountsToMinorUnits.js
+// One-off migration for donations stored before amounts were kept as integer
+// minor units: converts amount, netAmount, transactionFee, refundedAmount,
+// refund amounts and dispute amounts (major units) to their *Minor fields,
+// and campaign and ministry goal, raised and suggested amounts likewise.
+// Safe to run more than once; migrated documents are skipped.
+
+// Round a major-unit field of the donation to integer minor units
+const toMinor = (field) => ({
+  $round: [
+    {
+      $multiply: [
+        { $ifNull: [field, 0] },
+        { $cond: [{ $in: ["$currency", ZERO_DECIMAL_CURRENCIES] }, 1, 100] },
+      ],
+    },
+    0,
+  ],
+});
+
+const migration = [
+  {
+    $set: {
+      amountMinor: toMinor("$amount"),
+      netAmountMinor: toMinor({ $ifNull: ["$netAmount", "$amount"] }),
+      transactionFeeMinor: toMinor("$transactionFee"),
+      refundedAmountMinor: toMinor("$refundedAmount"),
+      refunds: {
+        $map: {
+          input: { $ifNull: ["$refunds", []] },
+          as: "refund",
+          in: {
+            $mergeObjects: [
+              "$$refund",
+              { amountMinor: toMinor("$$refund.amount") },
+            ],
+          },
+        },
+      },
+      dispute: {
+        $cond: [
+          { $gt: ["$dispute.amount", null] },
+          {
+            $mergeObjects: [
+              "$dispute",
+              { amountMinor: toMinor("$dispute.amount") },
+            ],
+          },
+          "$dispute",
+        ],
+      },
+    },
+  },
+  {
+    $unset: [
+      "amount",
+      "netAmount",
+      "transactionFee",
+      "refundedAmount",
+      "refunds.amount",
+      "dispute.amount",
+    ],
+  },
+];
+
+const campaignMigration = [
+  {
+    $set: {
+      goalAmountMinor: toMinor("$goalAmount"),
+      raisedAmountMinor: toMinor("$raisedAmount"),
+    },
+  },
+  { $unset: ["goalAmount", "raisedAmount"] },
+];
+
+const ministryMigration = [
+  {
+    $set: {
+      goalAmountMinor: {
+        $cond: [
+          { $gt: ["$goalAmount", null] },
+          toMinor("$goalAmount"),
+          "$$REMOVE",
+        ],
+      },
+      suggestedAmountsMinor: {
+        $map: {
+          input: { $ifNull: ["$suggestedAmounts", []] },
+          as: "amount",
+          in: toMinor("$$amount"),
+        },
+      },
+    },
+  },
+  { $unset: ["goalAmount", "suggestedAmounts"] },
+];
+
+async function runMigrateAmountsToMinorUnits() {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/rockbridge-donations"
+    );
+
+    logger.info("Connected to MongoDB for donation amount migration");
+
+    const result = await Donation.updateMany(
+      { amountMinor: { $exists: false }, amount: { $exists: true } },
+      migration
+    );
+
+    logger.info(
+      `Migrated ${result.modifiedCount} donations to minor unit amounts`
+    );
+
+    const campaignResult = await Campaign.updateMany(
+      { goalAmountMinor: { $exists: false }, goalAmount: { $exists: true } },
+      campaignMigration
+    );
+
+    logger.info(
+      `Migrated ${campaignResult.modifiedCount} campaigns to minor unit amounts`
+    );
+
+    const ministryResult = await Ministry.updateMany(
+      {
+        $or: [
+          { goalAmount: { $exists: true } },
+          { suggestedAmounts: { $exists: true } },
+        ],
+      },
+      ministryMigration
+    );
+
+    logger.info(
+      `Migrated ${ministryResult.modifiedCount} ministries to minor unit amounts`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error("Donation amount migration failed:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runMigrateAmountsToMinorUnits();
+}
+
+module.exports = {
+  runMigrateAmountsToMinorUnits,
+};
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const taxReceiptService = require("../services/taxReceiptService");
+const logger = require("../utils/logger");
+
+// Usage: node src/jobs/taxReceipts.js [taxYear] [--force]
+// Defaults to the previous calendar year, so it can run from a January cron.
+async function runTaxReceipts() {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const yearArg = args.find((arg) => /^\d{4}$/.test(arg));
+  const taxYear = yearArg
+    ? parseInt(yearArg, 10)
+    : new Date().getFullYear() - 1;
+
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI ||
+        "mongodb://localhost:27017/rockbridge-donations"
+    );
+
+    logger.info(`Connected to MongoDB for ${taxYear} tax receipts`);
+
+    const summary = await taxReceiptService.generateForYear(taxYear, {
+      force,
+    });
+
+    summary.errors.forEach(({ donorEmail, error }) => {
+      logger.error(`Tax receipt failed for ${donorEmail}: ${error}`);
+    });
+
+    await mongoose.connection.close();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error("Tax receipt job failed:", error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTaxReceipts();
+}
+
+module.exports = {
+  runTaxReceipts,
+};
@@ -0,0 +1,67 @@
+const authService = require("../services/authService");
+const portalService = require("../services/portalService");
+const { AppError } = require("./errorHandler");
+const { HTTP_STATUS, ERROR_CODES } = require("../utils/constants");
+
+// Extract the token from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+const authenticationRequired = () =>
+  new AppError(
+    "Authentication required",
+    HTTP_STATUS.UNAUTHORIZED,
+    ERROR_CODES.AUTHENTICATION_ERROR
+  );
+
+// Require a valid admin access token
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) return next(authenticationRequired());
+
+    req.admin = await authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require a valid donor portal session token
+const authenticateDonor = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) return next(authenticationRequired());
+
+    req.donor = await portalService.verifySessionToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require the authenticated admin to hold at least the given role
+const authorize = (requiredRole) => {
+  return (req, res, next) => {
+    if (!req.admin || !req.admin.hasRole(requiredRole)) {
+      return next(
+        new AppError(
+          "You do not have permission to perform this action",
+          HTTP_STATUS.FORBIDDEN,
+          ERROR_CODES.AUTHORIZATION_ERROR
+        )
+      );
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  authenticateDonor,
+  authorize,
+};
@@ -35,6 +35,7 @@ const corsOptions = {
     "Authorization",
     "Cache-Control",
     "X-Forwarded-For",
+    "Idempotency-Key",
   ],
 
   exposedHeaders: [
@@ -44,6 +45,8 @@ const corsOptions = {
     "X-Rate-Limit-Limit",
     "X-Rate-Limit-Remaining",
     "X-Rate-Limit-Reset",
+    "Idempotent-Replayed",
+    "Content-Disposition",
   ],
 
   credentials: true, // Allow cookies and authorization headers
@@ -0,0 +1,72 @@
+const idempotencyService = require("../services/idempotencyService");
+const { AppError } = require("./errorHandler");
+const {
+  IDEMPOTENCY,
+  IDEMPOTENCY_STATUS,
+  HTTP_STATUS,
+  ERROR_CODES,
+} = require("../utils/constants");
+const logger = require("../utils/logger");
+
+// Honour an optional Idempotency-Key header. Successful responses are stored
+// and replayed for retries with the same key and body; failed requests
+// release the key so they can be retried. Use after body validation, so the
+// fingerprint covers the normalized body. The key is exposed as
+// req.idempotencyKey for passing on to Stripe.
+const idempotency = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY.HEADER);
+  if (!key) return next();
+
+  if (key.length > IDEMPOTENCY.MAX_KEY_LENGTH) {
+    return next(
+      new AppError(
+        `${IDEMPOTENCY.HEADER} must be at most ${IDEMPOTENCY.MAX_KEY_LENGTH} characters`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      )
+    );
+  }
+
+  try {
+    const record = await idempotencyService.begin(
+      key,
+      `${req.method} ${req.baseUrl}${req.path}`,
+      idempotencyService.fingerprint(req.body)
+    );
+
+    if (record.status === IDEMPOTENCY_STATUS.COMPLETED) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    req.idempotencyKey = key;
+
+    // Persist the outcome before the response is sent, so a retry never
+    // sees the key still processing once the client has its answer
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const outcome =
+        res.statusCode < 300
+          ? idempotencyService.complete(
+              record,
+              res.statusCode,
+              JSON.parse(JSON.stringify(body))
+            )
+          : idempotencyService.release(record);
+
+      outcome
+        .catch((error) =>
+          logger.error("Failed to store idempotent response:", error)
+        )
+        .then(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { idempotency };
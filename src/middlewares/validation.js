@@ -1,5 +1,31 @@
 const Joi = require("joi");
-const { HTTP_STATUS } = require("../utils/constants");
+const {
+  HTTP_STATUS,
+  ADMIN_ROLES,
+  DONOR_TYPES,
+  CAMPAIGN_STATUS,
+  CAMPAIGN_CATEGORIES,
+  REFUND_REASONS,
+  DEDICATION_TYPES,
+  WEBHOOK_EVENT_STATUS,
+  TAX_RECEIPT_STATUS,
+  EMAIL_TYPES,
+  EMAIL_JOB_STATUS,
+  SUPPORTED_CURRENCIES,
+  AMOUNT_UNITS,
+  DONATION_LIMITS,
+  EXPORT_FORMATS,
+  DONATION_EXPORT_COLUMNS,
+  ANALYTICS_GRANULARITIES,
+  ANALYTICS_COMPARISONS,
+} = require("../utils/constants");
+const {
+  getCurrencyDecimals,
+  toMinorUnits,
+  formatCurrency,
+  isValidTimezone,
+  isDateOnly,
+} = require("../utils/helpers");
 
 // Validation middleware factory
 const validate = (schema, property = "body") => {
@@ -24,48 +50,170 @@ const validate = (schema, property = "body") => {
   };
 };
 
-// Custom validation for flexible amount handling
-const amountValidator = (value, helpers) => {
-  // Handle both cents and dollars
-  let amount = value;
+// Amount fields: either `amountMinor` (integer minor units) or `amount` with
+// an explicit `amountUnit`. Amounts are never guessed from their size.
+const amountFields = {
+  amountMinor: Joi.number().integer().positive(),
+  amount: Joi.number().positive(),
+  amountUnit: Joi.string().valid(...Object.values(AMOUNT_UNITS)),
+};
+
+const amountMessages = {
+  "object.missing": "Provide amountMinor, or amount with amountUnit",
+  "object.xor": "Provide either amountMinor or amount, not both",
+  "object.oxor": "Provide either amountMinor or amount, not both",
+  "object.with": 'amountUnit ("major" or "minor") is required with amount',
+  "object.without": "amountUnit can only be used with amount",
+};
+
+/**
+ * Convert the validated amount fields to integer minor units
+ * @param {Object} value - Validated object with amount fields
+ * @param {string} currency - Currency code the amount is in
+ * @returns {number|undefined|string} Minor units, undefined if no amount was
+ *   given, or an error message
+ */
+const resolveAmountMinor = ({ amount, amountUnit, amountMinor }, currency) => {
+  if (amountMinor !== undefined) return amountMinor;
+  if (amount === undefined) return undefined;
+
+  if (amountUnit === AMOUNT_UNITS.MINOR) {
+    return Number.isInteger(amount)
+      ? amount
+      : "amount in minor units must be a whole number";
+  }
+
+  const minor = toMinorUnits(amount, currency);
+  if (Math.abs(amount * 10 ** getCurrencyDecimals(currency) - minor) > 1e-6) {
+    return `amount has more decimal places than ${currency} allows`;
+  }
 
-  // If amount is greater than 100,000, assume it's in cents and convert to dollars
-  if (amount > 100000) {
-    amount = Math.round(amount / 100);
+  return minor;
+};
+
+// Replace a donation's amount fields with amountMinor, within the limits
+const donationAmountValidator = (value, helpers) => {
+  const { amount, amountUnit, ...rest } = value;
+  const amountMinor = resolveAmountMinor(value, value.currency);
+
+  if (typeof amountMinor === "string") {
+    return helpers.message(amountMinor);
   }
 
-  // Validate the final amount is in valid range
-  if (amount < 1 || amount > 100000) {
-    return helpers.message("Amount must be between $1 and $100,000");
+  const { MIN_AMOUNT, MAX_AMOUNT } = DONATION_LIMITS;
+  if (
+    amountMinor < toMinorUnits(MIN_AMOUNT, value.currency) ||
+    amountMinor > toMinorUnits(MAX_AMOUNT, value.currency)
+  ) {
+    return helpers.message(
+      `Amount must be between ${formatCurrency(
+        MIN_AMOUNT,
+        value.currency
+      )} and ${formatCurrency(MAX_AMOUNT, value.currency)}`
+    );
   }
 
-  return amount; // Return the normalized amount
+  return { ...rest, amountMinor };
+};
+
+// Keep a date-only date as given, so it can be read as a whole day (in a
+// timezone where one applies) instead of UTC midnight
+const keepDateOnly = (value, helpers) =>
+  isDateOnly(helpers.original) ? helpers.original : value;
+
+// Date range bounds. A date-only endDate includes that whole day.
+const dateRangeFields = {
+  startDate: Joi.date().iso().custom(keepDateOnly),
+  endDate: Joi.date()
+    .iso()
+    .when("startDate", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("startDate")).custom(keepDateOnly),
+      otherwise: Joi.date().custom(keepDateOnly),
+    }),
+};
+
+// Filters shared by the donation list and export
+const donationFilterFields = {
+  ministry: Joi.string().trim().max(100),
+  ...dateRangeFields,
+  paymentStatus: Joi.string().valid(
+    "pending",
+    "succeeded",
+    "failed",
+    "canceled",
+    "refunded",
+    "disputed"
+  ),
+  currency: Joi.string()
+    .uppercase()
+    .valid(...Object.values(SUPPORTED_CURRENCIES)),
+  // In the currency above, or the base currency when it is omitted
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number()
+    .min(0)
+    .when("minAmount", {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref("minAmount")),
+    }),
+  search: Joi.string().trim().max(100),
+  sort: Joi.string()
+    .pattern(
+      /^[-+]?(createdAt|amount|ministry|paymentStatus)(,[-+]?(createdAt|amount|ministry|paymentStatus))*$/
+    )
+    .default("-createdAt")
+    .messages({
+      "string.pattern.base":
+        "sort must list createdAt, amount, ministry or paymentStatus, each optionally prefixed with - or +",
+    }),
+};
+
+// IANA timezone name for analytics (e.g. "America/Chicago")
+const timezoneField = Joi.string()
+  .max(64)
+  .custom((value, helpers) =>
+    isValidTimezone(value)
+      ? value
+      : helpers.message(`Unknown timezone: ${value}`)
+  );
+
+// Reject tax years that have not started. The current year is read per
+// request, so a long-running server accepts the new year in January.
+const pastTaxYearValidator = (value, helpers) => {
+  const currentYear = new Date().getFullYear();
+  return value > currentYear
+    ? helpers.message(`taxYear must be less than or equal to ${currentYear}`)
+    : value;
+};
+
+// Turn a comma separated export column list into an array of known columns
+const exportColumnsValidator = (value, helpers) => {
+  const columns = [...new Set(value.split(",").map((column) => column.trim()))];
+  const unknown = columns.filter(
+    (column) => !DONATION_EXPORT_COLUMNS.includes(column)
+  );
+
+  if (unknown.length > 0) {
+    return helpers.message(`Unknown export columns: ${unknown.join(", ")}`);
+  }
+
+  return columns;
 };
 
 // Common validation schemas
 const schemas = {
   // Donation validation
   createDonation: Joi.object({
-    ministry: Joi.string()
-      .required()
-      .valid(
-        "Holiday Homes",
-        "Clean Water Initiative",
-        "Workplace Ministry",
-        "Lish AI Labs",
-        "Upendo Academy"
-      )
-      .messages({
-        "any.only": "Please select a valid ministry initiative",
-      }),
+    // Checked against active ministries in the controller
+    ministry: Joi.string().required().trim().max(100).messages({
+      "string.empty": "Please select a ministry initiative",
+      "any.required": "Please select a ministry initiative",
+    }),
 
-    amount: Joi.number()
-      .required()
-      .custom(amountValidator)
-      .message("Amount must be a valid number between $1 and $100,000"),
+    ...amountFields,
 
     currency: Joi.string()
-      .valid("USD", "EUR", "GBP", "CAD", "AUD")
+      .valid(...Object.values(SUPPORTED_CURRENCIES))
       .default("USD"),
 
     donorInfo: Joi.object({
@@ -99,63 +247,334 @@ const schemas = {
       otherwise: Joi.forbidden(),
     }),
 
+    // Donor pays the estimated processing fee on top of the gift
+    coverFees: Joi.boolean().default(false),
+
     isAnonymous: Joi.boolean().default(false),
     message: Joi.string().optional().max(1000).allow(""),
-  }),
 
-  // Confirm donation validation - more flexible for frontend data
+    // In honor / in memory gift, optionally with a card for a recipient
+    dedication: Joi.object({
+      type: Joi.string()
+        .required()
+        .valid(DEDICATION_TYPES.IN_HONOR, DEDICATION_TYPES.IN_MEMORY),
+      honoreeName: Joi.string()
+        .required()
+        .trim()
+        .max(DONATION_LIMITS.MAX_DEDICATION_NAME_LENGTH)
+        .messages({
+          "string.empty": "Please enter who this gift honors",
+          "any.required": "Please enter who this gift honors",
+        }),
+      recipientName: Joi.string()
+        .trim()
+        .max(DONATION_LIMITS.MAX_DEDICATION_NAME_LENGTH),
+      recipientEmail: Joi.string().email().lowercase().messages({
+        "string.email": "Please provide a valid recipient email address",
+      }),
+      note: Joi.string()
+        .trim()
+        .max(DONATION_LIMITS.MAX_MESSAGE_LENGTH)
+        .allow(""),
+    }),
+    campaign: Joi.string()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .message("Campaign must be a valid ID"),
+  })
+    .xor("amount", "amountMinor")
+    .with("amount", "amountUnit")
+    .without("amountMinor", "amountUnit")
+    .messages(amountMessages)
+    .custom(donationAmountValidator),
+
+  // Confirm donation validation. The ministry, donor and amount were
+  // recorded with the intent, so any other fields are stripped.
   confirmDonation: Joi.object({
     paymentIntentId: Joi.string().required().pattern(/^pi_/).messages({
       "string.pattern.base": "Invalid payment intent ID format",
       "any.required": "Payment intent ID is required",
     }),
-    ministry: Joi.string()
-      .required()
-      .valid(
-        "Holiday Homes",
-        "Clean Water Initiative",
-        "Workplace Ministry",
-        "Lish AI Labs",
-        "Upendo Academy"
-      ),
-    donorInfo: Joi.object({
-      firstName: Joi.string().required().trim().max(50),
-      lastName: Joi.string().required().trim().max(50),
-      email: Joi.string().required().email().lowercase(),
-      phone: Joi.string().optional().allow(""),
-      postalCode: Joi.string().required(),
-    }).required(),
-    amount: Joi.number().required().min(1).max(10000000), // More flexible for confirmation
-    currency: Joi.string()
-      .valid("USD", "EUR", "GBP", "CAD", "AUD")
-      .default("USD"),
-    isRecurring: Joi.boolean().default(false),
-    message: Joi.string().optional().max(1000).allow(""),
   }),
 
   // Query validation for donations list
   donationQuery: Joi.object({
+    // Opaque nextCursor from a previous page; replaces page
+    cursor: Joi.string().max(200),
+    page: Joi.when("cursor", {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: Joi.number().integer().min(1).default(1),
+    }),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    ...donationFilterFields,
+  }),
+
+  // Query validation for donation exports (same filters as the list)
+  donationExport: Joi.object({
+    format: Joi.string()
+      .lowercase()
+      .valid(...Object.values(EXPORT_FORMATS))
+      .default(EXPORT_FORMATS.CSV),
+    columns: Joi.string()
+      .max(1000)
+      .custom(exportColumnsValidator)
+      .default(DONATION_EXPORT_COLUMNS),
+    ...donationFilterFields,
+  }),
+
+  // Query validation for donation analytics
+  analyticsQuery: Joi.object({
+    ...dateRangeFields,
+    ministry: Joi.string().trim().max(100),
+    granularity: Joi.string()
+      .valid(...Object.values(ANALYTICS_GRANULARITIES))
+      .default(ANALYTICS_GRANULARITIES.DAY),
+    timezone: timezoneField,
+    compare: Joi.string().valid(...Object.values(ANALYTICS_COMPARISONS)),
+  }),
+
+  // Query validation for donor retention analytics
+  retentionQuery: Joi.object({
+    year: Joi.number().integer().min(2000).max(2100),
+    timezone: timezoneField,
+  }),
+
+  // Query validation for monthly donor cohorts
+  cohortQuery: Joi.object({
+    ...dateRangeFields,
+    timezone: timezoneField,
+  }),
+
+  // Query validation for the top donors list
+  topDonorsQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
+
+  // Refund validation (omit the amount for a full refund). The amount is
+  // converted to minor units once the donation's currency is known.
+  refundDonation: Joi.object({
+    ...amountFields,
+    reason: Joi.string()
+      .required()
+      .valid(...Object.values(REFUND_REASONS)),
+    note: Joi.string().max(500).allow(""),
+  })
+    .oxor("amount", "amountMinor")
+    .with("amount", "amountUnit")
+    .without("amountMinor", "amountUnit")
+    .messages(amountMessages),
+
+  // Query validation for webhook event log
+  webhookEventQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...Object.values(WEBHOOK_EVENT_STATUS)),
+    type: Joi.string().max(100),
+  }),
+
+  // Query validation for the email outbox
+  emailJobQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid(...Object.values(EMAIL_JOB_STATUS)),
+    type: Joi.string().valid(...Object.values(EMAIL_TYPES)),
+    to: Joi.string().email().lowercase(),
+  }),
+
+  // Query validation for annual tax receipts
+  taxReceiptQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    taxYear: Joi.number().integer().min(2000).max(2100),
+    status: Joi.string().valid(...Object.values(TAX_RECEIPT_STATUS)),
+    donorEmail: Joi.string().email().lowercase(),
+  }),
+
+  // Generate tax receipts for a year (or a single donor)
+  generateTaxReceipts: Joi.object({
+    taxYear: Joi.number()
+      .integer()
+      .min(2000)
+      .custom(pastTaxYearValidator)
+      .required(),
+    donorEmail: Joi.string().email().lowercase(),
+    force: Joi.boolean().default(false),
+  }),
+
+  // Query validation for donors list
+  donorQuery: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
-    ministry: Joi.string().valid(
-      "Holiday Homes",
-      "Clean Water Initiative",
-      "Workplace Ministry",
-      "Lish AI Labs",
-      "Upendo Academy"
-    ),
-    startDate: Joi.date().iso(),
-    endDate: Joi.date().iso().min(Joi.ref("startDate")),
-    paymentStatus: Joi.string().valid(
-      "pending",
-      "succeeded",
-      "failed",
-      "canceled"
-    ),
-    minAmount: Joi.number().min(0),
-    maxAmount: Joi.number().min(Joi.ref("minAmount")),
+    search: Joi.string().trim().max(100),
+    donorType: Joi.string().valid(...Object.values(DONOR_TYPES)),
+    sort: Joi.string().max(100).default("-lastDonationDate"),
+  }),
+
+  // Query validation for campaigns list
+  campaignQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string()
+      .valid(
+        CAMPAIGN_STATUS.ACTIVE,
+        CAMPAIGN_STATUS.COMPLETED,
+        CAMPAIGN_STATUS.PAUSED
+      )
+      .default(CAMPAIGN_STATUS.ACTIVE),
+    category: Joi.string().valid(...Object.values(CAMPAIGN_CATEGORIES)),
+    isUrgent: Joi.boolean(),
+  }),
+
+  // Campaign slug parameter validation
+  campaignSlug: Joi.object({
+    slug: Joi.string()
+      .required()
+      .max(200)
+      .pattern(/^[a-z0-9-]+$/)
+      .message("Invalid campaign slug"),
+  }),
+
+  // Ministry creation (admin)
+  createMinistry: Joi.object({
+    name: Joi.string().required().trim().max(100),
+    displayName: Joi.string().trim().max(100).allow(""),
+    slug: Joi.string()
+      .max(120)
+      .pattern(/^[a-z0-9-]+$/)
+      .message("Slug may only contain lowercase letters, numbers and dashes"),
+    description: Joi.string().trim().max(2000).allow(""),
+    impactStatement: Joi.string().trim().max(1000).allow(""),
+    imageUrl: Joi.string().uri({ allowRelative: true }).allow(""),
+    isActive: Joi.boolean().default(true),
+    displayOrder: Joi.number().integer().min(0).default(0),
+    suggestedAmountsMinor: Joi.array()
+      .items(Joi.number().integer().min(1))
+      .max(8)
+      .unique(),
+    goalAmountMinor: Joi.number().integer().min(0),
+    currency: Joi.string()
+      .valid(...Object.values(SUPPORTED_CURRENCIES))
+      .default("USD"),
+  }),
+
+  // Ministry update (admin). The name is fixed because donations store it.
+  updateMinistry: Joi.object({
+    displayName: Joi.string().trim().max(100).allow(""),
+    slug: Joi.string()
+      .max(120)
+      .pattern(/^[a-z0-9-]+$/)
+      .message("Slug may only contain lowercase letters, numbers and dashes"),
+    description: Joi.string().trim().max(2000).allow(""),
+    impactStatement: Joi.string().trim().max(1000).allow(""),
+    imageUrl: Joi.string().uri({ allowRelative: true }).allow(""),
+    isActive: Joi.boolean(),
+    displayOrder: Joi.number().integer().min(0),
+    suggestedAmountsMinor: Joi.array()
+      .items(Joi.number().integer().min(1))
+      .max(8)
+      .unique(),
+    goalAmountMinor: Joi.number().integer().min(0),
+    currency: Joi.string().valid(...Object.values(SUPPORTED_CURRENCIES)),
+  }).min(1),
+
+  // Query validation for the admin ministry list
+  ministryQuery: Joi.object({
+    isActive: Joi.boolean(),
+  }),
+
+  // Currency code parameter validation
+  currencyCode: Joi.object({
+    currency: Joi.string()
+      .required()
+      .uppercase()
+      .pattern(/^[A-Za-z]{3}$/)
+      .message("Currency must be a 3-letter ISO code"),
+  }),
+
+  // Set one exchange rate (units of base currency per unit of currency)
+  setExchangeRate: Joi.object({
+    rate: Joi.number().positive().required(),
+  }),
+
+  // Import several exchange rates, e.g. { rates: { EUR: 1.08 } }
+  importExchangeRates: Joi.object({
+    rates: Joi.object()
+      .pattern(/^[A-Za-z]{3}$/, Joi.number().positive().required())
+      .min(1)
+      .required(),
+  }),
+
+  // Donor portal magic link request
+  portalLogin: Joi.object({
+    email: Joi.string().required().email().lowercase(),
+  }),
+
+  // Donor portal magic link verification
+  portalVerify: Joi.object({
+    token: Joi.string().required().hex().length(64),
+  }),
+
+  // Stripe subscription ID parameter validation
+  subscriptionId: Joi.object({
+    subscriptionId: Joi.string()
+      .required()
+      .pattern(/^sub_\w+$/)
+      .message("Invalid subscription ID"),
+  }),
+
+  // Recurring gift amount/frequency change
+  updateSubscription: Joi.object({
+    ...amountFields,
+    recurringFrequency: Joi.string().valid("monthly", "quarterly", "annually"),
+  })
+    .min(1)
+    .oxor("amount", "amountMinor")
+    .with("amount", "amountUnit")
+    .without("amountMinor", "amountUnit")
+    .messages(amountMessages),
+
+  // Recurring gift pause
+  pauseSubscription: Joi.object({
+    resumesAt: Joi.date().greater("now"),
   }),
 
+  // Recurring gift card change
+  updatePaymentMethod: Joi.object({
+    paymentMethodId: Joi.string()
+      .required()
+      .pattern(/^pm_\w+$/)
+      .message("Invalid payment method ID"),
+  }),
+
+  // Admin login validation
+  adminLogin: Joi.object({
+    email: Joi.string().required().email().lowercase(),
+    password: Joi.string().required(),
+  }),
+
+  // Refresh token validation
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+
+  // Admin user creation validation
+  createAdmin: Joi.object({
+    name: Joi.string().required().trim().max(100),
+    email: Joi.string().required().email().lowercase(),
+    password: Joi.string().required().min(12).max(128).messages({
+      "string.min": "Password must be at least 12 characters",
+    }),
+    role: Joi.string()
+      .valid(...Object.values(ADMIN_ROLES))
+      .default(ADMIN_ROLES.VIEWER),
+  }),
+
+  // Admin user update validation
+  updateAdmin: Joi.object({
+    role: Joi.string().valid(...Object.values(ADMIN_ROLES)),
+    isActive: Joi.boolean(),
+  }).min(1),
+
   // ID parameter validation
   mongoId: Joi.object({
     id: Joi.string()
@@ -168,4 +587,5 @@ const schemas = {
 module.exports = {
   validate,
   schemas,
+  resolveAmountMinor,
 };
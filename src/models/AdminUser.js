@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { ADMIN_ROLES } = require("../utils/constants");
+const { authConfig } = require("../config/auth");
+
+const adminUserSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    password: {
+      type: String,
+      required: true,
+      minlength: 12,
+      select: false,
+    },
+
+    role: {
+      type: String,
+      required: true,
+      enum: Object.values(ADMIN_ROLES),
+      default: ADMIN_ROLES.VIEWER,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Incremented on logout/password change to revoke outstanding tokens
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    lastLoginAt: Date,
+    lastLoginIp: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Hash password before saving
+adminUserSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, authConfig.bcryptRounds);
+    if (!this.isNew) {
+      this.tokenVersion += 1;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Never expose password or token version in JSON output
+adminUserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+// Instance methods
+adminUserSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+adminUserSchema.methods.hasRole = function (requiredRole) {
+  const roles = Object.values(ADMIN_ROLES);
+  return roles.indexOf(this.role) >= roles.indexOf(requiredRole);
+};
+
+const AdminUser = mongoose.model("AdminUser", adminUserSchema);
+module.exports = { AdminUser };
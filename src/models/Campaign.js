@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+const {
+  CAMPAIGN_STATUS,
+  CAMPAIGN_CATEGORIES,
+  TIME,
+} = require("../utils/constants");
+const { fromMinorUnits, generateSlug } = require("../utils/helpers");
+
+const campaignSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150,
+    },
+
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      required: true,
+      maxlength: 5000,
+    },
+
+    shortDescription: {
+      type: String,
+      maxlength: 300,
+    },
+
+    // Fundraising Progress, in integer minor units of the currency like
+    // donation amounts; goalAmount and raisedAmount virtuals give major units
+    goalAmountMinor: {
+      type: Number,
+      required: true,
+      min: [1, "Goal amount must be at least 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Goal amount must be an integer number of minor units",
+      },
+    },
+
+    raisedAmountMinor: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: "Raised amount must be an integer number of minor units",
+      },
+    },
+
+    donorCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+
+    // Media
+    featuredImage: String,
+    gallery: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        caption: String,
+      },
+    ],
+
+    // Classification
+    category: {
+      type: String,
+      required: true,
+      enum: Object.values(CAMPAIGN_CATEGORIES),
+      default: CAMPAIGN_CATEGORIES.GENERAL,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(CAMPAIGN_STATUS),
+      default: CAMPAIGN_STATUS.DRAFT,
+      index: true,
+    },
+
+    isUrgent: {
+      type: Boolean,
+      default: false,
+    },
+
+    priority: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 10,
+    },
+
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    endDate: Date,
+
+    metadata: {
+      type: Map,
+      of: String,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+campaignSchema.index({ status: 1, category: 1 });
+campaignSchema.index({ status: 1, priority: -1, createdAt: -1 });
+
+// Major-unit virtuals for the stored minor-unit amounts
+const MONEY_FIELDS = {
+  goalAmount: "goalAmountMinor",
+  raisedAmount: "raisedAmountMinor",
+};
+
+Object.entries(MONEY_FIELDS).forEach(([field, minorField]) => {
+  campaignSchema.virtual(field).get(function () {
+    const value = this.get(minorField);
+    if (value === undefined || value === null) return value;
+    return fromMinorUnits(value, this.currency);
+  });
+});
+
+// Virtual for progress percentage
+campaignSchema.virtual("progressPercentage").get(function () {
+  if (!this.goalAmountMinor) return 0;
+  return Math.min(
+    100,
+    Math.round((this.raisedAmountMinor / this.goalAmountMinor) * 10000) / 100
+  );
+});
+
+// Virtual for days remaining until end date
+campaignSchema.virtual("daysRemaining").get(function () {
+  if (!this.endDate) return null;
+  return Math.max(0, Math.ceil((this.endDate - Date.now()) / TIME.DAY));
+});
+
+// Generate slug from title when not provided
+campaignSchema.pre("validate", function (next) {
+  if (!this.slug && this.title) {
+    this.slug = generateSlug(this.title);
+  }
+  next();
+});
+
+// Instance methods
+campaignSchema.methods.isAcceptingDonations = function () {
+  if (this.status !== CAMPAIGN_STATUS.ACTIVE) return false;
+  return !this.endDate || this.endDate > new Date();
+};
+
+campaignSchema.plugin(mongoosePaginate);
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+module.exports = { Campaign };
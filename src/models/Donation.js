@@ -1,20 +1,81 @@
 const mongoose = require("mongoose");
 const mongoosePaginate = require("mongoose-paginate-v2");
-const { PAYMENT_STATUS } = require("../utils/constants");
+const {
+  PAYMENT_STATUS,
+  REFUND_REASONS,
+  DEDICATION_TYPES,
+  DONATION_LIMITS,
+} = require("../utils/constants");
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  formatCurrency,
+} = require("../utils/helpers");
+
+const isInteger = {
+  validator: Number.isInteger,
+  message: "{PATH} must be an integer number of minor currency units",
+};
+
+const refundSchema = new mongoose.Schema(
+  {
+    stripeRefundId: {
+      type: String,
+      required: true,
+    },
+    amountMinor: {
+      type: Number,
+      required: true,
+      validate: isInteger,
+    },
+    reason: {
+      type: String,
+      enum: Object.values(REFUND_REASONS),
+      default: REFUND_REASONS.OTHER,
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    // Admin who issued the refund (absent for refunds made in Stripe)
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+    },
+    source: {
+      type: String,
+      enum: ["admin", "stripe"],
+      default: "admin",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+refundSchema.virtual("amount").get(function () {
+  return fromMinorUnits(this.amountMinor, this.ownerDocument().currency);
+});
 
 const donationSchema = new mongoose.Schema(
   {
-    // Ministry Initiative
+    // Ministry Initiative (Ministry.name, checked when the donation is made)
     ministry: {
       type: String,
       required: true,
-      enum: [
-        "Holiday Homes",
-        "Clean Water Initiative",
-        "Workplace Ministry",
-        "Lish AI Labs",
-        "Upendo Academy",
-      ],
+      trim: true,
+      index: true,
+    },
+
+    // Optional campaign the gift counts towards
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
       index: true,
     },
 
@@ -48,12 +109,27 @@ const donationSchema = new mongoose.Schema(
       },
     },
 
-    // Payment Information
-    amount: {
+    // Payment Information. Money is stored as integer minor units of the
+    // donation currency (cents for USD, yen for JPY); the amount, netAmount,
+    // transactionFee and refundedAmount virtuals give major units.
+    amountMinor: {
       type: Number,
       required: true,
-      min: [1, "Amount must be at least $1"],
-      max: [100000, "Amount cannot exceed $100,000"],
+      validate: [
+        isInteger,
+        {
+          // Limits apply to the gift itself, not fees the donor covered
+          validator: function (value) {
+            const { MIN_AMOUNT, MAX_AMOUNT } = DONATION_LIMITS;
+            const gift = value - (this.coveredFeeMinor || 0);
+            return (
+              gift >= toMinorUnits(MIN_AMOUNT, this.currency) &&
+              gift <= toMinorUnits(MAX_AMOUNT, this.currency)
+            );
+          },
+          message: "Amount is outside the allowed donation range",
+        },
+      ],
     },
 
     currency: {
@@ -63,6 +139,18 @@ const donationSchema = new mongoose.Schema(
       default: "USD",
     },
 
+    // Amount converted to the reporting currency at the rate in effect when
+    // the donation was recorded (null until a rate is available)
+    amountInBaseCurrency: {
+      type: Number,
+      default: null,
+    },
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+    },
+    exchangeRate: Number,
+
     paymentStatus: {
       type: String,
       required: true,
@@ -83,16 +171,56 @@ const donationSchema = new mongoose.Schema(
     stripeInvoiceId: String,
 
     // Transaction Details
-    netAmount: {
+    netAmountMinor: {
       type: Number,
+      validate: isInteger,
       default: function () {
-        return this.amount;
+        return this.amountMinor;
       },
     },
 
-    transactionFee: {
+    // Estimated when the donation is created, replaced by the actual fee
+    // from the Stripe balance transaction once the payment succeeds
+    transactionFeeMinor: {
       type: Number,
       default: 0,
+      validate: isInteger,
+    },
+    stripeBalanceTransactionId: String,
+
+    // Donor chose to pay the processing fee; amountMinor includes the
+    // coveredFeeMinor added on top of their gift
+    coverFees: {
+      type: Boolean,
+      default: false,
+    },
+    coveredFeeMinor: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: isInteger,
+    },
+
+    // Refunds
+    refundedAmountMinor: {
+      type: Number,
+      default: 0,
+      min: 0,
+      validate: isInteger,
+    },
+
+    refundedAt: Date,
+
+    refunds: [refundSchema],
+
+    // Chargeback dispute, if the donor disputed the payment
+    dispute: {
+      stripeDisputeId: String,
+      amountMinor: Number,
+      reason: String,
+      status: String,
+      createdAt: Date,
+      closedAt: Date,
     },
 
     // Donation Type
@@ -121,8 +249,43 @@ const donationSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Gift made in honor or in memory of someone. The recipient, if given,
+    // is sent a card that names the donor but not the amount.
+    dedication: {
+      type: {
+        type: String,
+        enum: Object.values(DEDICATION_TYPES),
+        default: DEDICATION_TYPES.NONE,
+      },
+      honoreeName: {
+        type: String,
+        trim: true,
+        maxlength: DONATION_LIMITS.MAX_DEDICATION_NAME_LENGTH,
+        required: function () {
+          return this.dedication.type !== DEDICATION_TYPES.NONE;
+        },
+      },
+      recipientName: {
+        type: String,
+        trim: true,
+        maxlength: DONATION_LIMITS.MAX_DEDICATION_NAME_LENGTH,
+      },
+      recipientEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: DONATION_LIMITS.MAX_MESSAGE_LENGTH,
+      },
+      notificationSentAt: Date,
+    },
+
     // Processing Status
     processedAt: Date,
+    canceledAt: Date,
     receiptSent: {
       type: Boolean,
       default: false,
@@ -144,26 +307,46 @@ const donationSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
 // Indexes
-donationSchema.index({ createdAt: -1 });
+donationSchema.index({ createdAt: -1, _id: -1 });
 donationSchema.index({ "donorInfo.email": 1, createdAt: -1 });
 donationSchema.index({ ministry: 1, createdAt: -1 });
 donationSchema.index({ paymentStatus: 1, createdAt: -1 });
+donationSchema.index({ currency: 1, baseCurrency: 1 });
 
 // Virtual for donor full name
 donationSchema.virtual("donorInfo.fullName").get(function () {
   return `${this.donorInfo.firstName} ${this.donorInfo.lastName}`;
 });
 
+// Major-unit virtuals for the stored minor-unit amounts. Undefined when the
+// minor field was not selected.
+const MONEY_FIELDS = {
+  amount: "amountMinor",
+  netAmount: "netAmountMinor",
+  transactionFee: "transactionFeeMinor",
+  coveredFee: "coveredFeeMinor",
+  refundedAmount: "refundedAmountMinor",
+  "dispute.amount": "dispute.amountMinor",
+};
+
+Object.entries(MONEY_FIELDS).forEach(([field, minorField]) => {
+  donationSchema.virtual(field).get(function () {
+    const value = this.get(minorField);
+    if (value === undefined || value === null) return value;
+    return fromMinorUnits(value, this.currency);
+  });
+});
+
 // Virtual for formatted amount
 donationSchema.virtual("formattedAmount").get(function () {
-  return new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: this.currency,
-  }).format(this.amount);
+  if (this.amountMinor === undefined) return undefined;
+  return formatCurrency(this.amount, this.currency);
 });
 
 // Instance methods
@@ -181,6 +364,30 @@ donationSchema.methods.isSuccessful = function () {
   return this.paymentStatus === PAYMENT_STATUS.SUCCEEDED;
 };
 
+// Whether this is a subscription renewal rather than the gift the donor made
+donationSchema.methods.isRenewal = function () {
+  return this.source === "recurring_webhook";
+};
+
+// Whether the dedication recipient should be sent a card
+donationSchema.methods.hasDedicationRecipient = function () {
+  return Boolean(
+    this.dedication &&
+      this.dedication.type !== DEDICATION_TYPES.NONE &&
+      this.dedication.recipientEmail
+  );
+};
+
+// Amount that can still be refunded, in minor units
+donationSchema.methods.getRefundableAmountMinor = function () {
+  return this.amountMinor - this.refundedAmountMinor;
+};
+
+// Amount that can still be refunded, in major units
+donationSchema.methods.getRefundableAmount = function () {
+  return fromMinorUnits(this.getRefundableAmountMinor(), this.currency);
+};
+
 donationSchema.plugin(mongoosePaginate);
 
 const Donation = mongoose.model("Donation", donationSchema);
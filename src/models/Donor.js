@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const mongoosePaginate = require("mongoose-paginate-v2");
+const { DONOR_TYPES, DONOR_TYPE_THRESHOLDS } = require("../utils/constants");
+
+const donorSchema = new mongoose.Schema(
+  {
+    // Contact Information
+    firstName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    address: {
+      line1: String,
+      line2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+    },
+
+    preferredCurrency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+
+    // Lifetime Statistics (totalDonated is in the base currency)
+    totalDonated: {
+      type: Number,
+      default: 0,
+    },
+    donationCount: {
+      type: Number,
+      default: 0,
+    },
+    firstDonationDate: Date,
+    lastDonationDate: Date,
+    hasRecurringDonation: {
+      type: Boolean,
+      default: false,
+    },
+
+    donorType: {
+      type: String,
+      enum: Object.values(DONOR_TYPES),
+      default: DONOR_TYPES.FIRST_TIME,
+      index: true,
+    },
+
+    // Donor portal magic-link login (hash of the single-use token)
+    portalLoginTokenHash: {
+      type: String,
+      select: false,
+    },
+    portalLoginTokenExpiresAt: {
+      type: Date,
+      select: false,
+    },
+    lastPortalLoginAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+donorSchema.index({ totalDonated: -1 });
+donorSchema.index({ lastDonationDate: -1 });
+donorSchema.index({ lastName: 1, firstName: 1 });
+
+// Virtual for donor full name
+donorSchema.virtual("fullName").get(function () {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+// Determine donor type from lifetime statistics
+donorSchema.methods.classify = function () {
+  if (this.totalDonated >= DONOR_TYPE_THRESHOLDS.CHAMPION) {
+    return DONOR_TYPES.CHAMPION;
+  }
+  if (this.totalDonated >= DONOR_TYPE_THRESHOLDS.MAJOR_DONOR) {
+    return DONOR_TYPES.MAJOR_DONOR;
+  }
+  if (this.hasRecurringDonation) {
+    return DONOR_TYPES.RECURRING;
+  }
+  if (this.donationCount > 1) {
+    return DONOR_TYPES.RETURNING;
+  }
+  return DONOR_TYPES.FIRST_TIME;
+};
+
+// Store the donor type for the stats this document was read with. Skipped
+// when the stats have changed since, so a slower request never writes a
+// stale type.
+donorSchema.methods.updateDonorType = async function (session = null) {
+  const donorType = this.classify();
+  if (donorType === this.donorType) return this;
+
+  await this.constructor.updateOne(
+    {
+      _id: this._id,
+      totalDonated: this.totalDonated,
+      donationCount: this.donationCount,
+      hasRecurringDonation: this.hasRecurringDonation,
+    },
+    { $set: { donorType } },
+    { session }
+  );
+
+  this.donorType = donorType;
+  return this;
+};
+
+donorSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.portalLoginTokenHash;
+    delete ret.portalLoginTokenExpiresAt;
+    return ret;
+  },
+});
+
+donorSchema.plugin(mongoosePaginate);
+
+const Donor = mongoose.model("Donor", donorSchema);
+module.exports = { Donor };
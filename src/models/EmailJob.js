@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const {
+  EMAIL_TYPES,
+  EMAIL_JOB_STATUS,
+  EMAIL_QUEUE,
+} = require("../utils/constants");
+
+const emailJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: Object.values(EMAIL_TYPES),
+    },
+
+    // Recipient, kept for admin search (the handler decides the actual address)
+    to: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    // Data the handler needs to build the email (e.g. { donationId })
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Prevents queueing the same email twice (e.g. "receipt:<donationId>")
+    dedupeKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(EMAIL_JOB_STATUS),
+      default: EMAIL_JOB_STATUS.PENDING,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: EMAIL_QUEUE.MAX_ATTEMPTS,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+
+    // Delivery result
+    sentAt: Date,
+    messageId: String,
+    lastError: String,
+    failures: [
+      {
+        _id: false,
+        attempt: Number,
+        error: String,
+        failedAt: Date,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ type: 1, createdAt: -1 });
+
+const EmailJob = mongoose.model("EmailJob", emailJobSchema);
+module.exports = { EmailJob };
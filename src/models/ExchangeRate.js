@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { EXCHANGE_RATE_SOURCES } = require("../utils/constants");
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    baseCurrency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    // Units of baseCurrency per one unit of currency
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, "Exchange rate must be positive"],
+    },
+
+    source: {
+      type: String,
+      enum: Object.values(EXCHANGE_RATE_SOURCES),
+      default: EXCHANGE_RATE_SOURCES.MANUAL,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AdminUser",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+exchangeRateSchema.index({ currency: 1, baseCurrency: 1 }, { unique: true });
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+module.exports = { ExchangeRate };
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { IDEMPOTENCY_STATUS } = require("../utils/constants");
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Client supplied Idempotency-Key header
+    key: {
+      type: String,
+      required: true,
+    },
+
+    // Endpoint the key was used on, e.g. "POST /api/donations/intent"
+    scope: {
+      type: String,
+      required: true,
+    },
+
+    // Hash of the request body; reusing a key with another body is rejected
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(IDEMPOTENCY_STATUS),
+      default: IDEMPOTENCY_STATUS.PROCESSING,
+    },
+
+    lockedAt: Date,
+
+    // Response replayed for retries of a completed request
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+module.exports = { IdempotencyKey };
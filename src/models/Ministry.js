@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+const { fromMinorUnits, generateSlug } = require("../utils/helpers");
+
+const ministrySchema = new mongoose.Schema(
+  {
+    // Donations store the ministry by name, so it can't change once created
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 100,
+      immutable: true,
+    },
+
+    // Name shown to donors in emails; defaults to the name
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+
+    // Shown in receipts and thank-you emails to describe what a gift funds
+    impactStatement: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    imageUrl: String,
+
+    // Inactive ministries are hidden and no longer accept new donations
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    displayOrder: {
+      type: Number,
+      default: 0,
+    },
+
+    // Preset amounts offered on the donation form, in integer minor units of
+    // the currency like donation amounts
+    suggestedAmountsMinor: [
+      {
+        type: Number,
+        min: [1, "Suggested amounts must be at least 1"],
+        validate: {
+          validator: Number.isInteger,
+          message: "Suggested amounts must be integer minor units",
+        },
+      },
+    ],
+
+    // Fundraising goal, in integer minor units
+    goalAmountMinor: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: "Goal amount must be an integer number of minor units",
+      },
+    },
+
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+ministrySchema.index({ isActive: 1, displayOrder: 1 });
+
+// Major-unit virtuals for the stored minor-unit amounts
+ministrySchema.virtual("suggestedAmounts").get(function () {
+  if (!this.suggestedAmountsMinor) return undefined;
+  return this.suggestedAmountsMinor.map((amount) =>
+    fromMinorUnits(amount, this.currency)
+  );
+});
+
+ministrySchema.virtual("goalAmount").get(function () {
+  if (this.goalAmountMinor === undefined || this.goalAmountMinor === null) {
+    return this.goalAmountMinor;
+  }
+  return fromMinorUnits(this.goalAmountMinor, this.currency);
+});
+
+// Generate slug from name when not provided
+ministrySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = generateSlug(this.name);
+  }
+  next();
+});
+
+const Ministry = mongoose.model("Ministry", ministrySchema);
+module.exports = { Ministry };
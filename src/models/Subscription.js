@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const {
+  SUBSCRIPTION_STATUS,
+  RECURRING_FREQUENCIES,
+} = require("../utils/constants");
+
+const subscriptionSchema = new mongoose.Schema(
+  {
+    // Stripe Integration
+    stripeSubscriptionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    stripeCustomerId: {
+      type: String,
+      index: true,
+    },
+
+    // Donor and designation
+    donorEmail: {
+      type: String,
+      lowercase: true,
+      index: true,
+    },
+    ministry: String,
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
+
+    // Current billing terms
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+    recurringFrequency: {
+      type: String,
+      enum: Object.values(RECURRING_FREQUENCIES),
+    },
+
+    // Lifecycle
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(SUBSCRIPTION_STATUS),
+      index: true,
+    },
+    isPaused: {
+      type: Boolean,
+      default: false,
+    },
+    resumesAt: Date,
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    currentPeriodEnd: Date,
+    canceledAt: Date,
+
+    // Dunning
+    failedPaymentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastPaymentFailedAt: Date,
+    lastPaymentError: String,
+    nextPaymentAttemptAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+module.exports = { Subscription };
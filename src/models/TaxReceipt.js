@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const { TAX_RECEIPT_STATUS } = require("../utils/constants");
+
+const taxReceiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    donorEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Donor",
+    },
+    donorName: String,
+    address: {
+      line1: String,
+      line2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+    },
+
+    taxYear: {
+      type: Number,
+      required: true,
+    },
+
+    // Net (after refunds) totals per currency
+    totals: [
+      {
+        _id: false,
+        currency: String,
+        amount: Number,
+      },
+    ],
+    ministryBreakdown: [
+      {
+        _id: false,
+        ministry: String,
+        currency: String,
+        amount: Number,
+        count: Number,
+      },
+    ],
+    donationCount: {
+      type: Number,
+      default: 0,
+    },
+    donations: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Donation",
+      },
+    ],
+    // Contributions listed on the statement, so the PDF always matches the
+    // totals above
+    lines: [
+      {
+        _id: false,
+        donation: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Donation",
+        },
+        date: Date,
+        ministry: String,
+        currency: String,
+        amount: Number,
+      },
+    ],
+
+    // Delivery
+    status: {
+      type: String,
+      enum: Object.values(TAX_RECEIPT_STATUS),
+      required: true,
+    },
+    sentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One statement per donor per tax year
+taxReceiptSchema.index({ donorEmail: 1, taxYear: 1 }, { unique: true });
+taxReceiptSchema.index({ taxYear: 1, status: 1 });
+
+const TaxReceipt = mongoose.model("TaxReceipt", taxReceiptSchema);
+module.exports = { TaxReceipt };
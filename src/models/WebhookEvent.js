@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { WEBHOOK_EVENT_STATUS } = require("../utils/constants");
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // Stripe event ID (evt_...) used as the idempotency key
+    stripeEventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(WEBHOOK_EVENT_STATUS),
+      default: WEBHOOK_EVENT_STATUS.RECEIVED,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    lastError: String,
+
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processingStartedAt: Date,
+    processedAt: Date,
+
+    livemode: Boolean,
+
+    // Full Stripe event, kept so failed events can be replayed
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+module.exports = { WebhookEvent };
@@ -1,5 +1,25 @@
 const { Donation } = require("./Donation");
+const { Donor } = require("./Donor");
+const { Campaign } = require("./Campaign");
+const { AdminUser } = require("./AdminUser");
+const { WebhookEvent } = require("./WebhookEvent");
+const { Subscription } = require("./Subscription");
+const { TaxReceipt } = require("./TaxReceipt");
+const { EmailJob } = require("./EmailJob");
+const { Ministry } = require("./Ministry");
+const { ExchangeRate } = require("./ExchangeRate");
+const { IdempotencyKey } = require("./IdempotencyKey");
 
 module.exports = {
   Donation,
+  Donor,
+  Campaign,
+  AdminUser,
+  WebhookEvent,
+  Subscription,
+  TaxReceipt,
+  EmailJob,
+  Ministry,
+  ExchangeRate,
+  IdempotencyKey,
 };
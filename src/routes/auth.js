@@ -0,0 +1,63 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const authController = require("../controllers/authController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES, RATE_LIMITS, MESSAGES } = require("../utils/constants");
+
+// Throttle login attempts per IP
+const loginLimiter = rateLimit({
+  windowMs: RATE_LIMITS.LOGIN_WINDOW,
+  max: RATE_LIMITS.LOGIN_MAX_ATTEMPTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: MESSAGES.ERROR.RATE_LIMIT_EXCEEDED,
+  },
+});
+
+router.post(
+  "/login",
+  loginLimiter,
+  validate(schemas.adminLogin),
+  authController.login
+);
+
+router.post(
+  "/refresh",
+  validate(schemas.refreshToken),
+  authController.refresh
+);
+
+router.post("/logout", authenticate, authController.logout);
+
+router.get("/me", authenticate, authController.me);
+
+// Admin user management (superadmin only)
+router.get(
+  "/users",
+  authenticate,
+  authorize(ADMIN_ROLES.SUPERADMIN),
+  authController.listAdmins
+);
+
+router.post(
+  "/users",
+  authenticate,
+  authorize(ADMIN_ROLES.SUPERADMIN),
+  validate(schemas.createAdmin),
+  authController.createAdmin
+);
+
+router.patch(
+  "/users/:id",
+  authenticate,
+  authorize(ADMIN_ROLES.SUPERADMIN),
+  validate(schemas.mongoId, "params"),
+  validate(schemas.updateAdmin),
+  authController.updateAdmin
+);
+
+module.exports = router;
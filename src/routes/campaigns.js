@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const campaignController = require("../controllers/campaignController");
+const { validate, schemas } = require("../middlewares/validation");
+
+// List campaigns (public)
+router.get(
+  "/",
+  validate(schemas.campaignQuery, "query"),
+  campaignController.getCampaigns
+);
+
+// Get campaign by slug (public)
+router.get(
+  "/:slug",
+  validate(schemas.campaignSlug, "params"),
+  campaignController.getCampaignBySlug
+);
+
+module.exports = router;
@@ -2,11 +2,15 @@ const express = require("express");
 const router = express.Router();
 const donationController = require("../controllers/donationController");
 const { validate, schemas } = require("../middlewares/validation");
+const { idempotency } = require("../middlewares/idempotency");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
 
 // Create donation payment intent
 router.post(
   "/intent",
   validate(schemas.createDonation),
+  idempotency,
   donationController.createDonationIntent
 );
 
@@ -14,28 +18,86 @@ router.post(
 router.post(
   "/confirm",
   validate(schemas.confirmDonation),
+  idempotency,
   donationController.confirmDonation
 );
 
 // Get recent donations (public)
 router.get("/recent", donationController.getRecentDonations);
 
-// Get donation by ID
+// Admin routes
+// Export donations as CSV or XLSX (donor PII masked below finance)
+router.get(
+  "/export",
+  authenticate,
+  authorize(ADMIN_ROLES.VIEWER),
+  validate(schemas.donationExport, "query"),
+  donationController.exportDonations
+);
+
+// Get donation by ID (includes donor PII)
 router.get(
   "/:id",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
   validate(schemas.mongoId, "params"),
   donationController.getDonationById
 );
 
-// Admin routes (these would need authentication middleware when you implement it)
-// Get all donations (admin only)
+// Get all donations
 router.get(
   "/",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
   validate(schemas.donationQuery, "query"),
   donationController.getDonations
 );
 
-// Get donation analytics (admin only)
-router.get("/analytics/summary", donationController.getDonationAnalytics);
+// Get donation analytics
+router.get(
+  "/analytics/summary",
+  authenticate,
+  authorize(ADMIN_ROLES.VIEWER),
+  validate(schemas.analyticsQuery, "query"),
+  donationController.getDonationAnalytics
+);
+
+// Donor retention, first-time and lapsed donors, lifetime value
+router.get(
+  "/analytics/donors",
+  authenticate,
+  authorize(ADMIN_ROLES.VIEWER),
+  validate(schemas.retentionQuery, "query"),
+  donationController.getDonorRetention
+);
+
+// Monthly acquisition cohorts with their subsequent giving
+router.get(
+  "/analytics/cohorts",
+  authenticate,
+  authorize(ADMIN_ROLES.VIEWER),
+  validate(schemas.cohortQuery, "query"),
+  donationController.getDonorCohorts
+);
+
+// Top donors by lifetime giving (includes donor PII)
+router.get(
+  "/analytics/top-donors",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.topDonorsQuery, "query"),
+  donationController.getTopDonors
+);
+
+// Refund a donation (full or partial)
+router.post(
+  "/:id/refund",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.mongoId, "params"),
+  validate(schemas.refundDonation),
+  idempotency,
+  donationController.refundDonation
+);
 
 module.exports = router;
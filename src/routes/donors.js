@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const donorController = require("../controllers/donorController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
+
+// All donor routes expose PII and are restricted to finance admins
+router.use(authenticate, authorize(ADMIN_ROLES.FINANCE));
+
+// List and search donors
+router.get(
+  "/",
+  validate(schemas.donorQuery, "query"),
+  donorController.getDonors
+);
+
+// Get donor profile with giving history
+router.get(
+  "/:id",
+  validate(schemas.mongoId, "params"),
+  donorController.getDonorById
+);
+
+// Get donor giving stats
+router.get(
+  "/:id/stats",
+  validate(schemas.mongoId, "params"),
+  donorController.getDonorStats
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const emailJobController = require("../controllers/emailJobController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
+
+// The outbox holds donor email addresses and is restricted to finance admins
+router.use(authenticate, authorize(ADMIN_ROLES.FINANCE));
+
+// List email jobs
+router.get(
+  "/",
+  validate(schemas.emailJobQuery, "query"),
+  emailJobController.getJobs
+);
+
+// Get an email job
+router.get(
+  "/:id",
+  validate(schemas.mongoId, "params"),
+  emailJobController.getJobById
+);
+
+// Resend a failed email
+router.post(
+  "/:id/resend",
+  validate(schemas.mongoId, "params"),
+  emailJobController.resendJob
+);
+
+module.exports = router;
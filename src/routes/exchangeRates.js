@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const exchangeRateController = require("../controllers/exchangeRateController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
+
+router.use(authenticate);
+
+// List exchange rates
+router.get("/", authorize(ADMIN_ROLES.VIEWER), exchangeRateController.getRates);
+
+// Import several rates
+router.post(
+  "/import",
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.importExchangeRates),
+  exchangeRateController.importRates
+);
+
+// Set the rate for a currency
+router.put(
+  "/:currency",
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.currencyCode, "params"),
+  validate(schemas.setExchangeRate),
+  exchangeRateController.setRate
+);
+
+// Delete the rate for a currency
+router.delete(
+  "/:currency",
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.currencyCode, "params"),
+  exchangeRateController.deleteRate
+);
+
+module.exports = router;
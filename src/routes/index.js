@@ -5,11 +5,27 @@ const router = express.Router();
 const donationRoutes = require("./donations");
 const webhookRoutes = require("./webhooks");
 const healthRoutes = require("./health");
+const authRoutes = require("./auth");
+const donorRoutes = require("./donors");
+const campaignRoutes = require("./campaigns");
+const ministryRoutes = require("./ministries");
+const exchangeRateRoutes = require("./exchangeRates");
+const portalRoutes = require("./portal");
+const taxReceiptRoutes = require("./taxReceipts");
+const emailRoutes = require("./emails");
 
 // Mount routes WITHOUT /api prefix (it's added in app.js)
 router.use("/donations", donationRoutes);
 router.use("/webhooks", webhookRoutes);
 router.use("/health", healthRoutes);
+router.use("/auth", authRoutes);
+router.use("/donors", donorRoutes);
+router.use("/campaigns", campaignRoutes);
+router.use("/ministries", ministryRoutes);
+router.use("/exchange-rates", exchangeRateRoutes);
+router.use("/portal", portalRoutes);
+router.use("/tax-receipts", taxReceiptRoutes);
+router.use("/emails", emailRoutes);
 
 // API root endpoint
 router.get("/", (req, res) => {
@@ -20,6 +36,14 @@ router.get("/", (req, res) => {
       donations: "/api/donations",
       webhooks: "/api/webhooks",
       health: "/api/health",
+      auth: "/api/auth",
+      donors: "/api/donors",
+      campaigns: "/api/campaigns",
+      ministries: "/api/ministries",
+      exchangeRates: "/api/exchange-rates",
+      portal: "/api/portal",
+      taxReceipts: "/api/tax-receipts",
+      emails: "/api/emails",
     },
   });
 });
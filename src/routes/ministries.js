@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const ministryController = require("../controllers/ministryController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
+
+// List ministries accepting donations (public)
+router.get("/", ministryController.getActiveMinistries);
+
+// Admin routes
+// List all ministries, including inactive ones
+router.get(
+  "/admin",
+  authenticate,
+  authorize(ADMIN_ROLES.VIEWER),
+  validate(schemas.ministryQuery, "query"),
+  ministryController.getMinistries
+);
+
+// Get ministry by ID
+router.get(
+  "/:id",
+  authenticate,
+  authorize(ADMIN_ROLES.VIEWER),
+  validate(schemas.mongoId, "params"),
+  ministryController.getMinistryById
+);
+
+// Create ministry
+router.post(
+  "/",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.createMinistry),
+  ministryController.createMinistry
+);
+
+// Update ministry details, status or display order
+router.patch(
+  "/:id",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.mongoId, "params"),
+  validate(schemas.updateMinistry),
+  ministryController.updateMinistry
+);
+
+// Delete a ministry that has no donations
+router.delete(
+  "/:id",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.mongoId, "params"),
+  ministryController.deleteMinistry
+);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const portalController = require("../controllers/portalController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticateDonor } = require("../middlewares/auth");
+const { RATE_LIMITS, MESSAGES } = require("../utils/constants");
+
+// Throttle magic link requests per IP
+const loginLinkLimiter = rateLimit({
+  windowMs: RATE_LIMITS.LOGIN_WINDOW,
+  max: RATE_LIMITS.LOGIN_MAX_ATTEMPTS,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: MESSAGES.ERROR.RATE_LIMIT_EXCEEDED,
+  },
+});
+
+// Magic link login
+router.post(
+  "/login",
+  loginLinkLimiter,
+  validate(schemas.portalLogin),
+  portalController.requestLoginLink
+);
+
+router.post(
+  "/verify",
+  loginLinkLimiter,
+  validate(schemas.portalVerify),
+  portalController.verifyLoginLink
+);
+
+// Everything below requires a donor session
+router.use(authenticateDonor);
+
+router.get("/me", portalController.getOverview);
+
+router.get("/donations", portalController.getDonations);
+
+router.get("/subscriptions", portalController.getSubscriptions);
+
+router.patch(
+  "/subscriptions/:subscriptionId",
+  validate(schemas.subscriptionId, "params"),
+  validate(schemas.updateSubscription),
+  portalController.updateSubscription
+);
+
+router.post(
+  "/subscriptions/:subscriptionId/pause",
+  validate(schemas.subscriptionId, "params"),
+  validate(schemas.pauseSubscription),
+  portalController.pauseSubscription
+);
+
+router.post(
+  "/subscriptions/:subscriptionId/resume",
+  validate(schemas.subscriptionId, "params"),
+  portalController.resumeSubscription
+);
+
+router.delete(
+  "/subscriptions/:subscriptionId",
+  validate(schemas.subscriptionId, "params"),
+  portalController.cancelSubscription
+);
+
+router.post(
+  "/subscriptions/:subscriptionId/card-setup",
+  validate(schemas.subscriptionId, "params"),
+  portalController.createCardSetup
+);
+
+router.put(
+  "/subscriptions/:subscriptionId/payment-method",
+  validate(schemas.subscriptionId, "params"),
+  validate(schemas.updatePaymentMethod),
+  portalController.updatePaymentMethod
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const taxReceiptController = require("../controllers/taxReceiptController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
+
+// Tax statements contain donor PII and are restricted to finance admins
+router.use(authenticate, authorize(ADMIN_ROLES.FINANCE));
+
+// List generated statements
+router.get(
+  "/",
+  validate(schemas.taxReceiptQuery, "query"),
+  taxReceiptController.getReceipts
+);
+
+// Generate and email statements for a tax year
+router.post(
+  "/generate",
+  validate(schemas.generateTaxReceipts),
+  taxReceiptController.generateReceipts
+);
+
+// Download a statement as PDF
+router.get(
+  "/:id/pdf",
+  validate(schemas.mongoId, "params"),
+  taxReceiptController.downloadReceipt
+);
+
+module.exports = router;
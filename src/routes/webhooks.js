@@ -1,7 +1,35 @@
 const express = require("express");
 const router = express.Router();
 const webhookController = require("../controllers/webhookController");
+const { validate, schemas } = require("../middlewares/validation");
+const { authenticate, authorize } = require("../middlewares/auth");
+const { ADMIN_ROLES } = require("../utils/constants");
 
 router.post("/stripe", webhookController.handleStripeWebhook);
 
+// Admin webhook event log
+router.get(
+  "/events",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.webhookEventQuery, "query"),
+  webhookController.getEvents
+);
+
+router.get(
+  "/events/:id",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.mongoId, "params"),
+  webhookController.getEventById
+);
+
+router.post(
+  "/events/:id/replay",
+  authenticate,
+  authorize(ADMIN_ROLES.FINANCE),
+  validate(schemas.mongoId, "params"),
+  webhookController.replayEvent
+);
+
 module.exports = router;
@@ -0,0 +1,41 @@
+const { AdminUser } = require("../models");
+const { ADMIN_ROLES } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+// Create the initial superadmin from environment variables (idempotent)
+async function seedAdminsData() {
+  try {
+    const email = process.env.ADMIN_SEED_EMAIL;
+    const password = process.env.ADMIN_SEED_PASSWORD;
+
+    if (!email || !password) {
+      logger.warn(
+        "ADMIN_SEED_EMAIL/ADMIN_SEED_PASSWORD not set, skipping admin seed"
+      );
+      return null;
+    }
+
+    const existing = await AdminUser.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      logger.info(`Admin user already exists: ${existing.email}`);
+      return existing;
+    }
+
+    const admin = await AdminUser.create({
+      name: process.env.ADMIN_SEED_NAME || "Rockbridge Admin",
+      email,
+      password,
+      role: ADMIN_ROLES.SUPERADMIN,
+    });
+
+    logger.info(`Successfully seeded superadmin: ${admin.email}`);
+    return admin;
+  } catch (error) {
+    logger.error("Error seeding admin users:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  seedAdminsData,
+};
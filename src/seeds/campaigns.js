@@ -9,8 +9,8 @@ const seedCampaigns = [
       "Help us bring clean, safe drinking water to rural communities in need. Your donation will fund the construction of water wells, filtration systems, and education programs on water safety and hygiene.",
     shortDescription:
       "Providing clean water access to underserved rural communities through well construction and filtration systems.",
-    goalAmount: 50000,
-    raisedAmount: 18750,
+    goalAmountMinor: 5000000,
+    raisedAmountMinor: 1875000,
     currency: "USD",
     featuredImage:
       "https://images.unsplash.com/photo-1541622010-be7e4c0b8c19?w=800",
@@ -43,8 +43,8 @@ const seedCampaigns = [
       "Support the education of orphaned and vulnerable children by providing school supplies, uniforms, and tuition fees. Every child deserves access to quality education regardless of their circumstances.",
     shortDescription:
       "Supporting orphaned children's education through school supplies, uniforms, and tuition assistance.",
-    goalAmount: 25000,
-    raisedAmount: 12400,
+    goalAmountMinor: 2500000,
+    raisedAmountMinor: 1240000,
     currency: "USD",
     featuredImage:
       "https://images.unsplash.com/photo-1497486751825-1233686d5d80?w=800",
@@ -71,8 +71,8 @@ const seedCampaigns = [
       "Provide critical medical care and supplies to communities affected by natural disasters and emergencies. Your donation helps us respond quickly to urgent medical needs when disasters strike.",
     shortDescription:
       "Emergency medical aid and supplies for disaster-affected communities.",
-    goalAmount: 75000,
-    raisedAmount: 45300,
+    goalAmountMinor: 7500000,
+    raisedAmountMinor: 4530000,
     currency: "USD",
     featuredImage:
       "https://images.unsplash.com/photo-1576091160399-112ba8d25d1f?w=800",
@@ -94,8 +94,8 @@ const seedCampaigns = [
       "Combat hunger and malnutrition by providing nutritious meals, food packages, and agricultural training to food-insecure families. Help us ensure no one goes to bed hungry.",
     shortDescription:
       "Fighting hunger through food distribution and agricultural training programs.",
-    goalAmount: 40000,
-    raisedAmount: 28600,
+    goalAmountMinor: 4000000,
+    raisedAmountMinor: 2860000,
     currency: "USD",
     featuredImage:
       "https://images.unsplash.com/photo-1488521787991-ed7bbaae773c?w=800",
@@ -122,8 +122,8 @@ const seedCampaigns = [
       "Build a modern healthcare clinic to serve remote communities with limited access to medical care. The clinic will provide basic healthcare services, maternal care, and preventive medicine.",
     shortDescription:
       "Building a healthcare clinic for remote communities with limited medical access.",
-    goalAmount: 100000,
-    raisedAmount: 100000,
+    goalAmountMinor: 10000000,
+    raisedAmountMinor: 10000000,
     currency: "USD",
     featuredImage:
       "https://images.unsplash.com/photo-1551601651-2a8555f1a136?w=800",
@@ -145,6 +145,13 @@ async function seedCampaignsData() {
     // Clear existing campaigns (optional - remove in production)
     // await Campaign.deleteMany({});
 
+    // Leave an already seeded database alone so the seed can be re-run
+    const existing = await Campaign.estimatedDocumentCount();
+    if (existing > 0) {
+      logger.info(`${existing} campaigns already exist, skipping campaign seed`);
+      return [];
+    }
+
     // Insert seed data
     const campaigns = await Campaign.insertMany(seedCampaigns);
 
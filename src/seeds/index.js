@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 require("dotenv").config();
+const { seedMinistriesData } = require("./ministries");
 const { seedCampaignsData } = require("./campaigns");
+const { seedAdminsData } = require("./admins");
 const logger = require("../utils/logger");
 
 async function seedDatabase() {
@@ -18,7 +20,9 @@ async function seedDatabase() {
     logger.info("Connected to MongoDB for seeding");
 
     // Run all seed functions
+    await seedMinistriesData();
     await seedCampaignsData();
+    await seedAdminsData();
 
     logger.info("Database seeding completed successfully");
 
@@ -0,0 +1,87 @@
+const { Ministry } = require("../models");
+const logger = require("../utils/logger");
+
+const seedMinistries = [
+  {
+    name: "Holiday Homes",
+    slug: "holiday-homes",
+    description:
+      "Safe, loving homes and holiday care for orphaned and vulnerable children.",
+    impactStatement:
+      "Your gift provides meals, shelter, schooling support and a caring family environment for children who have nowhere else to go.",
+    imageUrl: "/images/ministries/holiday-homes.jpg",
+    displayOrder: 1,
+    suggestedAmountsMinor: [2500, 5000, 10000, 25000],
+  },
+  {
+    name: "Clean Water Initiative",
+    slug: "clean-water-initiative",
+    description:
+      "Drilling wells and installing filtration systems in communities without safe drinking water.",
+    impactStatement:
+      "Your gift helps bring clean, safe water to families, reducing waterborne disease and freeing children to attend school instead of walking for water.",
+    imageUrl: "/images/ministries/clean-water-initiative.jpg",
+    displayOrder: 2,
+    suggestedAmountsMinor: [3000, 6000, 15000, 50000],
+  },
+  {
+    name: "Workplace Ministry",
+    slug: "workplace-ministry",
+    description:
+      "Chaplaincy, mentoring and discipleship for people where they work.",
+    impactStatement:
+      "Your gift equips chaplains and mentors to encourage, support and walk alongside workers facing the pressures of daily life.",
+    imageUrl: "/images/ministries/workplace-ministry.jpg",
+    displayOrder: 3,
+    suggestedAmountsMinor: [2500, 5000, 10000, 25000],
+  },
+  {
+    name: "Lish AI Labs",
+    slug: "lish-ai-labs",
+    description:
+      "Technology and AI skills training that opens career paths for young people.",
+    impactStatement:
+      "Your gift funds equipment, instructors and scholarships so young people can build the digital skills that lead to meaningful work.",
+    imageUrl: "/images/ministries/lish-ai-labs.jpg",
+    displayOrder: 4,
+    suggestedAmountsMinor: [5000, 10000, 25000, 100000],
+  },
+  {
+    name: "Upendo Academy",
+    slug: "upendo-academy",
+    description:
+      "A school providing quality, Christ-centred education to children in need.",
+    impactStatement:
+      "Your gift covers tuition, books, uniforms and daily meals, giving children the education and care they need to thrive.",
+    imageUrl: "/images/ministries/upendo-academy.jpg",
+    displayOrder: 5,
+    suggestedAmountsMinor: [2500, 5000, 10000, 25000],
+  },
+];
+
+// Create the original ministries if they are missing (idempotent, so admin
+// edits made since are kept)
+async function seedMinistriesData() {
+  try {
+    const result = await Ministry.bulkWrite(
+      seedMinistries.map((ministry) => ({
+        updateOne: {
+          filter: { name: ministry.name },
+          update: { $setOnInsert: ministry },
+          upsert: true,
+        },
+      }))
+    );
+
+    logger.info(`Successfully seeded ${result.upsertedCount} ministries`);
+    return result;
+  } catch (error) {
+    logger.error("Error seeding ministries:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  seedMinistriesData,
+  seedMinistries,
+};
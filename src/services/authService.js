@@ -0,0 +1,176 @@
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const { AdminUser } = require("../models");
+const { authConfig } = require("../config/auth");
+const { AppError } = require("../middlewares/errorHandler");
+const { HTTP_STATUS, ERROR_CODES } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+const invalidCredentials = () =>
+  new AppError(
+    "Invalid email or password",
+    HTTP_STATUS.UNAUTHORIZED,
+    ERROR_CODES.AUTHENTICATION_ERROR
+  );
+
+const sessionExpired = () =>
+  new AppError(
+    "Session is no longer valid. Please log in again.",
+    HTTP_STATUS.UNAUTHORIZED,
+    ERROR_CODES.AUTHENTICATION_ERROR
+  );
+
+// Hash compared against when no usable admin matches the email, so a failed
+// login costs the same bcrypt work whether or not the account exists
+let dummyPasswordHash;
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash(
+      "dummy-password-for-timing",
+      authConfig.bcryptRounds
+    );
+  }
+  return dummyPasswordHash;
+};
+
+class AuthService {
+  // Issue an access/refresh token pair for an admin
+  issueTokens(admin) {
+    const accessToken = jwt.sign(
+      { sub: admin._id.toString(), role: admin.role, tv: admin.tokenVersion },
+      authConfig.accessToken.secret,
+      {
+        expiresIn: authConfig.accessToken.expiresIn,
+        issuer: authConfig.issuer,
+      }
+    );
+
+    const refreshToken = jwt.sign(
+      { sub: admin._id.toString(), tv: admin.tokenVersion },
+      authConfig.refreshToken.secret,
+      {
+        expiresIn: authConfig.refreshToken.expiresIn,
+        issuer: authConfig.issuer,
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: "Bearer",
+      expiresIn: authConfig.accessToken.expiresIn,
+    };
+  }
+
+  // Authenticate admin with email and password
+  async login(email, password, ipAddress) {
+    const admin = await AdminUser.findOne({ email }).select("+password");
+
+    if (!admin || !admin.isActive) {
+      await bcrypt.compare(password, await getDummyPasswordHash());
+      logger.warn(`Failed admin login attempt: ${email}`, { ipAddress });
+      throw invalidCredentials();
+    }
+
+    const isMatch = await admin.comparePassword(password);
+    if (!isMatch) {
+      logger.warn(`Failed admin login attempt: ${email}`, { ipAddress });
+      throw invalidCredentials();
+    }
+
+    admin.lastLoginAt = new Date();
+    admin.lastLoginIp = ipAddress;
+    await admin.save();
+
+    logger.info(`Admin logged in: ${admin._id}`, {
+      adminId: admin._id,
+      role: admin.role,
+    });
+
+    return { admin, tokens: this.issueTokens(admin) };
+  }
+
+  // Exchange a valid refresh token for a new token pair. Bumping the token
+  // version makes every refresh token single-use: the one just presented and
+  // any earlier tokens stop working.
+  async refresh(refreshToken) {
+    const payload = jwt.verify(refreshToken, authConfig.refreshToken.secret, {
+      issuer: authConfig.issuer,
+    });
+
+    const admin = await AdminUser.findOneAndUpdate(
+      { _id: payload.sub, tokenVersion: payload.tv, isActive: true },
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!admin) {
+      throw sessionExpired();
+    }
+
+    return { admin, tokens: this.issueTokens(admin) };
+  }
+
+  // Revoke all outstanding tokens for an admin
+  async logout(adminId) {
+    await AdminUser.updateOne({ _id: adminId }, { $inc: { tokenVersion: 1 } });
+    logger.info(`Admin logged out: ${adminId}`);
+  }
+
+  // Verify an access token and load the admin it belongs to
+  async verifyAccessToken(accessToken) {
+    const payload = jwt.verify(accessToken, authConfig.accessToken.secret, {
+      issuer: authConfig.issuer,
+    });
+
+    const admin = await AdminUser.findById(payload.sub);
+
+    if (!admin || !admin.isActive || admin.tokenVersion !== payload.tv) {
+      throw sessionExpired();
+    }
+
+    return admin;
+  }
+
+  // Create a new admin user
+  async createAdmin({ name, email, password, role }) {
+    const admin = new AdminUser({ name, email, password, role });
+    await admin.save();
+
+    logger.info(`Admin user created: ${admin._id}`, { role: admin.role });
+    return admin;
+  }
+
+  // Update role or active flag of an admin user
+  async updateAdmin(adminId, updates) {
+    const admin = await AdminUser.findById(adminId);
+
+    if (!admin) {
+      throw new AppError("Admin user not found", HTTP_STATUS.NOT_FOUND);
+    }
+
+    const revokeSessions =
+      (updates.role !== undefined && updates.role !== admin.role) ||
+      updates.isActive === false;
+
+    Object.assign(admin, updates);
+    if (revokeSessions) {
+      admin.tokenVersion += 1;
+    }
+
+    await admin.save();
+
+    logger.info(`Admin user updated: ${admin._id}`, {
+      role: admin.role,
+      isActive: admin.isActive,
+    });
+    return admin;
+  }
+
+  // List admin users
+  async listAdmins() {
+    return AdminUser.find().sort({ createdAt: -1 });
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,64 @@
+const { Campaign } = require("../models");
+const { CAMPAIGN_STATUS } = require("../utils/constants");
+const { getPaginationInfo } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Fields exposed on public campaign endpoints
+const PUBLIC_FIELDS =
+  "title slug description shortDescription goalAmountMinor raisedAmountMinor donorCount currency featuredImage gallery category status isUrgent priority startDate endDate metadata createdAt";
+
+class CampaignService {
+  // List public campaigns with filtering and pagination
+  async getCampaigns(filters = {}, options = {}) {
+    try {
+      const { status = CAMPAIGN_STATUS.ACTIVE, category, isUrgent } = filters;
+      const { page = 1, limit = 10 } = options;
+
+      const query = { status };
+      if (category) query.category = category;
+      if (isUrgent !== undefined) query.isUrgent = isUrgent;
+
+      const [campaigns, total] = await Promise.all([
+        Campaign.find(query)
+          .select(PUBLIC_FIELDS)
+          .sort({ isUrgent: -1, priority: -1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Campaign.countDocuments(query),
+      ]);
+
+      return {
+        campaigns,
+        pagination: getPaginationInfo(page, limit, total),
+      };
+    } catch (error) {
+      logger.error("Failed to get campaigns:", error);
+      throw error;
+    }
+  }
+
+  // Get a publicly visible campaign by slug
+  async getCampaignBySlug(slug) {
+    try {
+      return await Campaign.findOne({
+        slug,
+        status: { $ne: CAMPAIGN_STATUS.DRAFT },
+      }).select(PUBLIC_FIELDS);
+    } catch (error) {
+      logger.error("Failed to get campaign by slug:", error);
+      throw error;
+    }
+  }
+
+  // Get campaign by ID
+  async getCampaignById(campaignId) {
+    try {
+      return await Campaign.findById(campaignId);
+    } catch (error) {
+      logger.error("Failed to get campaign by ID:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,195 @@
+const ExcelJS = require("exceljs");
+const { Donation } = require("../models");
+const donationService = require("./donationService");
+const {
+  EXPORT_FORMATS,
+  DONATION_EXPORT_COLUMNS,
+  DONATION_EXPORT_PII_COLUMNS,
+} = require("../utils/constants");
+const { fromMinorUnits } = require("../utils/helpers");
+
+// Shown in place of personal data the admin may not see
+const MASK = "***";
+
+// Major-unit value of a minor-unit field, or null if it is not set
+const money = (field) => (donation) =>
+  donation[field] == null
+    ? null
+    : fromMinorUnits(donation[field], donation.currency);
+
+// Header and cell value of each export column
+const COLUMNS = {
+  id: { header: "Donation ID", value: (d) => String(d._id) },
+  createdAt: { header: "Date", value: (d) => d.createdAt },
+  ministry: { header: "Ministry", value: (d) => d.ministry },
+  campaign: {
+    header: "Campaign ID",
+    value: (d) => (d.campaign ? String(d.campaign) : null),
+  },
+  firstName: { header: "First Name", value: (d) => d.donorInfo.firstName },
+  lastName: { header: "Last Name", value: (d) => d.donorInfo.lastName },
+  email: { header: "Email", value: (d) => d.donorInfo.email },
+  phone: { header: "Phone", value: (d) => d.donorInfo.phone },
+  postalCode: { header: "Postal Code", value: (d) => d.donorInfo.postalCode },
+  amount: { header: "Amount", value: money("amountMinor") },
+  coveredFee: {
+    header: "Fee Covered by Donor",
+    value: money("coveredFeeMinor"),
+  },
+  transactionFee: {
+    header: "Processing Fee",
+    value: money("transactionFeeMinor"),
+  },
+  netAmount: { header: "Net Amount", value: money("netAmountMinor") },
+  refundedAmount: {
+    header: "Refunded Amount",
+    value: money("refundedAmountMinor"),
+  },
+  currency: { header: "Currency", value: (d) => d.currency },
+  amountInBaseCurrency: {
+    header: "Amount in Base Currency",
+    value: (d) => d.amountInBaseCurrency,
+  },
+  baseCurrency: { header: "Base Currency", value: (d) => d.baseCurrency },
+  paymentStatus: { header: "Payment Status", value: (d) => d.paymentStatus },
+  isRecurring: { header: "Recurring", value: (d) => Boolean(d.isRecurring) },
+  recurringFrequency: {
+    header: "Frequency",
+    value: (d) => d.recurringFrequency,
+  },
+  isAnonymous: { header: "Anonymous", value: (d) => Boolean(d.isAnonymous) },
+  dedicationType: {
+    header: "Dedication",
+    value: (d) => d.dedication && d.dedication.type,
+  },
+  honoreeName: {
+    header: "Honoree",
+    value: (d) => d.dedication && d.dedication.honoreeName,
+  },
+  stripePaymentIntentId: {
+    header: "Stripe Payment Intent",
+    value: (d) => d.stripePaymentIntentId,
+  },
+  source: { header: "Source", value: (d) => d.source },
+};
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: "text/csv; charset=utf-8",
+  [EXPORT_FORMATS.XLSX]:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Quote a CSV field. Text that a spreadsheet would run as a formula is
+// prefixed with an apostrophe.
+const csvField = (value) => {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "string") return String(value);
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(",")}\r\n`;
+
+// Wait for a slow client to catch up; fails if it disconnects
+const drained = (stream) =>
+  new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      return reject(new Error("Export stream closed"));
+    }
+
+    const onDrain = () => {
+      stream.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      stream.off("drain", onDrain);
+      reject(new Error("Export stream closed"));
+    };
+
+    stream.once("drain", onDrain);
+    stream.once("close", onClose);
+  });
+
+class DonationExportService {
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  // Stream donations matching the list filters to a writable stream (the
+  // response). Rows are read with a Mongo cursor, so memory use does not
+  // grow with the export. Personal data columns are masked unless
+  // canViewPii. Resolves with the number of rows written.
+  async exportDonations(stream, filters = {}, options = {}) {
+    const {
+      format = EXPORT_FORMATS.CSV,
+      columns = DONATION_EXPORT_COLUMNS,
+      sort,
+      canViewPii = false,
+    } = options;
+
+    const query = donationService.buildDonationQuery(filters);
+    const cursor = Donation.find(query)
+      .sort(donationService.buildDonationSort(sort, filters.currency))
+      .lean()
+      .cursor();
+
+    const headers = columns.map((column) => COLUMNS[column].header);
+    const rows = this.rows(cursor, columns, canViewPii);
+
+    return format === EXPORT_FORMATS.XLSX
+      ? this.writeXlsx(stream, headers, rows)
+      : this.writeCsv(stream, headers, rows);
+  }
+
+  // Cell values for each donation, in column order
+  async *rows(cursor, columns, canViewPii) {
+    for await (const donation of cursor) {
+      yield columns.map((column) =>
+        !canViewPii && DONATION_EXPORT_PII_COLUMNS.includes(column)
+          ? MASK
+          : COLUMNS[column].value(donation)
+      );
+    }
+  }
+
+  async writeCsv(stream, headers, rows) {
+    let count = 0;
+
+    // Byte order mark so Excel reads the file as UTF-8
+    stream.write(`\uFEFF${csvLine(headers)}`);
+
+    for await (const values of rows) {
+      if (!stream.write(csvLine(values))) await drained(stream);
+      count++;
+    }
+
+    stream.end();
+    return count;
+  }
+
+  async writeXlsx(stream, headers, rows) {
+    let count = 0;
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const worksheet = workbook.addWorksheet("Donations");
+
+    worksheet.addRow(headers).commit();
+
+    for await (const values of rows) {
+      worksheet.addRow(values).commit();
+      if (stream.writableNeedDrain) await drained(stream);
+      count++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+}
+
+module.exports = new DonationExportService();
@@ -1,48 +1,200 @@
 const mongoose = require("mongoose");
-const { Donation, Donor } = require("../models");
-const { PAYMENT_STATUS } = require("../utils/constants");
+const { Donation, Donor, Campaign, Subscription } = require("../models");
+const stripeService = require("./stripeService");
+const exchangeRateService = require("./exchangeRateService");
+const emailQueueService = require("./emailQueueService");
+const { config } = require("../config");
+const { AppError } = require("../middlewares/errorHandler");
+const {
+  PAYMENT_STATUS,
+  RECURRING_INTERVALS,
+  REFUND_REASONS,
+  ZERO_DECIMAL_CURRENCIES,
+  HTTP_STATUS,
+  ERROR_CODES,
+  PAGINATION,
+  ANALYTICS,
+  ANALYTICS_GRANULARITIES,
+  ANALYTICS_COMPARISONS,
+  TIME,
+} = require("../utils/constants");
+const {
+  fromMinorUnits,
+  toMinorUnits,
+  getCurrencyDecimals,
+  calculateDonationFee,
+  getPaginationInfo,
+  parseSortParam,
+  escapeRegex,
+  isDateOnly,
+  encodeCursor,
+  decodeCursor,
+  roundToCurrency,
+  startOfPeriod,
+  addPeriods,
+  formatZonedDate,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("../utils/helpers");
+const { resolveAmountMinor } = require("../middlewares/validation");
 const logger = require("../utils/logger");
 
+// Minor units per major unit of a donation's currency
+const MINOR_UNIT_FACTOR = {
+  $cond: [{ $in: ["$currency", ZERO_DECIMAL_CURRENCIES] }, 1, 100],
+};
+
+// Donation amount net of any partial refunds, in major units (for
+// aggregation pipelines)
+const NET_AMOUNT = {
+  $divide: [
+    {
+      $subtract: ["$amountMinor", { $ifNull: ["$refundedAmountMinor", 0] }],
+    },
+    MINOR_UNIT_FACTOR,
+  ],
+};
+
+// Net amount converted to the reporting currency. Donations without a rate
+// for the current base currency are null, which $sum and $avg skip.
+const NET_AMOUNT_IN_BASE = {
+  $cond: [
+    { $eq: ["$baseCurrency", config.baseCurrency] },
+    { $multiply: [NET_AMOUNT, "$exchangeRate"] },
+    null,
+  ],
+};
+
+// A minor-unit field converted to the reporting currency (null without a
+// rate, like NET_AMOUNT_IN_BASE)
+const inBaseCurrency = (minorField) => ({
+  $cond: [
+    { $eq: ["$baseCurrency", config.baseCurrency] },
+    {
+      $multiply: [
+        { $divide: [{ $ifNull: [minorField, 0] }, MINOR_UNIT_FACTOR] },
+        "$exchangeRate",
+      ],
+    },
+    null,
+  ],
+});
+
+// Value of part of a donation in the reporting currency, at the rate it was
+// converted at. Zero while it has no rate for the current base currency;
+// setting the rate adds it to the donor's total then.
+const toBaseAmount = (donation, amountMinor = donation.amountMinor) =>
+  donation.baseCurrency === config.baseCurrency
+    ? roundToCurrency(
+        fromMinorUnits(amountMinor, donation.currency) * donation.exchangeRate,
+        config.baseCurrency
+      )
+    : 0;
+
+// Part of a donation that counts toward its campaign's goal, in minor units.
+// A fee the donor covered goes to the processor, not the campaign, so it is
+// left out; a refund takes back its proportional share of the gift.
+const toCampaignAmountMinor = (
+  donation,
+  amountMinor = donation.amountMinor
+) => {
+  const giftMinor = donation.amountMinor - (donation.coveredFeeMinor || 0);
+  return Math.round((amountMinor * giftMinor) / donation.amountMinor);
+};
+
+// Donations still waiting for an exchange rate (excluded from amounts)
+const IS_UNCONVERTED = {
+  $cond: [{ $eq: ["$baseCurrency", config.baseCurrency] }, 0, 1],
+};
+
+const BASE_DECIMALS = getCurrencyDecimals(config.baseCurrency);
+
+// Part of a whole as a percentage with two decimals, or null for no whole
+const percentage = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 100 : null;
+
+// Summary figures reported as changes in analytics comparisons
+const COMPARED_ANALYTICS_FIELDS = [
+  "totalAmount",
+  "totalDonations",
+  "averageAmount",
+  "uniqueDonorCount",
+];
+
 class DonationService {
+  // Amount to charge for a gift, grossed up when the donor covers the fee,
+  // with the estimated fee and net until Stripe reports the actual fee
+  priceDonation(amountMinor, currency, coverFees = false) {
+    const { grossAmountMinor, feeMinor, netAmountMinor } =
+      calculateDonationFee(amountMinor, currency, coverFees);
+
+    return {
+      amountMinor: grossAmountMinor,
+      coverFees,
+      coveredFeeMinor: grossAmountMinor - amountMinor,
+      transactionFeeMinor: feeMinor,
+      netAmountMinor,
+    };
+  }
+
+  // Actual Stripe fee for a charge, converted to the donation currency when
+  // the account settles in another one. Null when it is not available yet,
+  // in which case the estimate is kept.
+  async getActualFee(chargeId, amountMinor, currency) {
+    if (!chargeId) return null;
+
+    try {
+      const balance = await stripeService.retrieveBalanceTransaction(chargeId);
+      if (!balance || typeof balance === "string") return null;
+
+      const feeMinor =
+        balance.currency.toUpperCase() === currency
+          ? balance.fee
+          : toMinorUnits(
+              fromMinorUnits(balance.fee, balance.currency) /
+                balance.exchange_rate,
+              currency
+            );
+
+      return {
+        transactionFeeMinor: feeMinor,
+        netAmountMinor: amountMinor - feeMinor,
+        stripeBalanceTransactionId: balance.id,
+      };
+    } catch (error) {
+      logger.warn(`Could not read Stripe fee for charge ${chargeId}`, {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
   // Create a new donation without campaign dependency
   async createDonation(donationData) {
     const session = await mongoose.startSession();
 
     try {
+      // Record the reporting currency amount at today's rate
+      const conversion = await exchangeRateService.convertToBase(
+        donationData.amountMinor,
+        donationData.currency || "USD"
+      );
+
       return await session.withTransaction(async () => {
         // Create donation record
-        const donation = new Donation(donationData);
+        const donation = new Donation({ ...donationData, ...conversion });
         await donation.save({ session });
 
-        // Create or update donor record
-        const donor = await Donor.findOneAndUpdate(
-          { email: donationData.donorInfo.email },
-          {
-            $set: {
-              firstName: donationData.donorInfo.firstName,
-              lastName: donationData.donorInfo.lastName,
-              phone: donationData.donorInfo.phone,
-              address: donationData.donorInfo.address,
-            },
-            $setOnInsert: {
-              email: donationData.donorInfo.email,
-              preferredCurrency: donationData.currency,
-            },
-          },
-          {
-            upsert: true,
-            new: true,
-            session,
-          }
-        );
-
-        // Update donor statistics
-        await donor.updateStats(donationData.amount);
+        // Update donor and campaign totals for successful donations
+        if (donation.paymentStatus === PAYMENT_STATUS.SUCCEEDED) {
+          await this.recordDonorDonation(donation, session);
+          await this.recordCampaignDonation(donation, session);
+        }
 
         logger.info(`Donation created successfully: ${donation._id}`, {
           donationId: donation._id,
           ministry: donationData.ministry,
-          amount: donationData.amount,
+          amount: donation.amount,
           donorEmail: donationData.donorInfo.email,
         });
 
@@ -56,35 +208,348 @@ class DonationService {
     }
   }
 
+  // Create or update the donor record and roll the donation into its stats.
+  // One atomic update, so concurrent donations from a donor all count.
+  async recordDonorDonation(donation, session = null) {
+    const { donorInfo } = donation;
+    const donationDate = donation.processedAt || donation.createdAt;
+
+    const donor = await Donor.findOneAndUpdate(
+      { email: donorInfo.email },
+      {
+        $set: {
+          firstName: donorInfo.firstName,
+          lastName: donorInfo.lastName,
+          ...(donorInfo.phone && { phone: donorInfo.phone }),
+          ...(donorInfo.postalCode && {
+            "address.postalCode": donorInfo.postalCode,
+          }),
+          ...(donation.isRecurring && { hasRecurringDonation: true }),
+        },
+        $setOnInsert: {
+          email: donorInfo.email,
+          preferredCurrency: donation.currency,
+        },
+        // Lifetime totals are kept in the base currency
+        $inc: {
+          totalDonated: toBaseAmount(donation),
+          donationCount: 1,
+        },
+        $min: { firstDonationDate: donationDate },
+        $max: { lastDonationDate: donationDate },
+      },
+      {
+        upsert: true,
+        new: true,
+        session,
+      }
+    );
+
+    return donor.updateDonorType(session);
+  }
+
+  // Take a refunded or disputed amount back out of the donor's stats,
+  // optionally no longer counting the donation
+  async reverseDonorDonation(donation, amountMinor, uncount = false) {
+    const donor = await Donor.findOneAndUpdate(
+      { email: donation.donorInfo.email },
+      {
+        $inc: {
+          totalDonated: -toBaseAmount(donation, amountMinor),
+          donationCount: uncount ? -1 : 0,
+        },
+      },
+      { new: true }
+    );
+
+    return donor && donor.updateDonorType();
+  }
+
+  // Rebuild a donor's lifetime stats from their successful donations, e.g.
+  // after changing BASE_CURRENCY. Run while no payments are being recorded.
+  async recalculateDonorStats(email) {
+    const [stats] = await Donation.aggregate([
+      {
+        $match: {
+          "donorInfo.email": email,
+          paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          totalDonated: { $sum: NET_AMOUNT_IN_BASE },
+          donationCount: { $sum: 1 },
+          firstDonationDate: {
+            $min: { $ifNull: ["$processedAt", "$createdAt"] },
+          },
+          lastDonationDate: {
+            $max: { $ifNull: ["$processedAt", "$createdAt"] },
+          },
+          hasRecurringDonation: { $max: { $eq: ["$isRecurring", true] } },
+        },
+      },
+    ]);
+
+    const donor = await Donor.findOneAndUpdate(
+      { email },
+      {
+        $set: {
+          totalDonated: stats
+            ? roundToCurrency(stats.totalDonated, config.baseCurrency)
+            : 0,
+          donationCount: stats ? stats.donationCount : 0,
+          firstDonationDate: stats ? stats.firstDonationDate : null,
+          lastDonationDate: stats ? stats.lastDonationDate : null,
+          ...(stats && stats.hasRecurringDonation && {
+            hasRecurringDonation: true,
+          }),
+        },
+      },
+      { new: true }
+    );
+
+    return donor && donor.updateDonorType();
+  }
+
+  // Add a successful donation to its campaign's raised amount and donor count
+  async recordCampaignDonation(donation, session = null) {
+    if (!donation.campaign) return null;
+
+    // Only count each donor once per campaign
+    const hasGivenBefore = await Donation.exists({
+      _id: { $ne: donation._id },
+      campaign: donation.campaign,
+      "donorInfo.email": donation.donorInfo.email,
+      paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+    }).session(session);
+
+    // Campaign gifts are taken in the campaign's currency only; one that is
+    // not (e.g. a renewal changed in Stripe) is left out of its progress
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: donation.campaign, currency: donation.currency },
+      {
+        $inc: {
+          raisedAmountMinor: toCampaignAmountMinor(donation),
+          donorCount: hasGivenBefore ? 0 : 1,
+        },
+      },
+      { session, new: true }
+    );
+
+    if (!campaign) {
+      logger.warn(`Donation not counted toward campaign: ${donation._id}`, {
+        campaignId: donation.campaign,
+        currency: donation.currency,
+      });
+    }
+
+    return campaign;
+  }
+
+  // Take a refunded or disputed amount back out of the campaign's progress
+  async reverseCampaignDonation(donation, amountMinor) {
+    if (!donation.campaign) return null;
+
+    return Campaign.updateOne(
+      { _id: donation.campaign, currency: donation.currency },
+      {
+        $inc: {
+          raisedAmountMinor: -toCampaignAmountMinor(donation, amountMinor),
+        },
+      }
+    );
+  }
+
+  // Create a one-time payment intent and record its pending donation. The
+  // ministry, donor and amount are fixed here; confirmation only completes it.
+  async createOneTimeDonation(donationData, { idempotencyKey } = {}) {
+    try {
+      const { ministry, currency, donorInfo, campaign } = donationData;
+      const pricing = this.priceDonation(
+        donationData.amountMinor,
+        currency,
+        donationData.coverFees
+      );
+
+      const paymentIntent = await stripeService.createPaymentIntent(
+        pricing.amountMinor,
+        currency,
+        {
+          ministry,
+          donorEmail: donorInfo.email,
+          donorName: `${donorInfo.firstName} ${donorInfo.lastName}`,
+          isRecurring: "false",
+          ...(campaign && { campaignId: campaign }),
+        },
+        false,
+        { idempotencyKey }
+      );
+
+      const donation = await this.createDonation({
+        ...donationData,
+        ...pricing,
+        isRecurring: false,
+        stripePaymentIntentId: paymentIntent.id,
+        paymentStatus: PAYMENT_STATUS.PENDING,
+      });
+
+      return { donation, paymentIntent };
+    } catch (error) {
+      logger.error("Failed to create one-time donation:", error);
+      throw error;
+    }
+  }
+
+  // Start a Stripe subscription and record its first (pending) donation
+  async createSubscriptionDonation(donationData, { idempotencyKey } = {}) {
+    try {
+      const { ministry, currency, donorInfo, recurringFrequency, campaign } =
+        donationData;
+      const pricing = this.priceDonation(
+        donationData.amountMinor,
+        currency,
+        donationData.coverFees
+      );
+      const donorName = `${donorInfo.firstName} ${donorInfo.lastName}`;
+
+      const customer = await stripeService.createCustomer(
+        donorInfo.email,
+        donorName,
+        donorInfo.postalCode ? { postal_code: donorInfo.postalCode } : null,
+        { idempotencyKey }
+      );
+
+      const price = await stripeService.createPrice(
+        pricing.amountMinor,
+        currency,
+        RECURRING_INTERVALS[recurringFrequency],
+        `${ministry} - ${recurringFrequency} donation`,
+        { idempotencyKey }
+      );
+
+      const subscription = await stripeService.createSubscription(
+        customer.id,
+        price.id,
+        {
+          ministry,
+          donorEmail: donorInfo.email,
+          donorName,
+          recurringFrequency,
+          ...(campaign && { campaignId: campaign }),
+        },
+        { idempotencyKey }
+      );
+
+      const invoice = subscription.latest_invoice;
+      const paymentIntent = invoice.payment_intent;
+
+      const donation = await this.createDonation({
+        ...donationData,
+        ...pricing,
+        isRecurring: true,
+        stripePaymentIntentId: paymentIntent.id,
+        stripeCustomerId: customer.id,
+        stripeSubscriptionId: subscription.id,
+        stripeInvoiceId: invoice.id,
+        paymentStatus: PAYMENT_STATUS.PENDING,
+      });
+
+      logger.info(`Subscription created: ${subscription.id}`, {
+        donationId: donation._id,
+        customerId: customer.id,
+        recurringFrequency,
+      });
+
+      return { donation, subscription, paymentIntent };
+    } catch (error) {
+      logger.error("Failed to create subscription donation:", error);
+      throw error;
+    }
+  }
+
   // Create recurring donation from webhook
   async createRecurringDonation(invoiceData) {
     try {
+      // The first invoice pays the donation recorded when the subscription
+      // was created, so transition that record instead of adding another
+      const invoiceDonation = await Donation.findOne({
+        stripeInvoiceId: invoiceData.stripeInvoiceId,
+      });
+
+      if (invoiceDonation) {
+        if (invoiceDonation.isSuccessful()) {
+          await this.queueDonationEmails(invoiceDonation);
+          return invoiceDonation;
+        }
+        return await this.updateDonationStatus(
+          invoiceDonation.stripePaymentIntentId,
+          PAYMENT_STATUS.SUCCEEDED,
+          (await this.getActualFee(
+            invoiceData.stripeChargeId,
+            invoiceDonation.amountMinor,
+            invoiceDonation.currency
+          )) || {}
+        );
+      }
+
       // Find the original subscription to get donor info
       const existingDonation = await Donation.findOne({
         stripeSubscriptionId: invoiceData.stripeSubscriptionId,
-      });
+      }).sort({ createdAt: 1 });
 
       if (!existingDonation) {
         throw new Error("Original subscription donation not found");
       }
 
+      const subscription = await Subscription.findOne({
+        stripeSubscriptionId: invoiceData.stripeSubscriptionId,
+      });
+
+      // Renewals keep covering the fee unless the amount has been changed
+      const { amountMinor, currency } = invoiceData;
+      const coversFees =
+        existingDonation.coverFees &&
+        existingDonation.amountMinor === amountMinor &&
+        existingDonation.currency === currency;
+      const { feeMinor } = calculateDonationFee(amountMinor, currency);
+
       const donationData = {
         donorInfo: existingDonation.donorInfo,
         ministry: existingDonation.ministry, // Use ministry instead of campaignId
-        amount: invoiceData.amount,
-        currency: invoiceData.currency,
+        campaign: existingDonation.campaign,
+        dedication: existingDonation.dedication,
+        amountMinor,
+        currency,
+        coverFees: coversFees,
+        coveredFeeMinor: coversFees ? existingDonation.coveredFeeMinor : 0,
+        transactionFeeMinor: feeMinor,
+        netAmountMinor: amountMinor - feeMinor,
+        ...(await this.getActualFee(
+          invoiceData.stripeChargeId,
+          amountMinor,
+          currency
+        )),
         isRecurring: true,
-        recurringFrequency: existingDonation.recurringFrequency,
+        recurringFrequency:
+          (subscription && subscription.recurringFrequency) ||
+          invoiceData.recurringFrequency ||
+          existingDonation.recurringFrequency,
         stripeSubscriptionId: invoiceData.stripeSubscriptionId,
         stripeCustomerId: invoiceData.stripeCustomerId,
         stripeInvoiceId: invoiceData.stripeInvoiceId,
+        ...(invoiceData.stripePaymentIntentId && {
+          stripePaymentIntentId: invoiceData.stripePaymentIntentId,
+        }),
         paymentStatus: PAYMENT_STATUS.SUCCEEDED,
-        netAmount: invoiceData.amount,
         source: "recurring_webhook",
         processedAt: new Date(),
       };
 
-      return await this.createDonation(donationData);
+      const donation = await this.createDonation(donationData);
+      await this.queueDonationEmails(donation);
+
+      return donation;
     } catch (error) {
       logger.error("Failed to create recurring donation:", error);
       throw error;
@@ -94,14 +559,20 @@ class DonationService {
   // Cancel recurring donation
   async cancelRecurringDonation(subscriptionId) {
     try {
-      const result = await Donation.updateMany(
-        { stripeSubscriptionId: subscriptionId },
+      const canceledAt = new Date();
+
+      // Payments already collected stay succeeded; only unpaid ones cancel
+      await Donation.updateMany(
         {
-          $set: {
-            paymentStatus: "canceled",
-            canceledAt: new Date(),
-          },
-        }
+          stripeSubscriptionId: subscriptionId,
+          paymentStatus: PAYMENT_STATUS.PENDING,
+        },
+        { $set: { paymentStatus: PAYMENT_STATUS.CANCELED } }
+      );
+
+      const result = await Donation.updateMany(
+        { stripeSubscriptionId: subscriptionId, canceledAt: null },
+        { $set: { canceledAt } }
       );
 
       logger.info(
@@ -115,22 +586,59 @@ class DonationService {
   }
 
   // Update donation status
-  async updateDonationStatus(paymentIntentId, status) {
+  async updateDonationStatus(paymentIntentId, status, updates = {}) {
     try {
-      const donation = await Donation.findOne({
+      const current = await Donation.findOne({
         stripePaymentIntentId: paymentIntentId,
       });
 
-      if (!donation) {
-        throw new Error("Donation not found");
+      if (!current) {
+        throw new AppError(
+          "Donation not found",
+          HTTP_STATUS.NOT_FOUND,
+          ERROR_CODES.DONATION_NOT_FOUND
+        );
       }
 
-      donation.paymentStatus = status;
-      if (status === PAYMENT_STATUS.SUCCEEDED && !donation.processedAt) {
-        donation.processedAt = new Date();
+      // A late or out-of-order failure must not undo a completed payment
+      if (
+        status === PAYMENT_STATUS.FAILED &&
+        current.paymentStatus !== PAYMENT_STATUS.PENDING
+      ) {
+        logger.info(
+          `Ignoring failure for ${current.paymentStatus} donation: ${current._id}`
+        );
+        return current;
       }
 
-      await donation.save();
+      const becameSuccessful =
+        status === PAYMENT_STATUS.SUCCEEDED && !current.isSuccessful();
+
+      // The confirm endpoint and the webhook can report the same payment at
+      // once. Matching on the status read above lets only one of them apply
+      // the transition and record the donor and campaign totals.
+      const donation = await Donation.findOneAndUpdate(
+        { _id: current._id, paymentStatus: current.paymentStatus },
+        {
+          $set: {
+            ...updates,
+            paymentStatus: status,
+            ...(status === PAYMENT_STATUS.SUCCEEDED &&
+              !current.processedAt && { processedAt: new Date() }),
+          },
+        },
+        { new: true }
+      );
+
+      if (!donation) {
+        return await Donation.findById(current._id);
+      }
+
+      if (becameSuccessful) {
+        await this.recordDonorDonation(donation);
+        await this.recordCampaignDonation(donation);
+        await this.queueDonationEmails(donation);
+      }
 
       logger.info(`Donation status updated: ${donation._id} -> ${status}`);
 
@@ -141,24 +649,542 @@ class DonationService {
     }
   }
 
-  // Get donations with filtering
+  // Queue the receipt emails for a successful donation. Safe to repeat: the
+  // jobs are deduplicated per donation.
+  async queueDonationEmails(donation) {
+    if (donation.receiptSent) return;
+    await emailQueueService.queueDonationEmails(donation);
+  }
+
+  // Complete the pending donation for a succeeded payment intent (confirm
+  // endpoint and payment_intent.succeeded webhook). The charged amount and
+  // actual fee come from Stripe; everything else stays as recorded at intent
+  // time.
+  async completePayment(paymentIntent) {
+    const draft = await Donation.findOne({
+      stripePaymentIntentId: paymentIntent.id,
+    });
+
+    if (!draft) {
+      throw new AppError(
+        "Donation not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.DONATION_NOT_FOUND
+      );
+    }
+
+    // Already completed, or since refunded or disputed. A repeated success
+    // re-queues any email the first attempt failed to queue.
+    if (
+      ![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(
+        draft.paymentStatus
+      )
+    ) {
+      if (draft.isSuccessful()) await this.queueDonationEmails(draft);
+      return draft;
+    }
+
+    const amountMinor = paymentIntent.amount;
+    const currency = paymentIntent.currency.toUpperCase();
+    const charged = {};
+
+    // The amount can only change if the intent was edited in Stripe
+    if (amountMinor !== draft.amountMinor || currency !== draft.currency) {
+      logger.warn(`Charged amount differs from donation: ${draft._id}`, {
+        paymentIntentId: paymentIntent.id,
+        expected: `${draft.amountMinor} ${draft.currency}`,
+        charged: `${amountMinor} ${currency}`,
+      });
+
+      const { feeMinor } = calculateDonationFee(amountMinor, currency);
+      Object.assign(
+        charged,
+        {
+          amountMinor,
+          currency,
+          transactionFeeMinor: feeMinor,
+          netAmountMinor: amountMinor - feeMinor,
+        },
+        await exchangeRateService.convertToBase(amountMinor, currency)
+      );
+    }
+
+    // Replace the estimated fee with the one Stripe charged
+    const { latest_charge: latestCharge } = paymentIntent;
+    Object.assign(
+      charged,
+      await this.getActualFee(
+        latestCharge && (latestCharge.id || latestCharge),
+        amountMinor,
+        currency
+      )
+    );
+
+    return this.updateDonationStatus(
+      paymentIntent.id,
+      PAYMENT_STATUS.SUCCEEDED,
+      charged
+    );
+  }
+
+  // Refund a donation in full or in part (admin initiated)
+  async refundDonation(
+    donationId,
+    refundData,
+    admin,
+    { idempotencyKey } = {}
+  ) {
+    try {
+      const { reason = REFUND_REASONS.OTHER, note } = refundData;
+      const donation = await Donation.findById(donationId);
+
+      if (!donation) {
+        throw new AppError(
+          "Donation not found",
+          HTTP_STATUS.NOT_FOUND,
+          ERROR_CODES.DONATION_NOT_FOUND
+        );
+      }
+
+      if (!donation.isSuccessful() || !donation.stripePaymentIntentId) {
+        throw new AppError(
+          "Only successful card donations can be refunded",
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.REFUND_ERROR
+        );
+      }
+
+      // The amount unit can only be checked against the donation's currency
+      const requested = resolveAmountMinor(refundData, donation.currency);
+      if (typeof requested === "string") {
+        throw new AppError(
+          requested,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+
+      const refundableMinor = donation.getRefundableAmountMinor();
+      const refundMinor = requested || refundableMinor;
+
+      if (refundMinor > refundableMinor) {
+        throw new AppError(
+          `Refund amount exceeds the refundable balance of ${donation.getRefundableAmount()}`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.REFUND_ERROR
+        );
+      }
+
+      // Without a client key, derive one from the refund balance, so a
+      // retried request gets back the refund Stripe already made
+      const refund = await stripeService.createRefund(
+        donation.stripePaymentIntentId,
+        refundMinor,
+        {
+          ...(reason !== REFUND_REASONS.OTHER && { reason }),
+          metadata: {
+            donationId: donation._id.toString(),
+            adminId: admin._id.toString(),
+          },
+          idempotencyKey:
+            idempotencyKey ||
+            `refund:${donation._id}:${donation.refundedAmountMinor}:${refundMinor}`,
+        }
+      );
+
+      return await this.applyRefund(donation, {
+        stripeRefundId: refund.id,
+        amountMinor: refundMinor,
+        reason,
+        note,
+        refundedBy: admin._id,
+        source: "admin",
+      });
+    } catch (error) {
+      logger.error("Failed to refund donation:", error);
+      throw error;
+    }
+  }
+
+  // Record a refund on a donation and reverse it out of donor/campaign totals
+  async applyRefund(donation, refund) {
+    // Refunds issued through the API also arrive via charge.refunded. The
+    // refund is pushed only if it is not recorded yet, in one update, so
+    // whichever path gets here second changes nothing.
+    const updated = await Donation.findOneAndUpdate(
+      {
+        _id: donation._id,
+        "refunds.stripeRefundId": { $ne: refund.stripeRefundId },
+      },
+      {
+        $push: { refunds: refund },
+        $inc: { refundedAmountMinor: refund.amountMinor },
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return Donation.findById(donation._id);
+    }
+
+    // Mark the donation refunded once; only that update counts it out of
+    // the donor's donations
+    let refunded = null;
+    if (updated.getRefundableAmountMinor() <= 0) {
+      refunded = await Donation.findOneAndUpdate(
+        {
+          _id: donation._id,
+          paymentStatus: { $ne: PAYMENT_STATUS.REFUNDED },
+        },
+        {
+          $set: {
+            paymentStatus: PAYMENT_STATUS.REFUNDED,
+            refundedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+    }
+    const fullyRefunded = Boolean(refunded);
+
+    await this.reverseDonorDonation(
+      donation,
+      refund.amountMinor,
+      fullyRefunded
+    );
+    await this.reverseCampaignDonation(donation, refund.amountMinor);
+
+    logger.info(`Donation refunded: ${donation._id}`, {
+      donationId: donation._id,
+      refundId: refund.stripeRefundId,
+      amount: fromMinorUnits(refund.amountMinor, donation.currency),
+      source: refund.source,
+      fullyRefunded,
+    });
+
+    return refunded || updated;
+  }
+
+  // Record refunds made outside the API (e.g. Stripe dashboard)
+  async syncRefundsFromStripe(charge) {
+    try {
+      const donation = await Donation.findOne({
+        stripePaymentIntentId: charge.payment_intent,
+      });
+
+      if (!donation) {
+        logger.warn(`No donation found for refunded charge: ${charge.id}`);
+        return null;
+      }
+
+      const { data: refunds } = await stripeService.listRefunds(
+        charge.payment_intent
+      );
+
+      const reasons = Object.values(REFUND_REASONS);
+      let current = donation;
+      for (const refund of refunds) {
+        if (refund.status === "failed" || refund.status === "canceled") {
+          continue;
+        }
+
+        current = await this.applyRefund(donation, {
+          stripeRefundId: refund.id,
+          amountMinor: refund.amount,
+          reason: reasons.includes(refund.reason)
+            ? refund.reason
+            : REFUND_REASONS.OTHER,
+          source: "stripe",
+          createdAt: new Date(refund.created * 1000),
+        });
+      }
+
+      return current;
+    } catch (error) {
+      logger.error("Failed to sync refunds from Stripe:", error);
+      throw error;
+    }
+  }
+
+  // Record a chargeback dispute opened against a donation
+  async recordDisputeCreated(dispute) {
+    try {
+      const donation = await Donation.findOne({
+        stripePaymentIntentId: dispute.payment_intent,
+      });
+
+      if (!donation) {
+        logger.warn(`No donation found for disputed charge: ${dispute.charge}`);
+        return null;
+      }
+
+      donation.dispute = {
+        stripeDisputeId: dispute.id,
+        amountMinor: dispute.amount,
+        reason: dispute.reason,
+        status: dispute.status,
+        createdAt: new Date(dispute.created * 1000),
+      };
+      donation.paymentStatus = PAYMENT_STATUS.DISPUTED;
+      await donation.save();
+
+      logger.warn(`Donation disputed: ${donation._id}`, {
+        donationId: donation._id,
+        disputeId: dispute.id,
+        reason: dispute.reason,
+        amount: donation.dispute.amount,
+      });
+
+      return donation;
+    } catch (error) {
+      logger.error("Failed to record dispute:", error);
+      throw error;
+    }
+  }
+
+  // Resolve a dispute: won disputes restore the donation, lost ones are
+  // reversed out of donor and campaign totals like a refund
+  async recordDisputeClosed(dispute) {
+    try {
+      const donation = await Donation.findOne({
+        stripePaymentIntentId: dispute.payment_intent,
+      });
+
+      if (!donation) {
+        logger.warn(`No donation found for disputed charge: ${dispute.charge}`);
+        return null;
+      }
+
+      // charge.dispute.closed can be delivered more than once
+      if (donation.dispute && donation.dispute.closedAt) {
+        return donation;
+      }
+
+      donation.dispute = {
+        stripeDisputeId: dispute.id,
+        amountMinor: dispute.amount,
+        reason: dispute.reason,
+        status: dispute.status,
+        createdAt:
+          (donation.dispute && donation.dispute.createdAt) ||
+          new Date(dispute.created * 1000),
+        closedAt: new Date(),
+      };
+
+      const won = dispute.status === "won";
+      donation.paymentStatus = won
+        ? PAYMENT_STATUS.SUCCEEDED
+        : PAYMENT_STATUS.DISPUTED;
+      await donation.save();
+
+      if (!won) {
+        const lostMinor = donation.getRefundableAmountMinor();
+
+        await this.reverseDonorDonation(donation, lostMinor, true);
+        await this.reverseCampaignDonation(donation, lostMinor);
+      }
+
+      logger.info(`Dispute closed for donation: ${donation._id}`, {
+        donationId: donation._id,
+        disputeId: dispute.id,
+        status: dispute.status,
+      });
+
+      return donation;
+    } catch (error) {
+      logger.error("Failed to record dispute closure:", error);
+      throw error;
+    }
+  }
+
+  // Mongo query for the admin donation list filters. Amount bounds are in
+  // major units of the currency filter when one is given, otherwise of the
+  // base currency (unconverted donations never match them).
+  buildDonationQuery(filters = {}) {
+    const {
+      ministry,
+      paymentStatus,
+      currency,
+      startDate,
+      endDate,
+      minAmount,
+      maxAmount,
+      search,
+    } = filters;
+    const query = {};
+
+    if (ministry) query.ministry = ministry;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (currency) query.currency = currency;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      // A date-only end date includes every donation made on that day
+      if (isDateOnly(endDate)) {
+        query.createdAt.$lt = new Date(new Date(endDate).getTime() + TIME.DAY);
+      } else if (endDate) {
+        query.createdAt.$lte = new Date(endDate);
+      }
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      const range = {};
+
+      if (currency) {
+        if (minAmount !== undefined) {
+          range.$gte = toMinorUnits(minAmount, currency);
+        }
+        if (maxAmount !== undefined) {
+          range.$lte = toMinorUnits(maxAmount, currency);
+        }
+        query.amountMinor = range;
+      } else {
+        if (minAmount !== undefined) range.$gte = minAmount;
+        if (maxAmount !== undefined) range.$lte = maxAmount;
+        query.amountInBaseCurrency = range;
+        query.baseCurrency = config.baseCurrency;
+      }
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      query.$or = [
+        { "donorInfo.email": pattern },
+        { "donorInfo.firstName": pattern },
+        { "donorInfo.lastName": pattern },
+      ];
+    }
+
+    return query;
+  }
+
+  // Sort for the admin donation list. "amount" sorts like the amount
+  // filter: within the filtered currency, else by base currency amount.
+  // Sorting by createdAt alone breaks ties on _id, so pages are stable and
+  // can be walked with cursors.
+  buildDonationSort(sortParam, currency) {
+    const sort = {};
+
+    for (const [field, order] of Object.entries(parseSortParam(sortParam))) {
+      if (field === "amount") {
+        sort[currency ? "amountMinor" : "amountInBaseCurrency"] = order;
+      } else {
+        sort[field] = order;
+      }
+    }
+
+    const fields = Object.keys(sort);
+    if (fields.length === 1 && fields[0] === "createdAt") {
+      sort._id = sort.createdAt;
+    }
+
+    return sort;
+  }
+
+  // Restrict a query to documents after a cursor, in sort order. Only
+  // createdAt sorts (see buildDonationSort) can be paged with cursors.
+  applyCursor(query, sort, cursor) {
+    const fields = Object.keys(sort);
+
+    if (fields.join(",") !== "createdAt,_id") {
+      throw new AppError(
+        "cursor can only be used when sorting by createdAt",
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new AppError(
+        "Invalid cursor",
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const after = sort.createdAt === 1 ? "$gt" : "$lt";
+    const id = new mongoose.Types.ObjectId(position.id);
+
+    return {
+      $and: [
+        query,
+        {
+          $or: [
+            { createdAt: { [after]: position.createdAt } },
+            { createdAt: position.createdAt, _id: { [after]: id } },
+          ],
+        },
+      ],
+    };
+  }
+
+  // Get donations with filtering. Pages are numbered for shallow listings;
+  // a cursor (the previous page's nextCursor) pages by keyset instead, which
+  // stays fast however deep it goes and skips the total count.
   async getDonations(filters = {}, options = {}) {
     try {
-      const { page = 1, limit = 10, sort = { createdAt: -1 } } = options;
+      const { page = 1, limit = 10, sort, cursor } = options;
+      const query = this.buildDonationQuery(filters);
+      const sortBy = this.buildDonationSort(sort, filters.currency);
+      const canUseCursor = Boolean(sortBy._id);
 
-      const query = Donation.find(filters)
-        .sort(sort)
-        .limit(limit * 1)
-        .skip((page - 1) * limit);
+      if (cursor) {
+        const donations = await Donation.find(
+          this.applyCursor(query, sortBy, cursor)
+        )
+          .sort(sortBy)
+          .limit(limit + 1);
+
+        const hasNextPage = donations.length > limit;
+        if (hasNextPage) donations.pop();
 
-      const donations = await query.exec();
-      const total = await Donation.countDocuments(filters);
+        return {
+          donations,
+          pagination: {
+            currentPage: null,
+            totalPages: null,
+            totalItems: null,
+            itemsPerPage: limit,
+            hasNextPage,
+            hasPrevPage: true,
+            nextPage: null,
+            prevPage: null,
+            nextCursor: hasNextPage
+              ? encodeCursor(donations[donations.length - 1])
+              : null,
+          },
+        };
+      }
+
+      if ((page - 1) * limit >= PAGINATION.MAX_OFFSET) {
+        throw new AppError(
+          `Pages beyond the first ${PAGINATION.MAX_OFFSET} donations must be fetched with a cursor`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        );
+      }
+
+      const [donations, total] = await Promise.all([
+        Donation.find(query)
+          .sort(sortBy)
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Donation.countDocuments(query),
+      ]);
+
+      const pagination = getPaginationInfo(page, limit, total);
 
       return {
         donations,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        totalDonations: total,
+        pagination: {
+          ...pagination,
+          nextCursor:
+            canUseCursor && pagination.hasNextPage
+              ? encodeCursor(donations[donations.length - 1])
+              : null,
+        },
       };
     } catch (error) {
       logger.error("Failed to get donations:", error);
@@ -176,116 +1202,291 @@ class DonationService {
     }
   }
 
-  // Get donation analytics by ministry
-  async getAnalytics(filters = {}) {
-    try {
-      const { startDate, endDate, ministry } = filters;
+  // Window covered by analytics, from start up to (not including) end.
+  // Date-only bounds are days in the timezone, and a date-only endDate
+  // includes that whole day. Without a startDate the window spans the
+  // default number of periods for the granularity, ending with the period
+  // the window ends in.
+  resolveAnalyticsRange({ startDate, endDate, granularity, timezone }) {
+    // Midnight in the timezone starting a YYYY-MM-DD date, or days after it
+    const localMidnight = (date, days = 0) => {
+      const [year, month, day] = date.split("-").map(Number);
+      return zonedTimeToUtc({ year, month, day: day + days }, timezone);
+    };
 
-      const matchStage = {
-        paymentStatus: PAYMENT_STATUS.SUCCEEDED,
-      };
+    let end = new Date();
+    if (isDateOnly(endDate)) end = localMidnight(endDate, 1);
+    else if (endDate) end = new Date(endDate);
 
-      if (startDate || endDate) {
-        matchStage.createdAt = {};
-        if (startDate) matchStage.createdAt.$gte = new Date(startDate);
-        if (endDate) matchStage.createdAt.$lte = new Date(endDate);
-      }
+    let start;
+    if (isDateOnly(startDate)) {
+      start = localMidnight(startDate);
+    } else if (startDate) {
+      start = new Date(startDate);
+    } else {
+      start = startOfPeriod(
+        addPeriods(
+          new Date(end.getTime() - 1),
+          1 - ANALYTICS.DEFAULT_PERIODS[granularity],
+          granularity,
+          timezone
+        ),
+        granularity,
+        timezone
+      );
+    }
+
+    return { start, end };
+  }
+
+  // Start date (YYYY-MM-DD in the timezone) of every period in a window
+  getAnalyticsPeriods(range, granularity, timezone) {
+    const periods = [];
+    let period = startOfPeriod(range.start, granularity, timezone);
 
-      if (ministry) {
-        matchStage.ministry = ministry;
+    while (period < range.end) {
+      if (periods.length === ANALYTICS.MAX_SERIES_POINTS) {
+        throw new AppError(
+          `Analytics series are limited to ${ANALYTICS.MAX_SERIES_POINTS} points; use a shorter range or a coarser granularity`,
+          HTTP_STATUS.BAD_REQUEST,
+          ERROR_CODES.VALIDATION_ERROR
+        );
       }
 
-      const pipeline = [
-        { $match: matchStage },
-        {
-          $group: {
-            _id: null,
-            totalDonations: { $sum: 1 },
-            totalAmount: { $sum: "$amount" },
-            averageAmount: { $avg: "$amount" },
-            uniqueDonors: { $addToSet: "$donorInfo.email" },
-            recurringDonations: {
-              $sum: { $cond: ["$isRecurring", 1, 0] },
-            },
+      periods.push(formatZonedDate(period, timezone));
+      period = addPeriods(period, 1, granularity, timezone);
+    }
+
+    return periods;
+  }
+
+  // Successful donations in an analytics window
+  buildAnalyticsMatch(range, ministry) {
+    return {
+      paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+      createdAt: { $gte: range.start, $lt: range.end },
+      ...(ministry && { ministry }),
+    };
+  }
+
+  // Totals for the donations matching a $match stage, in the base currency
+  async getAnalyticsSummary(matchStage) {
+    const [summary] = await Donation.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: null,
+          totalDonations: { $sum: 1 },
+          totalAmount: { $sum: NET_AMOUNT_IN_BASE },
+          averageAmount: { $avg: NET_AMOUNT_IN_BASE },
+          uniqueDonors: { $addToSet: "$donorInfo.email" },
+          recurringDonations: {
+            $sum: { $cond: ["$isRecurring", 1, 0] },
+          },
+          processingFees: { $sum: inBaseCurrency("$transactionFeeMinor") },
+          feesCoveredByDonors: {
+            $sum: inBaseCurrency("$coveredFeeMinor"),
           },
+          feeCoveringDonations: {
+            $sum: { $cond: ["$coverFees", 1, 0] },
+          },
+          unconvertedDonations: { $sum: IS_UNCONVERTED },
         },
-        {
-          $project: {
-            _id: 0,
-            totalDonations: 1,
-            totalAmount: { $round: ["$totalAmount", 2] },
-            averageAmount: { $round: ["$averageAmount", 2] },
-            uniqueDonorCount: { $size: "$uniqueDonors" },
-            recurringDonations: 1,
-            oneTimeDonations: {
-              $subtract: ["$totalDonations", "$recurringDonations"],
-            },
+      },
+      {
+        $project: {
+          _id: 0,
+          totalDonations: 1,
+          totalAmount: { $round: ["$totalAmount", BASE_DECIMALS] },
+          averageAmount: { $round: ["$averageAmount", BASE_DECIMALS] },
+          uniqueDonorCount: { $size: "$uniqueDonors" },
+          recurringDonations: 1,
+          oneTimeDonations: {
+            $subtract: ["$totalDonations", "$recurringDonations"],
           },
+          processingFees: { $round: ["$processingFees", BASE_DECIMALS] },
+          feesCoveredByDonors: {
+            $round: ["$feesCoveredByDonors", BASE_DECIMALS],
+          },
+          feeCoveringDonations: 1,
+          unconvertedDonations: 1,
         },
-      ];
+      },
+    ]);
 
-      const [analytics] = await Donation.aggregate(pipeline);
+    return (
+      summary || {
+        totalDonations: 0,
+        totalAmount: 0,
+        averageAmount: 0,
+        uniqueDonorCount: 0,
+        recurringDonations: 0,
+        oneTimeDonations: 0,
+        processingFees: 0,
+        feesCoveredByDonors: 0,
+        feeCoveringDonations: 0,
+        unconvertedDonations: 0,
+      }
+    );
+  }
 
-      // Get daily donation trends
-      const trendsPipeline = [
-        { $match: matchStage },
-        {
-          $group: {
-            _id: {
-              year: { $year: "$createdAt" },
-              month: { $month: "$createdAt" },
-              day: { $dayOfMonth: "$createdAt" },
+  // Totals per period of a window, bucketed in the timezone. Periods without
+  // donations are included with zero totals, so the series charts directly.
+  async getAnalyticsSeries(matchStage, range, granularity, timezone) {
+    const periods = this.getAnalyticsPeriods(range, granularity, timezone);
+
+    const rows = await Donation.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              date: {
+                $dateTrunc: {
+                  date: "$createdAt",
+                  unit: granularity,
+                  timezone,
+                  ...(granularity === ANALYTICS_GRANULARITIES.WEEK && {
+                    startOfWeek: "monday",
+                  }),
+                },
+              },
+              format: "%Y-%m-%d",
+              timezone,
             },
-            dailyTotal: { $sum: "$amount" },
-            dailyCount: { $sum: 1 },
           },
+          totalAmount: { $sum: NET_AMOUNT_IN_BASE },
+          donationCount: { $sum: 1 },
         },
-        { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
-        { $limit: 30 },
-      ];
+      },
+    ]);
 
-      const trends = await Donation.aggregate(trendsPipeline);
+    const totals = new Map(rows.map((row) => [row._id, row]));
 
-      // Get ministry breakdown
-      const ministryBreakdown = await Donation.aggregate([
-        { $match: matchStage },
-        {
-          $group: {
-            _id: "$ministry",
-            totalAmount: { $sum: "$amount" },
-            totalDonations: { $sum: 1 },
-            avgAmount: { $avg: "$amount" },
+    return periods.map((period) => {
+      const row = totals.get(period);
+
+      return {
+        period,
+        totalAmount: row
+          ? roundToCurrency(row.totalAmount, config.baseCurrency)
+          : 0,
+        donationCount: row ? row.donationCount : 0,
+      };
+    });
+  }
+
+  // Get donation analytics in the base currency: summary, a time series by
+  // day, week, month or year in a timezone, the ministry breakdown, and
+  // optionally the same figures for a comparison period
+  async getAnalytics(filters = {}) {
+    try {
+      const {
+        ministry,
+        granularity = ANALYTICS_GRANULARITIES.DAY,
+        timezone = config.reportingTimezone,
+        compare,
+      } = filters;
+
+      const range = this.resolveAnalyticsRange({
+        ...filters,
+        granularity,
+        timezone,
+      });
+      const matchStage = this.buildAnalyticsMatch(range, ministry);
+
+      const [summary, series, ministryBreakdown] = await Promise.all([
+        this.getAnalyticsSummary(matchStage),
+        this.getAnalyticsSeries(matchStage, range, granularity, timezone),
+        Donation.aggregate([
+          { $match: matchStage },
+          {
+            $group: {
+              _id: "$ministry",
+              totalAmount: { $sum: NET_AMOUNT_IN_BASE },
+              totalDonations: { $sum: 1 },
+              avgAmount: { $avg: NET_AMOUNT_IN_BASE },
+            },
           },
-        },
-        {
-          $project: {
-            ministry: "$_id",
-            totalAmount: { $round: ["$totalAmount", 2] },
-            totalDonations: 1,
-            avgAmount: { $round: ["$avgAmount", 2] },
+          {
+            $project: {
+              ministry: "$_id",
+              totalAmount: { $round: ["$totalAmount", BASE_DECIMALS] },
+              totalDonations: 1,
+              avgAmount: { $round: ["$avgAmount", BASE_DECIMALS] },
+            },
           },
-        },
-        { $sort: { totalAmount: -1 } },
+          { $sort: { totalAmount: -1 } },
+        ]),
       ]);
 
-      return {
-        summary: analytics || {
-          totalDonations: 0,
-          totalAmount: 0,
-          averageAmount: 0,
-          uniqueDonorCount: 0,
-          recurringDonations: 0,
-          oneTimeDonations: 0,
-        },
-        trends,
+      const analytics = {
+        currency: config.baseCurrency,
+        granularity,
+        timezone,
+        startDate: range.start,
+        endDate: range.end,
+        summary,
+        series,
         ministryBreakdown,
       };
+
+      if (compare) {
+        analytics.comparison = await this.getAnalyticsComparison(analytics, {
+          compare,
+          ministry,
+        });
+      }
+
+      return analytics;
     } catch (error) {
       logger.error("Failed to get donation analytics:", error);
       throw error;
     }
   }
 
+  // Figures for the period analytics are compared with: the same number of
+  // periods just before, or the same window a year earlier
+  async getAnalyticsComparison(analytics, { compare, ministry }) {
+    const { granularity, timezone, summary } = analytics;
+
+    const [amount, unit] =
+      compare === ANALYTICS_COMPARISONS.YEAR
+        ? [-1, ANALYTICS_GRANULARITIES.YEAR]
+        : [-analytics.series.length, granularity];
+
+    const previousRange = {
+      start: addPeriods(analytics.startDate, amount, unit, timezone),
+      end: addPeriods(analytics.endDate, amount, unit, timezone),
+    };
+    const matchStage = this.buildAnalyticsMatch(previousRange, ministry);
+
+    const [previousSummary, series] = await Promise.all([
+      this.getAnalyticsSummary(matchStage),
+      this.getAnalyticsSeries(matchStage, previousRange, granularity, timezone),
+    ]);
+
+    const change = {};
+    for (const field of COMPARED_ANALYTICS_FIELDS) {
+      const previous = previousSummary[field] || 0;
+      const difference = (summary[field] || 0) - previous;
+
+      change[field] = {
+        difference: roundToCurrency(difference, config.baseCurrency),
+        percentChange: percentage(difference, previous),
+      };
+    }
+
+    return {
+      type: compare,
+      startDate: previousRange.start,
+      endDate: previousRange.end,
+      summary: previousSummary,
+      series,
+      change,
+    };
+  }
+
   // Get ministry-specific statistics
   async getMinistryStats(ministry) {
     try {
@@ -300,11 +1501,11 @@ class DonationService {
           $group: {
             _id: "$ministry",
             totalDonations: { $sum: 1 },
-            totalAmount: { $sum: "$amount" },
-            averageAmount: { $avg: "$amount" },
+            totalAmount: { $sum: NET_AMOUNT_IN_BASE },
+            averageAmount: { $avg: NET_AMOUNT_IN_BASE },
             uniqueDonors: { $addToSet: "$donorInfo.email" },
-            largestDonation: { $max: "$amount" },
-            smallestDonation: { $min: "$amount" },
+            largestDonation: { $max: "$amountInBaseCurrency" },
+            smallestDonation: { $min: "$amountInBaseCurrency" },
             recurringDonations: {
               $sum: { $cond: ["$isRecurring", 1, 0] },
             },
@@ -314,11 +1515,11 @@ class DonationService {
           $project: {
             ministry: "$_id",
             totalDonations: 1,
-            totalAmount: { $round: ["$totalAmount", 2] },
-            averageAmount: { $round: ["$averageAmount", 2] },
+            totalAmount: { $round: ["$totalAmount", BASE_DECIMALS] },
+            averageAmount: { $round: ["$averageAmount", BASE_DECIMALS] },
             uniqueDonorCount: { $size: "$uniqueDonors" },
-            largestDonation: { $round: ["$largestDonation", 2] },
-            smallestDonation: { $round: ["$smallestDonation", 2] },
+            largestDonation: { $round: ["$largestDonation", BASE_DECIMALS] },
+            smallestDonation: { $round: ["$smallestDonation", BASE_DECIMALS] },
             recurringDonations: 1,
             oneTimeDonations: {
               $subtract: ["$totalDonations", "$recurringDonations"],
@@ -338,11 +1539,11 @@ class DonationService {
         .sort({ createdAt: -1 })
         .limit(10)
         .select(
-          "donorInfo.firstName donorInfo.lastName amount createdAt message"
-        )
-        .lean();
+          "donorInfo.firstName donorInfo.lastName amountMinor currency createdAt message"
+        );
 
       return {
+        currency: config.baseCurrency,
         stats: stats || {
           ministry,
           totalDonations: 0,
@@ -376,8 +1577,8 @@ class DonationService {
           $group: {
             _id: "$donorInfo.email",
             totalDonations: { $sum: 1 },
-            totalAmount: { $sum: "$amount" },
-            averageAmount: { $avg: "$amount" },
+            totalAmount: { $sum: NET_AMOUNT_IN_BASE },
+            averageAmount: { $avg: NET_AMOUNT_IN_BASE },
             firstDonation: { $min: "$createdAt" },
             lastDonation: { $max: "$createdAt" },
             ministries: { $addToSet: "$ministry" },
@@ -393,36 +1594,272 @@ class DonationService {
     }
   }
 
-  // Get top donors
+  // Get top donors by net lifetime giving, in the base currency
   async getTopDonors(limit = 10) {
     try {
       const pipeline = [
         {
-          $match: {
-            paymentStatus: PAYMENT_STATUS.SUCCEEDED,
-            isAnonymous: false,
-          },
+          $match: { paymentStatus: PAYMENT_STATUS.SUCCEEDED },
         },
+        // Oldest first, so the last name pushed is the most recent one
+        { $sort: { createdAt: 1 } },
         {
           $group: {
             _id: "$donorInfo.email",
-            firstName: { $first: "$donorInfo.firstName" },
-            lastName: { $first: "$donorInfo.lastName" },
-            totalDonated: { $sum: "$amount" },
+            // Anonymous gifts count toward the totals but never reveal a name
+            names: {
+              $push: {
+                $cond: [
+                  "$isAnonymous",
+                  "$$REMOVE",
+                  {
+                    firstName: "$donorInfo.firstName",
+                    lastName: "$donorInfo.lastName",
+                  },
+                ],
+              },
+            },
+            totalDonated: { $sum: NET_AMOUNT_IN_BASE },
             donationCount: { $sum: 1 },
             lastDonation: { $max: "$createdAt" },
           },
         },
         { $sort: { totalDonated: -1 } },
         { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            email: "$_id",
+            // null for donors who only ever gave anonymously
+            firstName: {
+              $ifNull: [{ $arrayElemAt: ["$names.firstName", -1] }, null],
+            },
+            lastName: {
+              $ifNull: [{ $arrayElemAt: ["$names.lastName", -1] }, null],
+            },
+            totalDonated: { $round: ["$totalDonated", BASE_DECIMALS] },
+            donationCount: 1,
+            lastDonation: 1,
+          },
+        },
       ];
 
-      return await Donation.aggregate(pipeline);
+      return {
+        currency: config.baseCurrency,
+        donors: await Donation.aggregate(pipeline),
+      };
     } catch (error) {
       logger.error("Failed to get top donors:", error);
       throw error;
     }
   }
+
+  // Donor counts for a calendar year in the timezone: first-time and
+  // returning donors, retention from the year before, lapsed donors (gave
+  // the year before but not this year) and average lifetime value to the end
+  // of the year. Donors are identified by email.
+  async getDonorRetention(filters = {}) {
+    try {
+      const { timezone = config.reportingTimezone } = filters;
+      const year = filters.year || getZonedParts(new Date(), timezone).year;
+      const startOfYear = zonedTimeToUtc({ year, month: 1, day: 1 }, timezone);
+      const endOfYear = zonedTimeToUtc(
+        { year: year + 1, month: 1, day: 1 },
+        timezone
+      );
+
+      // Whether a donor's set of giving years contains a year
+      const gaveIn = (givingYear) => ({ $in: [givingYear, "$years"] });
+
+      const [retention] = await Donation.aggregate([
+        {
+          $match: {
+            paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+            createdAt: { $lt: endOfYear },
+          },
+        },
+        {
+          $group: {
+            _id: "$donorInfo.email",
+            firstDonation: { $min: "$createdAt" },
+            lifetimeValue: { $sum: NET_AMOUNT_IN_BASE },
+            years: {
+              $addToSet: { $year: { date: "$createdAt", timezone } },
+            },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            totalDonors: { $sum: 1 },
+            averageLifetimeValue: { $avg: "$lifetimeValue" },
+            donors: { $sum: { $cond: [gaveIn(year), 1, 0] } },
+            firstTimeDonors: {
+              $sum: {
+                $cond: [{ $gte: ["$firstDonation", startOfYear] }, 1, 0],
+              },
+            },
+            previousYearDonors: { $sum: { $cond: [gaveIn(year - 1), 1, 0] } },
+            retainedDonors: {
+              $sum: {
+                $cond: [{ $and: [gaveIn(year - 1), gaveIn(year)] }, 1, 0],
+              },
+            },
+          },
+        },
+      ]);
+
+      const {
+        totalDonors = 0,
+        averageLifetimeValue = 0,
+        donors = 0,
+        firstTimeDonors = 0,
+        previousYearDonors = 0,
+        retainedDonors = 0,
+      } = retention || {};
+
+      return {
+        currency: config.baseCurrency,
+        timezone,
+        year,
+        donors,
+        firstTimeDonors,
+        returningDonors: donors - firstTimeDonors,
+        previousYearDonors,
+        retainedDonors,
+        lapsedDonors: previousYearDonors - retainedDonors,
+        retentionRate: percentage(retainedDonors, previousYearDonors),
+        totalDonors,
+        averageLifetimeValue: roundToCurrency(
+          averageLifetimeValue || 0,
+          config.baseCurrency
+        ),
+      };
+    } catch (error) {
+      logger.error("Failed to get donor retention:", error);
+      throw error;
+    }
+  }
+
+  // Monthly acquisition cohorts: donors grouped by the month (in the
+  // timezone) of their first gift, with how many gave again and how much
+  // they gave in each following month up to the end of the range
+  async getDonorCohorts(filters = {}) {
+    try {
+      const granularity = ANALYTICS_GRANULARITIES.MONTH;
+      const { timezone = config.reportingTimezone } = filters;
+      const range = this.resolveAnalyticsRange({
+        ...filters,
+        granularity,
+        timezone,
+      });
+      const cohortMonths = this.getAnalyticsPeriods(
+        range,
+        granularity,
+        timezone
+      );
+
+      // Calendar month (as its first day) of a date in the timezone
+      const monthOf = (date) => ({
+        $dateTrunc: { date, unit: granularity, timezone },
+      });
+
+      const rows = await Donation.aggregate([
+        {
+          $match: {
+            paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+            createdAt: { $lt: range.end },
+          },
+        },
+        {
+          $setWindowFields: {
+            partitionBy: "$donorInfo.email",
+            output: { firstDonation: { $min: "$createdAt" } },
+          },
+        },
+        { $match: { firstDonation: { $gte: range.start } } },
+        {
+          $group: {
+            _id: {
+              cohort: {
+                $dateToString: {
+                  date: monthOf("$firstDonation"),
+                  format: "%Y-%m-%d",
+                  timezone,
+                },
+              },
+              month: {
+                $dateDiff: {
+                  startDate: monthOf("$firstDonation"),
+                  endDate: monthOf("$createdAt"),
+                  unit: granularity,
+                  timezone,
+                },
+              },
+            },
+            donors: { $addToSet: "$donorInfo.email" },
+            totalAmount: { $sum: NET_AMOUNT_IN_BASE },
+            donationCount: { $sum: 1 },
+          },
+        },
+        {
+          $project: {
+            donorCount: { $size: "$donors" },
+            totalAmount: 1,
+            donationCount: 1,
+          },
+        },
+      ]);
+
+      const cells = new Map(
+        rows.map((row) => [`${row._id.cohort}:${row._id.month}`, row])
+      );
+
+      const cohorts = cohortMonths.map((cohort, index) => {
+        const size = (cells.get(`${cohort}:0`) || {}).donorCount || 0;
+        let totalAmount = 0;
+
+        // Months from the cohort's first month to the end of the range
+        const months = cohortMonths.slice(index).map((_, month) => {
+          const cell = cells.get(`${cohort}:${month}`) || {
+            donorCount: 0,
+            totalAmount: 0,
+            donationCount: 0,
+          };
+          totalAmount += cell.totalAmount;
+
+          return {
+            month,
+            activeDonors: cell.donorCount,
+            retentionRate: percentage(cell.donorCount, size),
+            totalAmount: roundToCurrency(cell.totalAmount, config.baseCurrency),
+            donationCount: cell.donationCount,
+          };
+        });
+
+        return {
+          cohort,
+          donors: size,
+          totalAmount: roundToCurrency(totalAmount, config.baseCurrency),
+          averageValue: size
+            ? roundToCurrency(totalAmount / size, config.baseCurrency)
+            : 0,
+          months,
+        };
+      });
+
+      return {
+        currency: config.baseCurrency,
+        timezone,
+        startDate: range.start,
+        endDate: range.end,
+        cohorts,
+      };
+    } catch (error) {
+      logger.error("Failed to get donor cohorts:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new DonationService();
@@ -0,0 +1,87 @@
+const { Donation, Donor } = require("../models");
+const donationService = require("./donationService");
+const {
+  getPaginationInfo,
+  parseSortParam,
+  escapeRegex,
+} = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+class DonorService {
+  // List donors with search, filtering and pagination
+  async getDonors(filters = {}, options = {}) {
+    try {
+      const { search, donorType } = filters;
+      const { page = 1, limit = 10, sort } = options;
+
+      const query = {};
+
+      if (donorType) query.donorType = donorType;
+
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), "i");
+        query.$or = [
+          { email: pattern },
+          { firstName: pattern },
+          { lastName: pattern },
+        ];
+      }
+
+      const [donors, total] = await Promise.all([
+        Donor.find(query)
+          .sort(parseSortParam(sort))
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Donor.countDocuments(query),
+      ]);
+
+      return {
+        donors,
+        pagination: getPaginationInfo(page, limit, total),
+      };
+    } catch (error) {
+      logger.error("Failed to get donors:", error);
+      throw error;
+    }
+  }
+
+  // Get donor profile with full giving history
+  async getDonorProfile(donorId) {
+    try {
+      const donor = await Donor.findById(donorId);
+
+      if (!donor) return null;
+
+      // Full documents, so the history carries the major-unit amounts
+      const [donations, stats] = await Promise.all([
+        Donation.find({ "donorInfo.email": donor.email }).sort({
+          createdAt: -1,
+        }),
+        donationService.getDonorStats(donor.email),
+      ]);
+
+      return { donor, donations, stats: stats || null };
+    } catch (error) {
+      logger.error("Failed to get donor profile:", error);
+      throw error;
+    }
+  }
+
+  // Get a donor's giving stats without the donation history
+  async getDonorStats(donorId) {
+    try {
+      const donor = await Donor.findById(donorId).lean();
+
+      if (!donor) return null;
+
+      const stats = await donationService.getDonorStats(donor.email);
+      return { donorId: donor._id, stats: stats || null };
+    } catch (error) {
+      logger.error("Failed to get donor stats:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DonorService();
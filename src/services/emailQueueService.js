@@ -0,0 +1,197 @@
+const { EmailJob } = require("../models");
+const {
+  EMAIL_TYPES,
+  EMAIL_JOB_STATUS,
+  EMAIL_QUEUE,
+} = require("../utils/constants");
+const { getPaginationInfo } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+class EmailQueueService {
+  // Add an email to the outbox. Jobs with a dedupeKey are only queued once.
+  async enqueue(type, payload = {}, { to, dedupeKey } = {}) {
+    try {
+      if (!dedupeKey) {
+        return await EmailJob.create({ type, payload, to });
+      }
+
+      return await EmailJob.findOneAndUpdate(
+        { dedupeKey },
+        { $setOnInsert: { type, payload, to, dedupeKey } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Concurrent enqueue of the same email lost the upsert race
+      if (error.code === 11000) {
+        return EmailJob.findOne({ dedupeKey });
+      }
+      logger.error(`Failed to queue ${type} email:`, error);
+      throw error;
+    }
+  }
+
+  // Queue the receipt, thank-you and admin notification for a donation, plus
+  // the dedication card when the donor named a recipient. Renewals copy the
+  // dedication, but the card is only sent for the first gift.
+  async queueDonationEmails(donation) {
+    const donationId = donation._id.toString();
+    const jobs = [
+      { type: EMAIL_TYPES.RECEIPT, to: donation.donorInfo.email },
+      { type: EMAIL_TYPES.THANK_YOU, to: donation.donorInfo.email },
+      { type: EMAIL_TYPES.ADMIN_NOTIFICATION },
+    ];
+
+    if (donation.hasDedicationRecipient() && !donation.isRenewal()) {
+      jobs.push({
+        type: EMAIL_TYPES.DEDICATION_NOTIFICATION,
+        to: donation.dedication.recipientEmail,
+      });
+    }
+
+    return Promise.all(
+      jobs.map(({ type, to }) =>
+        this.enqueue(
+          type,
+          { donationId },
+          { to, dedupeKey: `${type}:${donationId}` }
+        )
+      )
+    );
+  }
+
+  // Atomically claim the next due job, including jobs abandoned mid-send
+  async claimNextJob() {
+    const now = new Date();
+
+    return EmailJob.findOneAndUpdate(
+      {
+        $or: [
+          {
+            status: EMAIL_JOB_STATUS.PENDING,
+            nextAttemptAt: { $lte: now },
+          },
+          {
+            status: EMAIL_JOB_STATUS.PROCESSING,
+            lockedAt: { $lt: new Date(now - EMAIL_QUEUE.LOCK_TIMEOUT) },
+          },
+        ],
+      },
+      {
+        $set: { status: EMAIL_JOB_STATUS.PROCESSING, lockedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Record a successful delivery
+  async markSent(job, messageId) {
+    return EmailJob.findByIdAndUpdate(
+      job._id,
+      {
+        $set: {
+          status: EMAIL_JOB_STATUS.SENT,
+          sentAt: new Date(),
+          messageId,
+        },
+        $unset: { lockedAt: "", lastError: "" },
+      },
+      { new: true }
+    );
+  }
+
+  // Record a failed attempt and schedule a retry with exponential backoff,
+  // or give up once the job has used all its attempts
+  async markFailed(job, error) {
+    const exhausted = job.attempts >= job.maxAttempts;
+    const delay = EMAIL_QUEUE.BACKOFF_BASE * 2 ** (job.attempts - 1);
+
+    return EmailJob.findByIdAndUpdate(
+      job._id,
+      {
+        $set: {
+          status: exhausted
+            ? EMAIL_JOB_STATUS.FAILED
+            : EMAIL_JOB_STATUS.PENDING,
+          nextAttemptAt: exhausted ? null : new Date(Date.now() + delay),
+          lastError: error.message,
+        },
+        $unset: { lockedAt: "" },
+        $push: {
+          failures: {
+            attempt: job.attempts,
+            error: error.message,
+            failedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // List outbox jobs for admins
+  async getJobs(filters = {}, options = {}) {
+    try {
+      const { status, type, to } = filters;
+      const { page = 1, limit = 20 } = options;
+
+      const query = {};
+      if (status) query.status = status;
+      if (type) query.type = type;
+      if (to) query.to = to;
+
+      const [jobs, total] = await Promise.all([
+        EmailJob.find(query)
+          .select("-payload")
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        EmailJob.countDocuments(query),
+      ]);
+
+      return {
+        jobs,
+        pagination: getPaginationInfo(page, limit, total),
+      };
+    } catch (error) {
+      logger.error("Failed to get email jobs:", error);
+      throw error;
+    }
+  }
+
+  // Get a single job including its payload
+  async getJobById(id) {
+    return EmailJob.findById(id).lean();
+  }
+
+  // Put a failed job back in the queue with a fresh set of attempts.
+  // Returns null if the job is not in the failed state.
+  async resendJob(id) {
+    return EmailJob.findOneAndUpdate(
+      { _id: id, status: EMAIL_JOB_STATUS.FAILED },
+      {
+        $set: {
+          status: EMAIL_JOB_STATUS.PENDING,
+          attempts: 0,
+          nextAttemptAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // Count jobs by status (for health checks)
+  async getStatusCounts() {
+    const counts = await EmailJob.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    return counts.reduce((result, { _id, count }) => {
+      result[_id] = count;
+      return result;
+    }, {});
+  }
+}
+
+module.exports = new EmailQueueService();
@@ -1,58 +1,91 @@
-const path = require("path");
-const fs = require("fs").promises;
 const { transporter, emailConfig } = require("../config/email");
+const { authConfig } = require("../config/auth");
+const { config } = require("../config");
+const { EMAIL_TYPES, DEDICATION_TYPES } = require("../utils/constants");
 const logger = require("../utils/logger");
 const { formatCurrency, formatDate } = require("../utils/helpers");
+const { renderTemplate } = require("../utils/templateEngine");
+const ministryService = require("./ministryService");
 
 class EmailService {
-  // Load and compile email template
+  // Render an email template (HTML and plain text) with the organization
+  // details every layout needs
   async loadTemplate(templateName, data) {
     try {
-      const templatePath = path.join(
-        __dirname,
-        "../templates",
-        `${templateName}.html`
-      );
-      let template = await fs.readFile(templatePath, "utf-8");
-
-      // Replace template variables
-      Object.keys(data).forEach((key) => {
-        const placeholder = new RegExp(`{{${key}}}`, "g");
-        template = template.replace(placeholder, data[key] || "");
+      return await renderTemplate(templateName, {
+        organizationName: config.organization.name,
+        organizationAddress: config.organization.address,
+        websiteUrl: config.frontendUrl,
+        ...data,
       });
-
-      return template;
     } catch (error) {
       logger.error("Failed to load email template:", error);
       throw new Error(`Failed to load email template: ${error.message}`);
     }
   }
 
+  // Describe what a gift funds: the ministry profile plus the campaign the
+  // gift counts towards, if any
+  async getMinistryTemplateData(donation) {
+    const profile = await ministryService.getMinistryProfile(
+      donation.ministry
+    );
+
+    if (donation.campaign && !donation.populated("campaign")) {
+      await donation.populate("campaign", "title");
+    }
+
+    return {
+      ministryName: profile.displayName,
+      ministryDescription: profile.description,
+      impactStatement: profile.impactStatement,
+      ministryImageUrl: profile.imageUrl,
+      campaignTitle: donation.campaign ? donation.campaign.title : null,
+    };
+  }
+
+  // "In memory of ..." line for donor and admin emails (null if none)
+  getDedicationTemplateData(donation) {
+    const { dedication } = donation;
+    if (!dedication || dedication.type === DEDICATION_TYPES.NONE) {
+      return { dedicationText: null };
+    }
+
+    const label =
+      dedication.type === DEDICATION_TYPES.IN_MEMORY
+        ? "In memory of"
+        : "In honor of";
+
+    return {
+      dedicationText: `${label} ${dedication.honoreeName}`,
+      dedicationNote: dedication.note,
+    };
+  }
+
   // Send donation receipt
   async sendDonationReceipt(donation) {
     try {
-      await donation.populate("campaignId", "title");
+      const ministryData = await this.getMinistryTemplateData(donation);
 
       const templateData = {
         firstName: donation.donorInfo.firstName,
         lastName: donation.donorInfo.lastName,
         fullName: donation.donorInfo.fullName,
         amount: formatCurrency(donation.amount, donation.currency),
-        campaignTitle: donation.campaignId.title,
+        ...ministryData,
+        ...this.getDedicationTemplateData(donation),
         donationDate: formatDate(donation.createdAt, "MMMM DD, YYYY"),
         transactionId: donation.stripePaymentIntentId,
         receiptNumber: donation._id.toString().slice(-8).toUpperCase(),
         donationType: donation.isRecurring
           ? "Recurring Donation"
           : "One-time Donation",
-        frequency: donation.recurringFrequency || "N/A",
-        message: donation.message || "",
-        organizationName: "Rockbridge Ministries",
-        organizationAddress: "123 Ministry Way, Faith City, FC 12345",
-        supportEmail: emailConfig.adminEmail,
+        isRecurring: donation.isRecurring,
+        frequency: donation.recurringFrequency,
+        message: donation.message,
       };
 
-      const template = await this.loadTemplate(
+      const { html, text } = await this.loadTemplate(
         "donation-receipt",
         templateData
       );
@@ -64,7 +97,8 @@ class EmailService {
         },
         to: donation.donorInfo.email,
         subject: "Thank you for your donation - Receipt",
-        html: template,
+        html,
+        text,
         replyTo: emailConfig.replyTo,
       };
 
@@ -88,25 +122,25 @@ class EmailService {
   // Send thank you email
   async sendThankYouEmail(donation) {
     try {
-      await donation.populate("campaignId", "title description");
+      const ministryData = await this.getMinistryTemplateData(donation);
 
       const templateData = {
         firstName: donation.donorInfo.firstName,
         lastName: donation.donorInfo.lastName,
         amount: formatCurrency(donation.amount, donation.currency),
-        campaignTitle: donation.campaignId.title,
-        campaignDescription:
-          donation.campaignId.description.substring(0, 200) + "...",
+        ...ministryData,
+        ...this.getDedicationTemplateData(donation),
         isRecurring: donation.isRecurring,
+        // Renewal charges thank the donor for continuing, not for setting up
+        isRenewal: donation.isRenewal(),
         donationType: donation.isRecurring ? "recurring" : "one-time",
-        message: donation.message || "",
-        organizationName: "Rockbridge Ministries",
-        supportEmail: emailConfig.adminEmail,
-        websiteUrl:
-          process.env.FRONTEND_URL || "https://rockbridgeministries.org",
+        message: donation.message,
       };
 
-      const template = await this.loadTemplate("thank-you", templateData);
+      const { html, text } = await this.loadTemplate(
+        "thank-you",
+        templateData
+      );
 
       const mailOptions = {
         from: {
@@ -115,7 +149,8 @@ class EmailService {
         },
         to: donation.donorInfo.email,
         subject: "Thank you for your generous support! 🙏",
-        html: template,
+        html,
+        text,
         replyTo: emailConfig.replyTo,
       };
 
@@ -139,25 +174,28 @@ class EmailService {
   // Send donation notification to admin
   async sendDonationNotification(donation) {
     try {
-      await donation.populate("campaignId", "title");
+      const ministryData = await this.getMinistryTemplateData(donation);
 
       const templateData = {
         donorName: donation.donorInfo.fullName,
         donorEmail: donation.donorInfo.email,
         amount: formatCurrency(donation.amount, donation.currency),
-        campaignTitle: donation.campaignId.title,
+        ...ministryData,
+        ...this.getDedicationTemplateData(donation),
         donationType: donation.isRecurring ? "Recurring" : "One-time",
-        frequency: donation.recurringFrequency || "N/A",
+        isRecurring: donation.isRecurring,
+        frequency: donation.recurringFrequency,
         donationDate: formatDate(
           donation.createdAt,
           "MMMM DD, YYYY [at] h:mm A"
         ),
-        message: donation.message || "No message provided",
+        message: donation.message,
         transactionId: donation.stripePaymentIntentId,
         donationId: donation._id.toString(),
+        dashboardUrl: `${config.adminDashboardUrl}/donations/${donation._id}`,
       };
 
-      const template = await this.loadTemplate(
+      const { html, text } = await this.loadTemplate(
         "donation-notification",
         templateData
       );
@@ -169,7 +207,8 @@ class EmailService {
           donation.amount,
           donation.currency
         )}`,
-        html: template,
+        html,
+        text,
       };
 
       const result = await transporter.sendMail(mailOptions);
@@ -182,7 +221,206 @@ class EmailService {
       return result;
     } catch (error) {
       logger.error("Failed to send admin notification:", error);
-      // Don't throw error for admin notifications to avoid affecting user experience
+      throw new Error(`Failed to send admin notification: ${error.message}`);
+    }
+  }
+
+  // Let the person a gift was dedicated to know about it. The card names the
+  // donor (unless anonymous) and the ministry but never the amount.
+  async sendDedicationNotification(donation) {
+    try {
+      const { dedication, donorInfo } = donation;
+      const ministryData = await this.getMinistryTemplateData(donation);
+      const inMemory = dedication.type === DEDICATION_TYPES.IN_MEMORY;
+
+      const templateData = {
+        recipientName: dedication.recipientName,
+        honoreeName: dedication.honoreeName,
+        inMemory,
+        donorName: donation.isAnonymous
+          ? null
+          : `${donorInfo.firstName} ${donorInfo.lastName}`,
+        note: dedication.note,
+        ministryName: ministryData.ministryName,
+        ministryDescription: ministryData.ministryDescription,
+        ministryImageUrl: ministryData.ministryImageUrl,
+      };
+
+      const { html, text } = await this.loadTemplate(
+        "dedication-notification",
+        templateData
+      );
+
+      const mailOptions = {
+        from: {
+          name: emailConfig.from.name,
+          address: emailConfig.from.address,
+        },
+        to: dedication.recipientEmail,
+        subject: `A gift has been made ${
+          inMemory ? "in memory of" : "in honor of"
+        } ${dedication.honoreeName}`,
+        html,
+        text,
+        replyTo: emailConfig.replyTo,
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+
+      donation.dedication.notificationSentAt = new Date();
+      await donation.save();
+
+      logger.info(`Dedication card sent for donation ${donation._id}`, {
+        donationId: donation._id,
+        messageId: result.messageId,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("Failed to send dedication notification:", error);
+      throw new Error(
+        `Failed to send dedication notification: ${error.message}`
+      );
+    }
+  }
+
+  // Send donor portal magic login link
+  async sendPortalLoginLink(donor, loginUrl) {
+    try {
+      const templateData = {
+        firstName: donor.firstName,
+        loginUrl,
+        expiresInMinutes: Math.round(
+          authConfig.donorPortal.magicLinkTtlMs / 60000
+        ),
+      };
+
+      const { html, text } = await this.loadTemplate(
+        "portal-login",
+        templateData
+      );
+
+      const mailOptions = {
+        from: {
+          name: emailConfig.from.name,
+          address: emailConfig.from.address,
+        },
+        to: donor.email,
+        subject: `Your ${config.organization.name} donor portal login link`,
+        html,
+        text,
+        replyTo: emailConfig.replyTo,
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+
+      logger.info(`Portal login email sent for donor ${donor._id}`, {
+        messageId: result.messageId,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("Failed to send portal login email:", error);
+      throw new Error(`Failed to send portal login email: ${error.message}`);
+    }
+  }
+
+  // Let a donor know a recurring payment failed and how to fix it
+  async sendPaymentFailedEmail(failure) {
+    try {
+      const templateData = {
+        firstName: failure.firstName || "Friend",
+        ministry: failure.ministry,
+        amount: formatCurrency(failure.amount, failure.currency),
+        attemptCount: failure.attemptCount,
+        reason: failure.reason,
+        nextPaymentAttemptAt: failure.nextPaymentAttemptAt,
+        portalUrl: `${config.frontendUrl}/portal`,
+      };
+
+      const { html, text } = await this.loadTemplate(
+        "payment-failed",
+        templateData
+      );
+
+      const mailOptions = {
+        from: {
+          name: emailConfig.from.name,
+          address: emailConfig.from.address,
+        },
+        to: failure.email,
+        subject: "Action needed: your recurring donation payment failed",
+        html,
+        text,
+        replyTo: emailConfig.replyTo,
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+
+      logger.info(`Payment failed email sent to ${failure.email}`, {
+        messageId: result.messageId,
+        attemptCount: failure.attemptCount,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("Failed to send payment failed email:", error);
+      throw new Error(`Failed to send payment failed email: ${error.message}`);
+    }
+  }
+
+  // Send a donor's annual consolidated giving statement with the PDF attached
+  async sendTaxReceipt(statement, receiptNumber, pdf) {
+    try {
+      const { organization } = config;
+      const { taxYear } = statement;
+
+      const templateData = {
+        donorName: statement.donorName,
+        taxYear,
+        receiptNumber,
+        donationCount: statement.donationCount,
+        ministryBreakdown: statement.ministryBreakdown,
+        totals: statement.totals,
+        taxId: organization.taxId,
+      };
+
+      const { html, text } = await this.loadTemplate(
+        "tax-receipt",
+        templateData
+      );
+
+      const mailOptions = {
+        from: {
+          name: emailConfig.from.name,
+          address: emailConfig.from.address,
+        },
+        to: statement.donorEmail,
+        subject: `Your ${taxYear} giving statement from ${organization.name}`,
+        html,
+        text,
+        replyTo: emailConfig.replyTo,
+        attachments: [
+          {
+            filename: `giving-statement-${taxYear}-${receiptNumber}.pdf`,
+            content: pdf,
+            contentType: "application/pdf",
+          },
+        ],
+      };
+
+      const result = await transporter.sendMail(mailOptions);
+
+      logger.info(`Tax receipt email sent to ${statement.donorEmail}`, {
+        type: EMAIL_TYPES.TAX_RECEIPT,
+        receiptNumber,
+        messageId: result.messageId,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error("Failed to send tax receipt email:", error);
+      throw new Error(`Failed to send tax receipt email: ${error.message}`);
     }
   }
 
@@ -192,7 +430,7 @@ class EmailService {
       await transporter.verify();
       return {
         success: true,
-        message: "Email service is configured correctly",
+        message: `Email service is configured correctly (${transporter.name})`,
       };
     } catch (error) {
       return { success: false, message: error.message };
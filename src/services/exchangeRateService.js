@@ -0,0 +1,242 @@
+const { ExchangeRate, Donation, Donor } = require("../models");
+const { config } = require("../config");
+const { AppError } = require("../middlewares/errorHandler");
+const {
+  EXCHANGE_RATE_SOURCES,
+  PAYMENT_STATUS,
+  HTTP_STATUS,
+  ERROR_CODES,
+} = require("../utils/constants");
+const { roundToCurrency, fromMinorUnits } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+class ExchangeRateService {
+  // List rates into the current base currency
+  async getRates() {
+    try {
+      const rates = await ExchangeRate.find({
+        baseCurrency: config.baseCurrency,
+      })
+        .sort({ currency: 1 })
+        .lean();
+
+      return { baseCurrency: config.baseCurrency, rates };
+    } catch (error) {
+      logger.error("Failed to get exchange rates:", error);
+      throw error;
+    }
+  }
+
+  // Units of base currency per unit of currency, or null if no rate is set
+  async getRate(currency) {
+    const code = currency.toUpperCase();
+    if (code === config.baseCurrency) return 1;
+
+    const exchangeRate = await ExchangeRate.findOne({
+      currency: code,
+      baseCurrency: config.baseCurrency,
+    }).lean();
+
+    return exchangeRate ? exchangeRate.rate : null;
+  }
+
+  // Conversion fields stored on a donation, from its amount in minor units.
+  // Leaves amountInBaseCurrency null when there is no rate yet; setting the
+  // rate later fills it in.
+  async convertToBase(amountMinor, currency) {
+    const rate = await this.getRate(currency);
+
+    if (rate === null) {
+      logger.warn(
+        `No exchange rate from ${currency} to ${config.baseCurrency}`
+      );
+      return { amountInBaseCurrency: null };
+    }
+
+    const amount = fromMinorUnits(amountMinor, currency);
+
+    return {
+      amountInBaseCurrency: roundToCurrency(amount * rate, config.baseCurrency),
+      baseCurrency: config.baseCurrency,
+      exchangeRate: rate,
+    };
+  }
+
+  // Create or replace the rate for a currency (admin)
+  async setRate(currency, rate, { source, adminId } = {}) {
+    const code = currency.toUpperCase();
+
+    if (code === config.baseCurrency) {
+      throw new AppError(
+        `${code} is the base currency and always has a rate of 1`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency: code, baseCurrency: config.baseCurrency },
+      {
+        $set: {
+          rate,
+          source: source || EXCHANGE_RATE_SOURCES.MANUAL,
+          ...(adminId && { updatedBy: adminId }),
+        },
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const converted = await this.convertPendingDonations(code, rate);
+
+    logger.info(`Exchange rate set: ${code} -> ${config.baseCurrency}`, {
+      rate,
+      source: exchangeRate.source,
+      convertedDonations: converted,
+    });
+
+    return exchangeRate;
+  }
+
+  // Set several rates at once, e.g. { EUR: 1.08, GBP: 1.27 }
+  async importRates(rates, { source, adminId } = {}) {
+    const imported = [];
+
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (currency.toUpperCase() === config.baseCurrency) continue;
+
+      imported.push(
+        await this.setRate(currency, rate, {
+          source: source || EXCHANGE_RATE_SOURCES.IMPORT,
+          adminId,
+        })
+      );
+    }
+
+    return { baseCurrency: config.baseCurrency, rates: imported };
+  }
+
+  // Remove a rate. Donations already converted keep their stored amount.
+  async deleteRate(currency) {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      currency: currency.toUpperCase(),
+      baseCurrency: config.baseCurrency,
+    });
+
+    if (!exchangeRate) {
+      throw new AppError("Exchange rate not found", HTTP_STATUS.NOT_FOUND);
+    }
+
+    return exchangeRate;
+  }
+
+  // Convert donations in a currency that have no amount in the current base
+  // currency (recorded before the rate existed, or before the base changed).
+  // Donations that were already converted keep their original rate.
+  // Successful donations that had no base amount at all were left out of
+  // their donor's lifetime total, so they are added to it now.
+  async convertPendingDonations(currency, rate) {
+    const cursor = Donation.find({
+      currency,
+      $or: [
+        { amountInBaseCurrency: null },
+        { baseCurrency: { $ne: config.baseCurrency } },
+      ],
+    })
+      .select(
+        "amountMinor refundedAmountMinor paymentStatus donorInfo.email " +
+          "amountInBaseCurrency baseCurrency"
+      )
+      .lean()
+      .cursor();
+
+    let converted = 0;
+    for await (const donation of cursor) {
+      const amountInBaseCurrency = roundToCurrency(
+        fromMinorUnits(donation.amountMinor, currency) * rate,
+        config.baseCurrency
+      );
+
+      // Conditional on the values read (null also matches a missing field),
+      // so concurrent runs convert and credit each donation once
+      const result = await Donation.updateOne(
+        {
+          _id: donation._id,
+          amountInBaseCurrency:
+            donation.amountInBaseCurrency === undefined
+              ? null
+              : donation.amountInBaseCurrency,
+          baseCurrency: donation.baseCurrency || null,
+        },
+        {
+          $set: {
+            amountInBaseCurrency,
+            baseCurrency: config.baseCurrency,
+            exchangeRate: rate,
+          },
+        }
+      );
+      if (result.modifiedCount === 0) continue;
+      converted += 1;
+
+      if (
+        donation.amountInBaseCurrency == null &&
+        donation.paymentStatus === PAYMENT_STATUS.SUCCEEDED
+      ) {
+        await this.creditDonor(donation, currency, rate);
+      }
+    }
+
+    return converted;
+  }
+
+  // Add a newly converted donation, net of refunds, to its donor's total
+  async creditDonor(donation, currency, rate) {
+    const netMinor = donation.amountMinor - (donation.refundedAmountMinor || 0);
+
+    const donor = await Donor.findOneAndUpdate(
+      { email: donation.donorInfo.email },
+      {
+        $inc: {
+          totalDonated: roundToCurrency(
+            fromMinorUnits(netMinor, currency) * rate,
+            config.baseCurrency
+          ),
+        },
+      },
+      { new: true }
+    );
+
+    return donor && donor.updateDonorType();
+  }
+
+  // Convert every donation still missing a base currency amount, using the
+  // stored rates (run after changing BASE_CURRENCY or upgrading)
+  async convertAllPendingDonations() {
+    const { rates } = await this.getRates();
+    const summary = {
+      [config.baseCurrency]: await this.convertPendingDonations(
+        config.baseCurrency,
+        1
+      ),
+    };
+
+    for (const { currency, rate } of rates) {
+      summary[currency] = await this.convertPendingDonations(currency, rate);
+    }
+
+    const unconverted = await Donation.countDocuments({
+      $or: [
+        { amountInBaseCurrency: null },
+        { baseCurrency: { $ne: config.baseCurrency } },
+      ],
+    });
+
+    return {
+      baseCurrency: config.baseCurrency,
+      converted: summary,
+      unconverted,
+    };
+  }
+}
+
+module.exports = new ExchangeRateService();
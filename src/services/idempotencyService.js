@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const { IdempotencyKey } = require("../models");
+const { AppError } = require("../middlewares/errorHandler");
+const {
+  IDEMPOTENCY,
+  IDEMPOTENCY_STATUS,
+  HTTP_STATUS,
+  ERROR_CODES,
+} = require("../utils/constants");
+const logger = require("../utils/logger");
+
+class IdempotencyService {
+  // Stable hash of a request body
+  fingerprint(body) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify(body || {}))
+      .digest("hex");
+  }
+
+  // Start a request under an idempotency key. Resolves with the stored
+  // record: completed records carry the response to replay, processing ones
+  // are now owned by the caller.
+  async begin(key, scope, fingerprint) {
+    const now = new Date();
+
+    try {
+      return await IdempotencyKey.create({
+        key,
+        scope,
+        fingerprint,
+        lockedAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY.KEY_TTL),
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        logger.error("Failed to record idempotency key:", error);
+        throw error;
+      }
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, scope });
+
+    // Released or expired since the insert failed
+    if (!existing) {
+      return this.begin(key, scope, fingerprint);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      throw new AppError(
+        "Idempotency-Key has already been used with a different request",
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.IDEMPOTENCY_KEY_REUSED
+      );
+    }
+
+    if (existing.status === IDEMPOTENCY_STATUS.COMPLETED) {
+      return existing;
+    }
+
+    // Take over a request abandoned mid-processing (e.g. a crashed instance)
+    const claimed = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: IDEMPOTENCY_STATUS.PROCESSING,
+        lockedAt: { $lt: new Date(now.getTime() - IDEMPOTENCY.LOCK_TIMEOUT) },
+      },
+      { $set: { lockedAt: now } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw new AppError(
+        "A request with this Idempotency-Key is still being processed",
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.IDEMPOTENCY_KEY_IN_USE
+      );
+    }
+
+    return claimed;
+  }
+
+  // Store the response so retries replay it
+  async complete(record, responseStatus, responseBody) {
+    await IdempotencyKey.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: IDEMPOTENCY_STATUS.COMPLETED,
+          responseStatus,
+          responseBody,
+        },
+      }
+    );
+  }
+
+  // Forget a key whose request failed, so it can be retried
+  async release(record) {
+    await IdempotencyKey.deleteOne({
+      _id: record._id,
+      status: IDEMPOTENCY_STATUS.PROCESSING,
+    });
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,144 @@
+const { Ministry, Donation } = require("../models");
+const { config } = require("../config");
+const { AppError } = require("../middlewares/errorHandler");
+const { HTTP_STATUS, ERROR_CODES, MESSAGES } = require("../utils/constants");
+const logger = require("../utils/logger");
+
+// Fields exposed on the public ministry endpoint
+const PUBLIC_FIELDS =
+  "name displayName slug description impactStatement imageUrl displayOrder suggestedAmountsMinor goalAmountMinor currency";
+
+const notFound = () =>
+  new AppError(
+    MESSAGES.ERROR.MINISTRY_NOT_FOUND,
+    HTTP_STATUS.NOT_FOUND,
+    ERROR_CODES.MINISTRY_NOT_FOUND
+  );
+
+class MinistryService {
+  // List ministries accepting donations, in display order (public)
+  async getActiveMinistries() {
+    try {
+      return await Ministry.find({ isActive: true })
+        .select(PUBLIC_FIELDS)
+        .sort({ displayOrder: 1, name: 1 });
+    } catch (error) {
+      logger.error("Failed to get active ministries:", error);
+      throw error;
+    }
+  }
+
+  // List all ministries, including inactive ones (admin)
+  async getMinistries(filters = {}) {
+    try {
+      const query = {};
+      if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+      return await Ministry.find(query).sort({ displayOrder: 1, name: 1 });
+    } catch (error) {
+      logger.error("Failed to get ministries:", error);
+      throw error;
+    }
+  }
+
+  // Get ministry by ID
+  async getMinistryById(ministryId) {
+    try {
+      return await Ministry.findById(ministryId);
+    } catch (error) {
+      logger.error("Failed to get ministry by ID:", error);
+      throw error;
+    }
+  }
+
+  // Get ministry by the name stored on donations
+  async getMinistryByName(name) {
+    try {
+      return await Ministry.findOne({ name });
+    } catch (error) {
+      logger.error("Failed to get ministry by name:", error);
+      throw error;
+    }
+  }
+
+  // Whether new donations can be made to a ministry
+  async isAcceptingDonations(name) {
+    const ministry = await this.getMinistryByName(name);
+    return Boolean(ministry && ministry.isActive);
+  }
+
+  // Create ministry (admin)
+  async createMinistry(data) {
+    const ministry = await Ministry.create(data);
+    logger.info(`Ministry created: ${ministry.name}`, {
+      ministryId: ministry._id,
+    });
+    return ministry;
+  }
+
+  // Update ministry details, status or display order (admin)
+  async updateMinistry(ministryId, updates) {
+    const ministry = await Ministry.findByIdAndUpdate(ministryId, updates, {
+      new: true,
+      runValidators: true,
+    });
+
+    if (!ministry) {
+      throw notFound();
+    }
+
+    logger.info(`Ministry updated: ${ministry.name}`, {
+      ministryId: ministry._id,
+      fields: Object.keys(updates),
+    });
+    return ministry;
+  }
+
+  // Delete a ministry that has never received a donation. Ministries with
+  // donation history must be deactivated instead.
+  async deleteMinistry(ministryId) {
+    const ministry = await Ministry.findById(ministryId);
+    if (!ministry) {
+      throw notFound();
+    }
+
+    const hasDonations = await Donation.exists({ ministry: ministry.name });
+    if (hasDonations) {
+      throw new AppError(
+        "Ministry has donations and can only be deactivated",
+        HTTP_STATUS.CONFLICT,
+        ERROR_CODES.MINISTRY_IN_USE
+      );
+    }
+
+    await ministry.deleteOne();
+    logger.info(`Ministry deleted: ${ministry.name}`, {
+      ministryId: ministry._id,
+    });
+    return ministry;
+  }
+
+  // Donor-facing profile for a ministry, with a generic fallback so a
+  // missing ministry never breaks an email
+  async getMinistryProfile(name) {
+    const ministry = (await this.getMinistryByName(name)) || {};
+    const { imageUrl } = ministry;
+
+    return {
+      name,
+      displayName: ministry.displayName || ministry.name || name,
+      description:
+        ministry.description ||
+        "This gift supports the ongoing work of this ministry initiative.",
+      impactStatement:
+        ministry.impactStatement ||
+        "Your gift will be stewarded carefully and used to serve those who need it most.",
+      imageUrl:
+        imageUrl && imageUrl.startsWith("/")
+          ? `${config.frontendUrl}${imageUrl}`
+          : imageUrl,
+    };
+  }
+}
+
+module.exports = new MinistryService();
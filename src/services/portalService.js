@@ -0,0 +1,358 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Donation, Donor } = require("../models");
+const stripeService = require("./stripeService");
+const donationService = require("./donationService");
+const emailService = require("./emailService");
+const { authConfig } = require("../config/auth");
+const { config } = require("../config");
+const { AppError } = require("../middlewares/errorHandler");
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  RECURRING_INTERVALS,
+  DONATION_LIMITS,
+} = require("../utils/constants");
+const { fromMinorUnits, toMinorUnits } = require("../utils/helpers");
+const { resolveAmountMinor } = require("../middlewares/validation");
+const logger = require("../utils/logger");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const invalidLink = () =>
+  new AppError(
+    "This login link is invalid or has expired. Please request a new one.",
+    HTTP_STATUS.UNAUTHORIZED,
+    ERROR_CODES.AUTHENTICATION_ERROR
+  );
+
+class PortalService {
+  // Email a single-use login link to a known donor
+  async requestLoginLink(email) {
+    try {
+      const donor = await Donor.findOne({ email });
+
+      // Respond identically whether or not the donor exists
+      if (!donor) {
+        logger.info("Portal login requested for unknown email");
+        return;
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+      donor.portalLoginTokenHash = hashToken(token);
+      donor.portalLoginTokenExpiresAt = new Date(
+        Date.now() + authConfig.donorPortal.magicLinkTtlMs
+      );
+      await donor.save();
+
+      const loginUrl = `${config.frontendUrl}/portal/verify?token=${token}`;
+      await emailService.sendPortalLoginLink(donor, loginUrl);
+
+      logger.info(`Portal login link sent: ${donor._id}`);
+    } catch (error) {
+      logger.error("Failed to send portal login link:", error);
+      throw error;
+    }
+  }
+
+  // Exchange a login link token for a portal session token
+  async verifyLoginLink(token) {
+    const donor = await Donor.findOne({
+      portalLoginTokenHash: hashToken(token),
+      portalLoginTokenExpiresAt: { $gt: new Date() },
+    });
+
+    if (!donor) {
+      throw invalidLink();
+    }
+
+    // Links are single use
+    donor.portalLoginTokenHash = undefined;
+    donor.portalLoginTokenExpiresAt = undefined;
+    donor.lastPortalLoginAt = new Date();
+    await donor.save();
+
+    const sessionToken = jwt.sign(
+      { sub: donor._id.toString(), email: donor.email },
+      authConfig.donorPortal.secret,
+      {
+        expiresIn: authConfig.donorPortal.expiresIn,
+        audience: authConfig.donorPortal.audience,
+        issuer: authConfig.issuer,
+      }
+    );
+
+    return {
+      donor,
+      sessionToken,
+      expiresIn: authConfig.donorPortal.expiresIn,
+    };
+  }
+
+  // Verify a portal session token and load the donor
+  async verifySessionToken(sessionToken) {
+    const payload = jwt.verify(sessionToken, authConfig.donorPortal.secret, {
+      audience: authConfig.donorPortal.audience,
+      issuer: authConfig.issuer,
+    });
+
+    const donor = await Donor.findById(payload.sub);
+    if (!donor) {
+      throw invalidLink();
+    }
+
+    return donor;
+  }
+
+  // Donor profile with giving stats
+  async getOverview(donor) {
+    const stats = await donationService.getDonorStats(donor.email);
+    return { donor, stats: stats || null };
+  }
+
+  // Donor's donation history (not lean, so amount virtuals are serialized)
+  async getDonations(donor) {
+    return Donation.find({ "donorInfo.email": donor.email })
+      .sort({ createdAt: -1 })
+      .select(
+        "ministry campaign amountMinor refundedAmountMinor currency paymentStatus isRecurring recurringFrequency stripeSubscriptionId message createdAt processedAt"
+      );
+  }
+
+  // Load the first donation of a subscription, ensuring the donor owns it
+  async getOwnedSubscriptionDonation(donor, subscriptionId) {
+    const donation = await Donation.findOne({
+      stripeSubscriptionId: subscriptionId,
+      "donorInfo.email": donor.email,
+    }).sort({ createdAt: 1 });
+
+    if (!donation) {
+      throw new AppError(
+        "Recurring donation not found",
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.DONATION_NOT_FOUND
+      );
+    }
+
+    return donation;
+  }
+
+  // Summarize a Stripe subscription for the portal
+  formatSubscription(subscription, donation) {
+    const price = subscription.items.data[0].price;
+    const paymentMethod = subscription.default_payment_method;
+
+    return {
+      subscriptionId: subscription.id,
+      ministry: donation.ministry,
+      amount: fromMinorUnits(price.unit_amount, price.currency),
+      currency: price.currency.toUpperCase(),
+      recurringFrequency:
+        subscription.metadata.recurringFrequency ||
+        donation.recurringFrequency,
+      status: subscription.status,
+      isPaused: Boolean(subscription.pause_collection),
+      resumesAt: subscription.pause_collection?.resumes_at
+        ? new Date(subscription.pause_collection.resumes_at * 1000)
+        : null,
+      cancelAtPeriodEnd: subscription.cancel_at_period_end,
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+      card:
+        paymentMethod && paymentMethod.card
+          ? {
+              brand: paymentMethod.card.brand,
+              last4: paymentMethod.card.last4,
+              expMonth: paymentMethod.card.exp_month,
+              expYear: paymentMethod.card.exp_year,
+            }
+          : null,
+    };
+  }
+
+  // List the donor's recurring gifts with live status from Stripe
+  async getSubscriptions(donor) {
+    const subscriptionIds = await Donation.distinct("stripeSubscriptionId", {
+      "donorInfo.email": donor.email,
+      stripeSubscriptionId: { $exists: true, $ne: null },
+    });
+
+    return Promise.all(
+      subscriptionIds.map(async (subscriptionId) => {
+        const donation = await this.getOwnedSubscriptionDonation(
+          donor,
+          subscriptionId
+        );
+        const subscription = await stripeService.retrieveSubscription(
+          subscriptionId
+        );
+        return this.formatSubscription(subscription, donation);
+      })
+    );
+  }
+
+  // New recurring amount in minor units of the gift's currency, if one was
+  // requested, checked against the donation limits
+  resolvePriceAmount(updates, currency) {
+    const amountMinor = resolveAmountMinor(updates, currency);
+    if (amountMinor === undefined) return undefined;
+
+    if (typeof amountMinor === "string") {
+      throw new AppError(
+        amountMinor,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    const { MIN_AMOUNT, MAX_AMOUNT } = DONATION_LIMITS;
+    if (
+      amountMinor < toMinorUnits(MIN_AMOUNT, currency) ||
+      amountMinor > toMinorUnits(MAX_AMOUNT, currency)
+    ) {
+      throw new AppError(
+        `Amount must be between ${MIN_AMOUNT} and ${MAX_AMOUNT} ${currency}`,
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    return amountMinor;
+  }
+
+  // Change the amount and/or frequency of a recurring gift
+  async updateSubscription(donor, subscriptionId, updates) {
+    const donation = await this.getOwnedSubscriptionDonation(
+      donor,
+      subscriptionId
+    );
+    const current = await stripeService.retrieveSubscription(subscriptionId);
+    const currentPrice = current.items.data[0].price;
+
+    const currency = currentPrice.currency.toUpperCase();
+    const amountMinor =
+      this.resolvePriceAmount(updates, currency) || currentPrice.unit_amount;
+    const recurringFrequency =
+      updates.recurringFrequency ||
+      current.metadata.recurringFrequency ||
+      donation.recurringFrequency;
+
+    const price = await stripeService.createPrice(
+      amountMinor,
+      currentPrice.currency,
+      RECURRING_INTERVALS[recurringFrequency],
+      `${donation.ministry} - ${recurringFrequency} donation`
+    );
+
+    await stripeService.updateSubscriptionPrice(subscriptionId, price.id, {
+      recurringFrequency,
+    });
+
+    logger.info(`Portal subscription updated: ${subscriptionId}`, {
+      donorId: donor._id,
+      amount: fromMinorUnits(amountMinor, currency),
+      recurringFrequency,
+    });
+
+    const subscription = await stripeService.retrieveSubscription(
+      subscriptionId
+    );
+    return this.formatSubscription(subscription, donation);
+  }
+
+  // Pause a recurring gift
+  async pauseSubscription(donor, subscriptionId, resumesAt = null) {
+    const donation = await this.getOwnedSubscriptionDonation(
+      donor,
+      subscriptionId
+    );
+
+    await stripeService.pauseSubscription(subscriptionId, resumesAt);
+    logger.info(`Portal subscription paused: ${subscriptionId}`, {
+      donorId: donor._id,
+    });
+
+    const subscription = await stripeService.retrieveSubscription(
+      subscriptionId
+    );
+    return this.formatSubscription(subscription, donation);
+  }
+
+  // Resume a paused recurring gift
+  async resumeSubscription(donor, subscriptionId) {
+    const donation = await this.getOwnedSubscriptionDonation(
+      donor,
+      subscriptionId
+    );
+
+    await stripeService.resumeSubscription(subscriptionId);
+    logger.info(`Portal subscription resumed: ${subscriptionId}`, {
+      donorId: donor._id,
+    });
+
+    const subscription = await stripeService.retrieveSubscription(
+      subscriptionId
+    );
+    return this.formatSubscription(subscription, donation);
+  }
+
+  // Cancel a recurring gift
+  async cancelSubscription(donor, subscriptionId) {
+    await this.getOwnedSubscriptionDonation(donor, subscriptionId);
+
+    await stripeService.cancelSubscription(subscriptionId);
+    await donationService.cancelRecurringDonation(subscriptionId);
+
+    logger.info(`Portal subscription canceled: ${subscriptionId}`, {
+      donorId: donor._id,
+    });
+  }
+
+  // Start a card update by creating a setup intent for the customer
+  async createCardSetup(donor, subscriptionId) {
+    const donation = await this.getOwnedSubscriptionDonation(
+      donor,
+      subscriptionId
+    );
+    const setupIntent = await stripeService.createSetupIntent(
+      donation.stripeCustomerId
+    );
+
+    return {
+      clientSecret: setupIntent.client_secret,
+      setupIntentId: setupIntent.id,
+    };
+  }
+
+  // Use a newly saved card for a recurring gift
+  async updatePaymentMethod(donor, subscriptionId, paymentMethodId) {
+    const donation = await this.getOwnedSubscriptionDonation(
+      donor,
+      subscriptionId
+    );
+
+    const { data: paymentMethods } = await stripeService.getPaymentMethods(
+      donation.stripeCustomerId
+    );
+
+    if (!paymentMethods.some((method) => method.id === paymentMethodId)) {
+      throw new AppError(
+        "Payment method does not belong to this donor",
+        HTTP_STATUS.BAD_REQUEST,
+        ERROR_CODES.VALIDATION_ERROR
+      );
+    }
+
+    await stripeService.updateSubscriptionPaymentMethod(
+      subscriptionId,
+      paymentMethodId
+    );
+
+    const subscription = await stripeService.retrieveSubscription(
+      subscriptionId
+    );
+    return this.formatSubscription(subscription, donation);
+  }
+}
+
+module.exports = new PortalService();
@@ -1,12 +1,25 @@
 const { stripe } = require("../config/stripe");
 const logger = require("../utils/logger");
 
+// Stripe request options for an API idempotency key. Each Stripe call made
+// for one request gets its own key, derived from the client's.
+const requestOptions = (idempotencyKey, operation) =>
+  idempotencyKey ? { idempotencyKey: `${idempotencyKey}:${operation}` } : {};
+
+// Amounts passed to and returned by these methods are integer minor units of
+// the currency (cents for USD), as the Stripe API expects.
 class StripeService {
   // Create payment intent for one-time donation
-  async createPaymentIntent(amount, currency, metadata, isRecurring = false) {
+  async createPaymentIntent(
+    amountMinor,
+    currency,
+    metadata,
+    isRecurring = false,
+    { idempotencyKey } = {}
+  ) {
     try {
       const paymentIntentData = {
-        amount: Math.round(amount * 100),
+        amount: amountMinor,
         currency: currency.toLowerCase(),
         metadata,
         automatic_payment_methods: {
@@ -21,7 +34,8 @@ class StripeService {
       }
 
       const paymentIntent = await stripe.paymentIntents.create(
-        paymentIntentData
+        paymentIntentData,
+        requestOptions(idempotencyKey, "payment_intent")
       );
       return paymentIntent;
     } catch (error) {
@@ -40,14 +54,38 @@ class StripeService {
     }
   }
 
-  // Create customer for recurring donations
-  async createCustomer(email, name, address = null) {
+  // Balance transaction of a charge, with the actual processing fee. Null
+  // while Stripe has not created it yet.
+  async retrieveBalanceTransaction(chargeId) {
     try {
-      const customer = await stripe.customers.create({
-        email,
-        name,
-        address,
+      const charge = await stripe.charges.retrieve(chargeId, {
+        expand: ["balance_transaction"],
       });
+      return charge.balance_transaction || null;
+    } catch (error) {
+      logger.error("Failed to retrieve balance transaction:", error);
+      throw new Error(
+        `Failed to retrieve balance transaction: ${error.message}`
+      );
+    }
+  }
+
+  // Create customer for recurring donations
+  async createCustomer(
+    email,
+    name,
+    address = null,
+    { idempotencyKey } = {}
+  ) {
+    try {
+      const customer = await stripe.customers.create(
+        {
+          email,
+          name,
+          address,
+        },
+        requestOptions(idempotencyKey, "customer")
+      );
 
       return customer;
     } catch (error) {
@@ -57,16 +95,25 @@ class StripeService {
   }
 
   // Create price for recurring donations
-  async createPrice(amount, currency, interval) {
+  async createPrice(
+    amountMinor,
+    currency,
+    recurring,
+    productName = "Recurring Donation",
+    { idempotencyKey } = {}
+  ) {
     try {
-      const price = await stripe.prices.create({
-        unit_amount: Math.round(amount * 100),
-        currency: currency.toLowerCase(),
-        recurring: { interval },
-        product_data: {
-          name: "Recurring Donation",
+      const price = await stripe.prices.create(
+        {
+          unit_amount: amountMinor,
+          currency: currency.toLowerCase(),
+          recurring,
+          product_data: {
+            name: productName,
+          },
         },
-      });
+        requestOptions(idempotencyKey, "price")
+      );
 
       return price;
     } catch (error) {
@@ -76,14 +123,28 @@ class StripeService {
   }
 
   // Create subscription for recurring donations
-  async createSubscription(customerId, priceId, metadata) {
+  // The first invoice is left incomplete so the frontend can confirm its
+  // payment intent with Stripe Elements, like a one-time donation.
+  async createSubscription(
+    customerId,
+    priceId,
+    metadata,
+    { idempotencyKey } = {}
+  ) {
     try {
-      const subscription = await stripe.subscriptions.create({
-        customer: customerId,
-        items: [{ price: priceId }],
-        metadata,
-        expand: ["latest_invoice.payment_intent"],
-      });
+      const subscription = await stripe.subscriptions.create(
+        {
+          customer: customerId,
+          items: [{ price: priceId }],
+          metadata,
+          payment_behavior: "default_incomplete",
+          payment_settings: {
+            save_default_payment_method: "on_subscription",
+          },
+          expand: ["latest_invoice.payment_intent"],
+        },
+        requestOptions(idempotencyKey, "subscription")
+      );
 
       return subscription;
     } catch (error) {
@@ -102,21 +163,124 @@ class StripeService {
     }
   }
 
-  // Create refund
-  async createRefund(paymentIntentId, amount = null) {
+  // Retrieve subscription
+  async retrieveSubscription(subscriptionId) {
+    try {
+      return await stripe.subscriptions.retrieve(subscriptionId, {
+        expand: ["default_payment_method"],
+      });
+    } catch (error) {
+      logger.error("Failed to retrieve subscription:", error);
+      throw new Error(`Failed to retrieve subscription: ${error.message}`);
+    }
+  }
+
+  // Swap the price on a subscription (amount or frequency change)
+  async updateSubscriptionPrice(subscriptionId, priceId, metadata = {}) {
+    try {
+      const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+
+      return await stripe.subscriptions.update(subscriptionId, {
+        items: [{ id: subscription.items.data[0].id, price: priceId }],
+        proration_behavior: "none",
+        metadata,
+      });
+    } catch (error) {
+      logger.error("Failed to update subscription price:", error);
+      throw new Error(`Failed to update subscription: ${error.message}`);
+    }
+  }
+
+  // Pause collection on a subscription, optionally until a date
+  async pauseSubscription(subscriptionId, resumesAt = null) {
+    try {
+      return await stripe.subscriptions.update(subscriptionId, {
+        pause_collection: {
+          behavior: "void",
+          ...(resumesAt && { resumes_at: Math.floor(resumesAt / 1000) }),
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to pause subscription:", error);
+      throw new Error(`Failed to pause subscription: ${error.message}`);
+    }
+  }
+
+  // Resume collection on a paused subscription
+  async resumeSubscription(subscriptionId) {
+    try {
+      return await stripe.subscriptions.update(subscriptionId, {
+        pause_collection: "",
+      });
+    } catch (error) {
+      logger.error("Failed to resume subscription:", error);
+      throw new Error(`Failed to resume subscription: ${error.message}`);
+    }
+  }
+
+  // Create setup intent so a donor can save a new card
+  async createSetupIntent(customerId) {
+    try {
+      return await stripe.setupIntents.create({
+        customer: customerId,
+        payment_method_types: ["card"],
+        usage: "off_session",
+      });
+    } catch (error) {
+      logger.error("Failed to create setup intent:", error);
+      throw new Error(`Failed to create setup intent: ${error.message}`);
+    }
+  }
+
+  // Set the card used for future subscription payments
+  async updateSubscriptionPaymentMethod(subscriptionId, paymentMethodId) {
+    try {
+      return await stripe.subscriptions.update(subscriptionId, {
+        default_payment_method: paymentMethodId,
+      });
+    } catch (error) {
+      logger.error("Failed to update subscription payment method:", error);
+      throw new Error(`Failed to update payment method: ${error.message}`);
+    }
+  }
+
+  // Create refund (omit the amount for a full refund)
+  async createRefund(paymentIntentId, amountMinor = null, options = {}) {
     try {
       const refundData = { payment_intent: paymentIntentId };
-      if (amount) {
-        refundData.amount = Math.round(amount * 100);
+      if (amountMinor) {
+        refundData.amount = amountMinor;
+      }
+      if (options.reason) {
+        refundData.reason = options.reason;
+      }
+      if (options.metadata) {
+        refundData.metadata = options.metadata;
       }
 
-      return await stripe.refunds.create(refundData);
+      return await stripe.refunds.create(
+        refundData,
+        requestOptions(options.idempotencyKey, "refund")
+      );
     } catch (error) {
       logger.error("Failed to create refund:", error);
       throw new Error(`Failed to create refund: ${error.message}`);
     }
   }
 
+  // List refunds for a payment intent
+  async listRefunds(paymentIntentId) {
+    try {
+      return await stripe.refunds.list({
+        payment_intent: paymentIntentId,
+        limit: 100,
+      });
+    } catch (error) {
+      logger.error("Failed to list refunds:", error);
+      throw new Error(`Failed to list refunds: ${error.message}`);
+    }
+  }
+
   // Get payment methods for customer
   async getPaymentMethods(customerId) {
     try {
@@ -0,0 +1,170 @@
+const { Donation, Subscription } = require("../models");
+const stripeService = require("./stripeService");
+const emailQueueService = require("./emailQueueService");
+const {
+  SUBSCRIPTION_STATUS,
+  RECURRING_INTERVALS,
+  EMAIL_TYPES,
+} = require("../utils/constants");
+const { fromMinorUnits } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Map a Stripe price's recurring interval back to our donation frequency
+const toRecurringFrequency = (recurring) => {
+  if (!recurring) return undefined;
+
+  return Object.keys(RECURRING_INTERVALS).find(
+    (frequency) =>
+      RECURRING_INTERVALS[frequency].interval === recurring.interval &&
+      RECURRING_INTERVALS[frequency].interval_count ===
+        recurring.interval_count
+  );
+};
+
+class SubscriptionService {
+  // Create or update our subscription record from a Stripe subscription
+  async syncFromStripe(stripeSubscription) {
+    try {
+      const price = stripeSubscription.items.data[0].price;
+      const { metadata = {} } = stripeSubscription;
+      const pause = stripeSubscription.pause_collection;
+
+      const update = {
+        stripeCustomerId: stripeSubscription.customer,
+        amount: fromMinorUnits(price.unit_amount, price.currency),
+        currency: price.currency.toUpperCase(),
+        recurringFrequency:
+          toRecurringFrequency(price.recurring) || metadata.recurringFrequency,
+        status: stripeSubscription.status,
+        isPaused: Boolean(pause),
+        resumesAt: pause && pause.resumes_at ? pause.resumes_at * 1000 : null,
+        cancelAtPeriodEnd: stripeSubscription.cancel_at_period_end,
+        currentPeriodEnd: stripeSubscription.current_period_end * 1000,
+        canceledAt: stripeSubscription.canceled_at
+          ? stripeSubscription.canceled_at * 1000
+          : null,
+      };
+
+      // A subscription that is current again has recovered from dunning
+      if (stripeSubscription.status === SUBSCRIPTION_STATUS.ACTIVE) {
+        update.failedPaymentCount = 0;
+        update.nextPaymentAttemptAt = null;
+      }
+
+      const subscription = await Subscription.findOneAndUpdate(
+        { stripeSubscriptionId: stripeSubscription.id },
+        {
+          $set: update,
+          $setOnInsert: {
+            donorEmail: metadata.donorEmail,
+            ministry: metadata.ministry,
+            ...(metadata.campaignId && { campaign: metadata.campaignId }),
+          },
+        },
+        { upsert: true, new: true }
+      );
+
+      logger.info(`Subscription synced: ${stripeSubscription.id}`, {
+        status: subscription.status,
+        amount: subscription.amount,
+        isPaused: subscription.isPaused,
+      });
+
+      return subscription;
+    } catch (error) {
+      logger.error("Failed to sync subscription:", error);
+      throw error;
+    }
+  }
+
+  // Why the invoice's payment was declined. Webhook invoices carry only the
+  // payment intent's ID, so the intent is fetched unless it was expanded.
+  async getDeclineReason(invoice) {
+    let paymentIntent = invoice.payment_intent;
+
+    if (typeof paymentIntent === "string") {
+      try {
+        paymentIntent = await stripeService.retrievePaymentIntent(
+          paymentIntent
+        );
+      } catch (error) {
+        logger.warn(`Could not read decline reason for invoice: ${invoice.id}`);
+        return null;
+      }
+    }
+
+    const paymentError = paymentIntent && paymentIntent.last_payment_error;
+    return (paymentError && paymentError.message) || null;
+  }
+
+  // Record a failed renewal and email the donor so they can fix their card
+  async recordPaymentFailure(invoice) {
+    try {
+      const reason = await this.getDeclineReason(invoice);
+      const recordFailure = () =>
+        Subscription.findOneAndUpdate(
+          { stripeSubscriptionId: invoice.subscription },
+          {
+            $set: {
+              lastPaymentFailedAt: new Date(),
+              lastPaymentError: reason || "Payment was declined",
+              nextPaymentAttemptAt: invoice.next_payment_attempt
+                ? invoice.next_payment_attempt * 1000
+                : null,
+            },
+            $inc: { failedPaymentCount: 1 },
+          },
+          { new: true }
+        );
+
+      let subscription = await recordFailure();
+
+      // A renewal can fail before customer.subscription.created arrives
+      if (!subscription) {
+        await this.syncFromStripe(
+          await stripeService.retrieveSubscription(invoice.subscription)
+        );
+        subscription = await recordFailure();
+      }
+
+      const donation = await Donation.findOne({
+        stripeSubscriptionId: invoice.subscription,
+      }).sort({ createdAt: 1 });
+
+      const email =
+        invoice.customer_email ||
+        subscription.donorEmail ||
+        (donation && donation.donorInfo.email);
+
+      if (email) {
+        await emailQueueService.enqueue(
+          EMAIL_TYPES.PAYMENT_FAILED,
+          {
+            email,
+            firstName: donation ? donation.donorInfo.firstName : null,
+            ministry: subscription.ministry,
+            amount: fromMinorUnits(invoice.amount_due, invoice.currency),
+            currency: invoice.currency.toUpperCase(),
+            attemptCount: invoice.attempt_count,
+            reason,
+            nextPaymentAttemptAt: subscription.nextPaymentAttemptAt,
+          },
+          // One dunning email per failed attempt, even if Stripe redelivers
+          { to: email, dedupeKey: `${invoice.id}:${invoice.attempt_count}` }
+        );
+      }
+
+      logger.warn(`Recurring payment failed: ${invoice.id}`, {
+        subscriptionId: invoice.subscription,
+        failedPaymentCount: subscription.failedPaymentCount,
+      });
+
+      return subscription;
+    } catch (error) {
+      logger.error("Failed to record subscription payment failure:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,389 @@
+const PDFDocument = require("pdfkit");
+const { Donation, Donor, TaxReceipt } = require("../models");
+const emailService = require("./emailService");
+const emailQueueService = require("./emailQueueService");
+const { config } = require("../config");
+const { AppError } = require("../middlewares/errorHandler");
+const {
+  PAYMENT_STATUS,
+  EMAIL_TYPES,
+  TAX_RECEIPT_STATUS,
+  HTTP_STATUS,
+  ERROR_CODES,
+} = require("../utils/constants");
+const {
+  formatCurrency,
+  formatDate,
+  formatZonedDate,
+  fromMinorUnits,
+  generateReceiptNumber,
+  getPaginationInfo,
+  roundToCurrency,
+  zonedTimeToUtc,
+} = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Statement wording required for US charitable contribution receipts
+const LEGAL_NOTICE =
+  "No goods or services were provided in exchange for these contributions. " +
+  "Please retain this statement for your tax records.";
+
+// A tax year runs from midnight on 1 January in the organization's reporting
+// timezone, so late evening gifts on 31 December count toward that year
+const getYearRange = (taxYear) => ({
+  $gte: zonedTimeToUtc(
+    { year: taxYear, month: 1, day: 1 },
+    config.reportingTimezone
+  ),
+  $lt: zonedTimeToUtc(
+    { year: taxYear + 1, month: 1, day: 1 },
+    config.reportingTimezone
+  ),
+});
+
+class TaxReceiptService {
+  // Aggregate a donor's tax-deductible giving for a year. Returns null when
+  // the donor has no qualifying donations.
+  async buildStatement(donorEmail, taxYear) {
+    const donations = await Donation.find({
+      "donorInfo.email": donorEmail,
+      paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+      createdAt: getYearRange(taxYear),
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const lines = donations
+      .map((donation) => ({
+        donationId: donation._id,
+        date: donation.createdAt,
+        ministry: donation.ministry,
+        currency: donation.currency,
+        amount: fromMinorUnits(
+          donation.amountMinor - (donation.refundedAmountMinor || 0),
+          donation.currency
+        ),
+      }))
+      .filter((line) => line.amount > 0);
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const totals = {};
+    const breakdown = {};
+    lines.forEach((line) => {
+      totals[line.currency] = roundToCurrency(
+        (totals[line.currency] || 0) + line.amount,
+        line.currency
+      );
+
+      const key = `${line.ministry}:${line.currency}`;
+      breakdown[key] = breakdown[key] || {
+        ministry: line.ministry,
+        currency: line.currency,
+        amount: 0,
+        count: 0,
+      };
+      breakdown[key].amount = roundToCurrency(
+        breakdown[key].amount + line.amount,
+        line.currency
+      );
+      breakdown[key].count += 1;
+    });
+
+    const donor = await Donor.findOne({ email: donorEmail });
+    const { donorInfo } = donations[0];
+
+    return {
+      donor,
+      donorEmail,
+      donorName: donor
+        ? donor.fullName
+        : `${donorInfo.firstName} ${donorInfo.lastName}`,
+      address: donor ? donor.address : null,
+      taxYear,
+      lines,
+      totals: Object.entries(totals).map(([currency, amount]) => ({
+        currency,
+        amount,
+      })),
+      ministryBreakdown: Object.values(breakdown),
+      donationCount: lines.length,
+    };
+  }
+
+  // Statement as recorded on a tax receipt, so a delivered or downloaded PDF
+  // shows exactly what was stored when the receipt was queued
+  statementFromReceipt(receipt) {
+    return {
+      donorEmail: receipt.donorEmail,
+      donorName: receipt.donorName,
+      address: receipt.address,
+      taxYear: receipt.taxYear,
+      lines: receipt.lines,
+      totals: receipt.totals,
+      ministryBreakdown: receipt.ministryBreakdown,
+      donationCount: receipt.donationCount,
+    };
+  }
+
+  // Render a statement as a PDF and resolve with its contents
+  renderPdf(statement, receiptNumber) {
+    return new Promise((resolve, reject) => {
+      const { organization } = config;
+      const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      doc.fontSize(20).text(organization.name, { align: "center" });
+      doc.fontSize(10).text(organization.address, { align: "center" });
+      if (organization.taxId) {
+        doc.text(`Tax ID (EIN): ${organization.taxId}`, { align: "center" });
+      }
+
+      doc.moveDown(2);
+      doc
+        .fontSize(16)
+        .text(`${statement.taxYear} Annual Giving Statement`, {
+          align: "center",
+        });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      doc.text(`Receipt number: ${receiptNumber}`);
+      doc.text(`Issued: ${formatDate(new Date())}`);
+      doc.moveDown();
+      doc.text(statement.donorName);
+      doc.text(statement.donorEmail);
+
+      const { address } = statement;
+      if (address && address.line1) {
+        doc.text(address.line1);
+        if (address.line2) doc.text(address.line2);
+        doc.text(
+          [address.city, address.state, address.postalCode]
+            .filter(Boolean)
+            .join(", ")
+        );
+      }
+
+      doc.moveDown(2);
+      doc.fontSize(12).text("Summary by ministry", { underline: true });
+      doc.fontSize(10);
+      statement.ministryBreakdown.forEach((row) => {
+        doc.text(
+          `${row.ministry}: ${formatCurrency(row.amount, row.currency)} ` +
+            `(${row.count} ${row.count === 1 ? "gift" : "gifts"})`
+        );
+      });
+
+      doc.moveDown();
+      statement.totals.forEach((total) => {
+        const amount = formatCurrency(total.amount, total.currency);
+        doc.fontSize(12).text(`Total contributions: ${amount}`);
+      });
+
+      doc.moveDown(2);
+      doc.fontSize(12).text("Contributions", { underline: true });
+      doc.fontSize(10);
+      statement.lines.forEach((line) => {
+        // Dated in the reporting timezone, like the tax year itself
+        const date = formatDate(
+          formatZonedDate(line.date, config.reportingTimezone),
+          "MM/DD/YYYY"
+        );
+        doc.text(
+          `${date}   ${line.ministry}   ` +
+            formatCurrency(line.amount, line.currency)
+        );
+      });
+
+      doc.moveDown(2);
+      doc.fontSize(9).text(`${organization.name} - ${LEGAL_NOTICE}`);
+
+      doc.end();
+    });
+  }
+
+  // Record one donor's statement and queue it for delivery. Statements that
+  // were already queued or sent are skipped unless force is set.
+  async queueTaxReceipt(donorEmail, taxYear, { force = false } = {}) {
+    const existing = await TaxReceipt.findOne({ donorEmail, taxYear });
+
+    const alreadyQueued =
+      existing &&
+      [TAX_RECEIPT_STATUS.QUEUED, TAX_RECEIPT_STATUS.SENT].includes(
+        existing.status
+      );
+    if (alreadyQueued && !force) {
+      return { receipt: existing, skipped: true };
+    }
+
+    const statement = await this.buildStatement(donorEmail, taxYear);
+    if (!statement) {
+      throw new AppError(
+        `No tax-deductible donations found for ${taxYear}`,
+        HTTP_STATUS.NOT_FOUND,
+        ERROR_CODES.DONATION_NOT_FOUND
+      );
+    }
+
+    const receiptNumber =
+      (existing && existing.receiptNumber) ||
+      `${generateReceiptNumber()}-${taxYear}`;
+
+    const receipt = await TaxReceipt.findOneAndUpdate(
+      { donorEmail, taxYear },
+      {
+        $set: {
+          donor: statement.donor ? statement.donor._id : undefined,
+          donorName: statement.donorName,
+          address: statement.address,
+          totals: statement.totals,
+          ministryBreakdown: statement.ministryBreakdown,
+          donationCount: statement.donationCount,
+          donations: statement.lines.map((line) => line.donationId),
+          lines: statement.lines.map(({ donationId, ...line }) => ({
+            donation: donationId,
+            ...line,
+          })),
+          status: TAX_RECEIPT_STATUS.QUEUED,
+        },
+        $setOnInsert: { receiptNumber },
+      },
+      { upsert: true, new: true }
+    );
+
+    await emailQueueService.enqueue(
+      EMAIL_TYPES.TAX_RECEIPT,
+      { taxReceiptId: receipt._id },
+      { to: donorEmail }
+    );
+
+    logger.info(`Tax receipt queued: ${receipt.receiptNumber}`, {
+      taxYear,
+      donationCount: receipt.donationCount,
+    });
+
+    return { receipt, skipped: false };
+  }
+
+  // Render and email a recorded statement (called by the email worker)
+  async deliverTaxReceipt(taxReceiptId) {
+    const receipt = await TaxReceipt.findById(taxReceiptId);
+    if (!receipt) {
+      throw new Error(`Tax receipt not found: ${taxReceiptId}`);
+    }
+
+    try {
+      const statement = this.statementFromReceipt(receipt);
+      const pdf = await this.renderPdf(statement, receipt.receiptNumber);
+      const result = await emailService.sendTaxReceipt(
+        statement,
+        receipt.receiptNumber,
+        pdf
+      );
+
+      receipt.status = TAX_RECEIPT_STATUS.SENT;
+      receipt.sentAt = new Date();
+      receipt.sendCount += 1;
+      receipt.lastError = undefined;
+      await receipt.save();
+
+      return result;
+    } catch (error) {
+      receipt.status = TAX_RECEIPT_STATUS.FAILED;
+      receipt.lastError = error.message;
+      await receipt.save();
+      throw error;
+    }
+  }
+
+  // Queue statements for every donor who gave during the tax year
+  async generateForYear(taxYear, { force = false } = {}) {
+    const donorEmails = await Donation.distinct("donorInfo.email", {
+      paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+      createdAt: getYearRange(taxYear),
+    });
+
+    const summary = { taxYear, queued: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (const donorEmail of donorEmails) {
+      try {
+        const { skipped } = await this.queueTaxReceipt(donorEmail, taxYear, {
+          force,
+        });
+        summary[skipped ? "skipped" : "queued"] += 1;
+      } catch (error) {
+        // Fully refunded donors have nothing to receipt
+        if (error.statusCode === HTTP_STATUS.NOT_FOUND) {
+          summary.skipped += 1;
+          continue;
+        }
+        summary.failed += 1;
+        summary.errors.push({ donorEmail, error: error.message });
+      }
+    }
+
+    logger.info(`Tax receipt run completed for ${taxYear}`, {
+      queued: summary.queued,
+      skipped: summary.skipped,
+      failed: summary.failed,
+    });
+
+    return summary;
+  }
+
+  // List generated statements for admins
+  async getReceipts(filters = {}, options = {}) {
+    try {
+      const { taxYear, status, donorEmail } = filters;
+      const { page = 1, limit = 20 } = options;
+
+      const query = {};
+      if (taxYear) query.taxYear = taxYear;
+      if (status) query.status = status;
+      if (donorEmail) query.donorEmail = donorEmail;
+
+      const [receipts, total] = await Promise.all([
+        TaxReceipt.find(query)
+          .select("-donations -lines")
+          .sort({ taxYear: -1, donorEmail: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        TaxReceipt.countDocuments(query),
+      ]);
+
+      return {
+        receipts,
+        pagination: getPaginationInfo(page, limit, total),
+      };
+    } catch (error) {
+      logger.error("Failed to get tax receipts:", error);
+      throw error;
+    }
+  }
+
+  // Re-render the PDF for a recorded statement
+  async getReceiptPdf(id) {
+    const receipt = await TaxReceipt.findById(id);
+    if (!receipt) {
+      return null;
+    }
+
+    return {
+      receipt,
+      pdf: await this.renderPdf(
+        this.statementFromReceipt(receipt),
+        receipt.receiptNumber
+      ),
+    };
+  }
+}
+
+module.exports = new TaxReceiptService();
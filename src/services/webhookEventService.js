@@ -0,0 +1,148 @@
+const { WebhookEvent } = require("../models");
+const {
+  WEBHOOK_EVENT_STATUS,
+  WEBHOOK_PROCESSING,
+} = require("../utils/constants");
+const { getPaginationInfo } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+class WebhookEventService {
+  // Record a received Stripe event (no-op if already recorded)
+  async recordEvent(event) {
+    try {
+      return await WebhookEvent.findOneAndUpdate(
+        { stripeEventId: event.id },
+        {
+          $setOnInsert: {
+            stripeEventId: event.id,
+            type: event.type,
+            livemode: event.livemode,
+            payload: event,
+            receivedAt: new Date(),
+          },
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Concurrent delivery of the same event lost the upsert race
+      if (error.code === 11000) {
+        return WebhookEvent.findOne({ stripeEventId: event.id });
+      }
+      logger.error("Failed to record webhook event:", error);
+      throw error;
+    }
+  }
+
+  // Atomically claim an event for processing. Returns null when the event
+  // has already been processed or is being processed by another request.
+  async claimEvent(stripeEventId) {
+    return WebhookEvent.findOneAndUpdate(
+      {
+        stripeEventId,
+        $or: [
+          {
+            status: {
+              $in: [WEBHOOK_EVENT_STATUS.RECEIVED, WEBHOOK_EVENT_STATUS.FAILED],
+            },
+          },
+          {
+            status: WEBHOOK_EVENT_STATUS.PROCESSING,
+            processingStartedAt: {
+              $lt: new Date(Date.now() - WEBHOOK_PROCESSING.LOCK_TIMEOUT),
+            },
+          },
+        ],
+      },
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.PROCESSING,
+          processingStartedAt: new Date(),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+  }
+
+  // Claim a failed event for an admin replay. Unlike claimEvent, events that
+  // are new or being processed can't be claimed.
+  async claimFailedEvent(stripeEventId) {
+    return WebhookEvent.findOneAndUpdate(
+      { stripeEventId, status: WEBHOOK_EVENT_STATUS.FAILED },
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.PROCESSING,
+          processingStartedAt: new Date(),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+  }
+
+  // Mark an event as successfully processed
+  async markProcessed(stripeEventId) {
+    return WebhookEvent.findOneAndUpdate(
+      { stripeEventId },
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.PROCESSED,
+          processedAt: new Date(),
+        },
+        $unset: { lastError: "" },
+      },
+      { new: true }
+    );
+  }
+
+  // Mark an event as failed so it can be retried or replayed
+  async markFailed(stripeEventId, error) {
+    return WebhookEvent.findOneAndUpdate(
+      { stripeEventId },
+      {
+        $set: {
+          status: WEBHOOK_EVENT_STATUS.FAILED,
+          lastError: error.message,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  // List recorded events for admins
+  async getEvents(filters = {}, options = {}) {
+    try {
+      const { status, type } = filters;
+      const { page = 1, limit = 20 } = options;
+
+      const query = {};
+      if (status) query.status = status;
+      if (type) query.type = type;
+
+      const [events, total] = await Promise.all([
+        WebhookEvent.find(query)
+          .select("-payload")
+          .sort({ receivedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        WebhookEvent.countDocuments(query),
+      ]);
+
+      return {
+        events,
+        pagination: getPaginationInfo(page, limit, total),
+      };
+    } catch (error) {
+      logger.error("Failed to get webhook events:", error);
+      throw error;
+    }
+  }
+
+  // Get a single recorded event including its payload
+  async getEventById(id) {
+    return WebhookEvent.findById(id).lean();
+  }
+}
+
+module.exports = new WebhookEventService();
@@ -6,9 +6,22 @@ const PAYMENT_STATUS = {
   FAILED: "failed",
   CANCELED: "canceled",
   REFUNDED: "refunded",
+  DISPUTED: "disputed",
   REQUIRES_ACTION: "requires_action",
 };
 
+// Subscription statuses (mirrors Stripe subscription.status)
+const SUBSCRIPTION_STATUS = {
+  INCOMPLETE: "incomplete",
+  INCOMPLETE_EXPIRED: "incomplete_expired",
+  TRIALING: "trialing",
+  ACTIVE: "active",
+  PAST_DUE: "past_due",
+  UNPAID: "unpaid",
+  PAUSED: "paused",
+  CANCELED: "canceled",
+};
+
 // Campaign statuses
 const CAMPAIGN_STATUS = {
   ACTIVE: "active",
@@ -35,6 +48,21 @@ const RECURRING_FREQUENCIES = {
   ANNUALLY: "annually",
 };
 
+// Stripe billing intervals for each donation frequency
+const RECURRING_INTERVALS = {
+  monthly: { interval: "month", interval_count: 1 },
+  quarterly: { interval: "month", interval_count: 3 },
+  annually: { interval: "year", interval_count: 1 },
+};
+
+// Refund reasons (all but "other" map to Stripe refund reasons)
+const REFUND_REASONS = {
+  DUPLICATE: "duplicate",
+  FRAUDULENT: "fraudulent",
+  REQUESTED_BY_CUSTOMER: "requested_by_customer",
+  OTHER: "other",
+};
+
 // Dedication types
 const DEDICATION_TYPES = {
   IN_HONOR: "in_honor",
@@ -51,6 +79,19 @@ const DONOR_TYPES = {
   CHAMPION: "champion",
 };
 
+// Lifetime giving thresholds used to classify donors
+const DONOR_TYPE_THRESHOLDS = {
+  MAJOR_DONOR: 10000,
+  CHAMPION: 50000,
+};
+
+// Admin roles (ordered from least to most privileged)
+const ADMIN_ROLES = {
+  VIEWER: "viewer",
+  FINANCE: "finance",
+  SUPERADMIN: "superadmin",
+};
+
 // Currencies
 const SUPPORTED_CURRENCIES = {
   USD: "USD",
@@ -60,6 +101,39 @@ const SUPPORTED_CURRENCIES = {
   AUD: "AUD",
 };
 
+// Unit of an `amount` sent to the API: major (12.50 USD) or minor (1250 cents)
+const AMOUNT_UNITS = {
+  MAJOR: "major",
+  MINOR: "minor",
+};
+
+// Currencies charged in whole units, with no minor unit (Stripe
+// "zero-decimal" currencies)
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF",
+  "CLP",
+  "DJF",
+  "GNF",
+  "JPY",
+  "KMF",
+  "KRW",
+  "MGA",
+  "PYG",
+  "RWF",
+  "UGX",
+  "VND",
+  "VUV",
+  "XAF",
+  "XOF",
+  "XPF",
+];
+
+// Where an exchange rate came from
+const EXCHANGE_RATE_SOURCES = {
+  MANUAL: "manual",
+  IMPORT: "import",
+};
+
 // Countries
 const SUPPORTED_COUNTRIES = {
   US: "United States",
@@ -69,6 +143,13 @@ const SUPPORTED_COUNTRIES = {
   NZ: "New Zealand",
 };
 
+// Stripe processing fee estimate (2.9% + 30¢ for US cards). The fixed fee is in
+// major units of the donation currency. Actual fees are read from Stripe.
+const STRIPE_FEES = {
+  PERCENTAGE: 0.029,
+  FIXED_FEE: 0.3,
+};
+
 // Donation limits
 const DONATION_LIMITS = {
   MIN_AMOUNT: 1,
@@ -83,6 +164,8 @@ const RATE_LIMITS = {
   DONATION_MAX_ATTEMPTS: 5,
   GENERAL_WINDOW: 15 * 60 * 1000, // 15 minutes
   GENERAL_MAX_REQUESTS: 100,
+  LOGIN_WINDOW: 15 * 60 * 1000, // 15 minutes
+  LOGIN_MAX_ATTEMPTS: 10,
 };
 
 // Email types
@@ -91,6 +174,43 @@ const EMAIL_TYPES = {
   THANK_YOU: "thank_you",
   ADMIN_NOTIFICATION: "admin_notification",
   TAX_RECEIPT: "tax_receipt",
+  PAYMENT_FAILED: "payment_failed",
+  DEDICATION_NOTIFICATION: "dedication_notification",
+};
+
+// Email outbox job statuses
+const EMAIL_JOB_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+// Email outbox worker settings
+const EMAIL_QUEUE = {
+  MAX_ATTEMPTS: 6,
+  BACKOFF_BASE: 60 * 1000, // 1 minute, doubled after each failed attempt
+  POLL_INTERVAL: 5 * 1000, // 5 seconds
+  LOCK_TIMEOUT: 5 * 60 * 1000, // jobs stuck in processing are retried
+};
+
+// Idempotency-Key handling for donation creation endpoints
+const IDEMPOTENCY = {
+  HEADER: "Idempotency-Key",
+  MAX_KEY_LENGTH: 255,
+  KEY_TTL: 24 * 60 * 60 * 1000, // responses are replayed for 24 hours
+  LOCK_TIMEOUT: 5 * 60 * 1000, // requests stuck in processing can be retried
+};
+
+// Idempotency key statuses
+const IDEMPOTENCY_STATUS = {
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+};
+
+// Stripe webhook event processing
+const WEBHOOK_PROCESSING = {
+  LOCK_TIMEOUT: 5 * 60 * 1000, // events stuck in processing are reclaimed
 };
 
 // Webhook events
@@ -103,12 +223,99 @@ const STRIPE_WEBHOOK_EVENTS = {
   CUSTOMER_SUBSCRIPTION_CREATED: "customer.subscription.created",
   CUSTOMER_SUBSCRIPTION_UPDATED: "customer.subscription.updated",
   CUSTOMER_SUBSCRIPTION_DELETED: "customer.subscription.deleted",
+  CHARGE_REFUNDED: "charge.refunded",
+  CHARGE_DISPUTE_CREATED: "charge.dispute.created",
+  CHARGE_DISPUTE_CLOSED: "charge.dispute.closed",
+};
+
+// Webhook event processing statuses
+const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: "received",
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  FAILED: "failed",
 };
 
+// Annual tax receipt delivery statuses
+const TAX_RECEIPT_STATUS = {
+  QUEUED: "queued",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+// Analytics time series bucket sizes
+const ANALYTICS_GRANULARITIES = {
+  DAY: "day",
+  WEEK: "week",
+  MONTH: "month",
+  YEAR: "year",
+};
+
+// Analytics comparison periods: the preceding period of the same length, or
+// the same period a year earlier
+const ANALYTICS_COMPARISONS = {
+  PREVIOUS: "previous",
+  YEAR: "year",
+};
+
+// Analytics time series settings
+const ANALYTICS = {
+  // Buckets covered when no startDate is given
+  DEFAULT_PERIODS: { day: 30, week: 12, month: 12, year: 5 },
+  // Longest series returned; coarser granularity is needed beyond it
+  MAX_SERIES_POINTS: 1000,
+};
+
+// Donation export file formats
+const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+};
+
+// Columns available in donation exports, in default order
+const DONATION_EXPORT_COLUMNS = [
+  "id",
+  "createdAt",
+  "ministry",
+  "campaign",
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "postalCode",
+  "amount",
+  "coveredFee",
+  "transactionFee",
+  "netAmount",
+  "refundedAmount",
+  "currency",
+  "amountInBaseCurrency",
+  "baseCurrency",
+  "paymentStatus",
+  "isRecurring",
+  "recurringFrequency",
+  "isAnonymous",
+  "dedicationType",
+  "honoreeName",
+  "stripePaymentIntentId",
+  "source",
+];
+
+// Export columns holding personal data, masked for admins below finance
+const DONATION_EXPORT_PII_COLUMNS = [
+  "firstName",
+  "lastName",
+  "email",
+  "phone",
+  "postalCode",
+  "honoreeName",
+];
+
 // HTTP status codes
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -126,11 +333,21 @@ const ERROR_CODES = {
   PAYMENT_ERROR: "PAYMENT_ERROR",
   CAMPAIGN_NOT_FOUND: "CAMPAIGN_NOT_FOUND",
   CAMPAIGN_INACTIVE: "CAMPAIGN_INACTIVE",
+  CAMPAIGN_CURRENCY_MISMATCH: "CAMPAIGN_CURRENCY_MISMATCH",
+  MINISTRY_NOT_FOUND: "MINISTRY_NOT_FOUND",
+  MINISTRY_INACTIVE: "MINISTRY_INACTIVE",
+  MINISTRY_IN_USE: "MINISTRY_IN_USE",
   DONATION_NOT_FOUND: "DONATION_NOT_FOUND",
+  DONOR_NOT_FOUND: "DONOR_NOT_FOUND",
+  IDEMPOTENCY_KEY_REUSED: "IDEMPOTENCY_KEY_REUSED",
+  IDEMPOTENCY_KEY_IN_USE: "IDEMPOTENCY_KEY_IN_USE",
+  REFUND_ERROR: "REFUND_ERROR",
   STRIPE_ERROR: "STRIPE_ERROR",
   EMAIL_ERROR: "EMAIL_ERROR",
   DATABASE_ERROR: "DATABASE_ERROR",
   RATE_LIMIT_EXCEEDED: "RATE_LIMIT_EXCEEDED",
+  AUTHENTICATION_ERROR: "AUTHENTICATION_ERROR",
+  AUTHORIZATION_ERROR: "AUTHORIZATION_ERROR",
 };
 
 // Environment types
@@ -171,6 +388,10 @@ const MESSAGES = {
     INVALID_INPUT: "Invalid input provided",
     CAMPAIGN_NOT_FOUND: "Campaign not found",
     CAMPAIGN_INACTIVE: "Campaign is not active",
+    CAMPAIGN_CURRENCY_MISMATCH:
+      "Donations to this campaign must be made in the campaign's currency",
+    MINISTRY_NOT_FOUND: "Ministry not found",
+    MINISTRY_INACTIVE: "Invalid ministry initiative selected",
     PAYMENT_FAILED: "Payment processing failed",
     EMAIL_FAILED: "Failed to send email",
     RATE_LIMIT_EXCEEDED: "Too many requests, please try again later",
@@ -190,6 +411,8 @@ const PAGINATION = {
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 10,
   MAX_LIMIT: 100,
+  // Deepest offset served by page numbers; beyond it use cursors
+  MAX_OFFSET: 10000,
 };
 
 // Time constants
@@ -204,17 +427,39 @@ const TIME = {
 
 module.exports = {
   PAYMENT_STATUS,
+  SUBSCRIPTION_STATUS,
   CAMPAIGN_STATUS,
   CAMPAIGN_CATEGORIES,
   RECURRING_FREQUENCIES,
+  RECURRING_INTERVALS,
+  REFUND_REASONS,
   DEDICATION_TYPES,
   DONOR_TYPES,
+  DONOR_TYPE_THRESHOLDS,
+  ADMIN_ROLES,
   SUPPORTED_CURRENCIES,
+  ZERO_DECIMAL_CURRENCIES,
+  AMOUNT_UNITS,
+  EXCHANGE_RATE_SOURCES,
   SUPPORTED_COUNTRIES,
+  STRIPE_FEES,
   DONATION_LIMITS,
   RATE_LIMITS,
   EMAIL_TYPES,
+  EMAIL_JOB_STATUS,
+  EMAIL_QUEUE,
+  IDEMPOTENCY,
+  IDEMPOTENCY_STATUS,
+  WEBHOOK_PROCESSING,
   STRIPE_WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_STATUS,
+  TAX_RECEIPT_STATUS,
+  ANALYTICS_GRANULARITIES,
+  ANALYTICS_COMPARISONS,
+  ANALYTICS,
+  EXPORT_FORMATS,
+  DONATION_EXPORT_COLUMNS,
+  DONATION_EXPORT_PII_COLUMNS,
   HTTP_STATUS,
   ERROR_CODES,
   ENVIRONMENTS,
@@ -1,4 +1,34 @@
 const moment = require("moment");
+const { ZERO_DECIMAL_CURRENCIES, STRIPE_FEES } = require("./constants");
+
+/**
+ * Number of decimal places in a currency's minor unit
+ * @param {string} currency - Currency code
+ * @returns {number} 0 for zero-decimal currencies such as JPY, otherwise 2
+ */
+const getCurrencyDecimals = (currency = "USD") => {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 0 : 2;
+};
+
+/**
+ * Convert an amount to the smallest currency unit Stripe expects
+ * @param {number} amount - Amount in major units (e.g. 12.5 USD)
+ * @param {string} currency - Currency code
+ * @returns {number} Integer amount in minor units (e.g. 1250)
+ */
+const toMinorUnits = (amount, currency = "USD") => {
+  return Math.round(amount * 10 ** getCurrencyDecimals(currency));
+};
+
+/**
+ * Convert a Stripe minor-unit amount to major units
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {number} Amount in major units
+ */
+const fromMinorUnits = (amount, currency = "USD") => {
+  return amount / 10 ** getCurrencyDecimals(currency);
+};
 
 /**
  * Format currency amount
@@ -7,11 +37,13 @@ const moment = require("moment");
  * @returns {string} Formatted currency string
  */
 const formatCurrency = (amount, currency = "USD") => {
+  const decimals = getCurrencyDecimals(currency);
+
   return new Intl.NumberFormat("en-US", {
     style: "currency",
     currency: currency.toUpperCase(),
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
   }).format(amount);
 };
 
@@ -66,24 +98,32 @@ const generateSlug = (text) => {
 };
 
 /**
- * Calculate donation fee based on amount (Stripe fees)
- * @param {number} amount - Donation amount
+ * Estimate the Stripe fee for a donation, optionally grossing the charge up
+ * so the ministry still nets the donated amount
+ * @param {number} amountMinor - Donated amount in minor units
  * @param {string} currency - Currency code
- * @returns {object} Fee breakdown
+ * @param {boolean} coverFees - Whether the donor pays the fee on top
+ * @returns {Object} Amount to charge (grossAmountMinor), estimated fee
+ *   (feeMinor) and amount left after the fee (netAmountMinor)
  */
-const calculateDonationFee = (amount, currency = "USD") => {
-  // Stripe fees: 2.9% + 30¢ for US cards
-  const percentage = 0.029;
-  const fixedFee = 0.3;
+const calculateDonationFee = (
+  amountMinor,
+  currency = "USD",
+  coverFees = false
+) => {
+  const { PERCENTAGE, FIXED_FEE } = STRIPE_FEES;
+  const fixedFeeMinor = toMinorUnits(FIXED_FEE, currency);
 
-  const stripeFee = amount * percentage + fixedFee;
-  const netAmount = amount - stripeFee;
+  // Rounded up so the net is never short of the donated amount
+  const grossAmountMinor = coverFees
+    ? Math.ceil((amountMinor + fixedFeeMinor) / (1 - PERCENTAGE))
+    : amountMinor;
+  const feeMinor = Math.round(grossAmountMinor * PERCENTAGE) + fixedFeeMinor;
 
   return {
-    grossAmount: Number(amount.toFixed(2)),
-    stripeFee: Number(stripeFee.toFixed(2)),
-    netAmount: Number(netAmount.toFixed(2)),
-    feePercentage: Number(((stripeFee / amount) * 100).toFixed(2)),
+    grossAmountMinor,
+    feeMinor,
+    netAmountMinor: grossAmountMinor - feeMinor,
   };
 };
 
@@ -177,12 +217,14 @@ const delay = (ms) => {
 };
 
 /**
- * Round to 2 decimal places (for currency)
+ * Round to the currency's minor unit (2 decimal places unless zero-decimal)
  * @param {number} num - Number to round
+ * @param {string} currency - Currency code (default: USD)
  * @returns {number} Rounded number
  */
-const roundToCurrency = (num) => {
-  return Math.round((num + Number.EPSILON) * 100) / 100;
+const roundToCurrency = (num, currency = "USD") => {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round((num + Number.EPSILON) * factor) / factor;
 };
 
 /**
@@ -197,6 +239,14 @@ const isDateInRange = (date, startDate, endDate) => {
   return checkDate.isBetween(startDate, endDate, "day", "[]");
 };
 
+/**
+ * Check if a value is a calendar date with no time of day (YYYY-MM-DD)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for date-only strings
+ */
+const isDateOnly = (value) =>
+  typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
 /**
  * Generate random string
  * @param {number} length - Length of string
@@ -237,7 +287,201 @@ const parseSortParam = (sortParam) => {
   return sortObj;
 };
 
+/**
+ * Escape user input before using it in a regular expression
+ * @param {string} text - Text to match literally
+ * @returns {string} Escaped pattern
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Encode a keyset pagination cursor for a document
+ * @param {object} doc - Document with createdAt and _id
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(
+    JSON.stringify({ t: doc.createdAt.toISOString(), id: String(doc._id) })
+  ).toString("base64url");
+
+/**
+ * Decode a keyset pagination cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {object|null} { createdAt, id }, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const createdAt = new Date(t);
+
+    if (Number.isNaN(createdAt.getTime()) || !/^[a-f\d]{24}$/i.test(id)) {
+      return null;
+    }
+
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Intl formatters by timezone, for the zoned date helpers below
+const zonedFormatters = new Map();
+
+/**
+ * Check that a timezone is a known IANA name (e.g. "America/Chicago")
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} True if the timezone is supported
+ */
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Calendar date and wall clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {object} { year, month (1-12), day, hour, minute, second, weekday
+ * (1 = Monday ... 7 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+
+  const parts = {};
+  const formatter = zonedFormatters.get(timeZone);
+
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== "literal") parts[type] = parseInt(value, 10);
+  }
+
+  const weekday = new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day)
+  ).getUTCDay();
+
+  return { ...parts, weekday: weekday === 0 ? 7 : weekday };
+};
+
+/**
+ * Instant at which a wall clock time occurs in a timezone
+ * @param {object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant (times skipped or repeated by a DST change resolve
+ * to an instant next to the change)
+ */
+const zonedTimeToUtc = (parts, timeZone) => {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offset of the timezone from UTC at an instant, in milliseconds
+  const offsetAt = (time) => {
+    const zoned = getZonedParts(new Date(time), timeZone);
+    return (
+      Date.UTC(
+        zoned.year,
+        zoned.month - 1,
+        zoned.day,
+        zoned.hour,
+        zoned.minute,
+        zoned.second
+      ) -
+      Math.floor(time / 1000) * 1000
+    );
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Start of the day, week (Monday), month or year containing an instant, in a
+ * timezone
+ * @param {Date} date - Instant
+ * @param {string} unit - "day", "week", "month" or "year"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Start of the period
+ */
+const startOfPeriod = (date, unit, timeZone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+
+  switch (unit) {
+    case "year":
+      return zonedTimeToUtc({ year, month: 1, day: 1 }, timeZone);
+    case "month":
+      return zonedTimeToUtc({ year, month, day: 1 }, timeZone);
+    case "week":
+      return zonedTimeToUtc({ year, month, day: day - weekday + 1 }, timeZone);
+    default:
+      return zonedTimeToUtc({ year, month, day }, timeZone);
+  }
+};
+
+/**
+ * Move an instant by whole days, weeks, months or years of a timezone's
+ * calendar, keeping its wall clock time. Month ends are clamped (31 January
+ * plus one month is 28 or 29 February).
+ * @param {Date} date - Instant
+ * @param {number} amount - Periods to add (negative to subtract)
+ * @param {string} unit - "day", "week", "month" or "year"
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Shifted instant
+ */
+const addPeriods = (date, amount, unit, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  let { year, month, day } = parts;
+
+  if (unit === "year" || unit === "month") {
+    const months = year * 12 + month - 1 + amount * (unit === "year" ? 12 : 1);
+    year = Math.floor(months / 12);
+    month = (months % 12) + 1;
+
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    day = Math.min(day, daysInMonth);
+  } else {
+    day += amount * (unit === "week" ? 7 : 1);
+  }
+
+  return zonedTimeToUtc({ ...parts, year, month, day }, timeZone);
+};
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [
+    String(year).padStart(4, "0"),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+};
+
 module.exports = {
+  getCurrencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
   formatCurrency,
   generateReceiptNumber,
   isValidEmail,
@@ -251,6 +495,16 @@ module.exports = {
   delay,
   roundToCurrency,
   isDateInRange,
+  isDateOnly,
   generateRandomString,
   parseSortParam,
+  escapeRegex,
+  encodeCursor,
+  decodeCursor,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfPeriod,
+  addPeriods,
+  formatZonedDate,
 };
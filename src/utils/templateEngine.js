@@ -0,0 +1,110 @@
+const path = require("path");
+const fs = require("fs").promises;
+const Handlebars = require("handlebars");
+const { formatCurrency, formatDate } = require("./helpers");
+
+const TEMPLATES_DIR = path.join(__dirname, "../templates");
+
+// Compiled templates are cached per process. Set EMAIL_TEMPLATE_CACHE=false
+// while editing templates to pick up changes without a restart.
+const cacheEnabled = process.env.EMAIL_TEMPLATE_CACHE !== "false";
+
+// HTML output is escaped by default; plain text must not be, so each format
+// gets its own Handlebars instance with its own layout partial
+const formats = {
+  html: { extension: "html", engine: Handlebars.create(), noEscape: false },
+  text: { extension: "txt", engine: Handlebars.create(), noEscape: true },
+};
+
+const cache = new Map();
+let layoutsLoaded = null;
+
+const registerHelpers = (engine) => {
+  engine.registerHelper("formatCurrency", (amount, currency) =>
+    formatCurrency(amount, typeof currency === "string" ? currency : "USD")
+  );
+
+  engine.registerHelper("formatDate", (date, format) =>
+    typeof format === "string" ? formatDate(date, format) : formatDate(date)
+  );
+
+  engine.registerHelper("eq", (a, b) => a === b);
+};
+
+Object.values(formats).forEach(({ engine }) => registerHelpers(engine));
+
+const readTemplate = async (fileName) => {
+  try {
+    return await fs.readFile(path.join(TEMPLATES_DIR, fileName), "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+// Templates wrap their content in {{#> layout}}...{{/layout}}
+const loadLayouts = () => {
+  if (!layoutsLoaded || !cacheEnabled) {
+    layoutsLoaded = Promise.all(
+      Object.values(formats).map(async ({ extension, engine }) => {
+        const source = await readTemplate(`layouts/main.${extension}`);
+        engine.registerPartial("layout", source || "{{> @partial-block}}");
+      })
+    );
+  }
+  return layoutsLoaded;
+};
+
+// Compile a template for one format; resolves null if there is no file
+const compile = async (name, format) => {
+  const key = `${format}:${name}`;
+  if (cacheEnabled && cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const { extension, engine, noEscape } = formats[format];
+  const source = await readTemplate(`${name}.${extension}`);
+  const template = source
+    ? engine.compile(source, { noEscape, strict: false })
+    : null;
+
+  cache.set(key, template);
+  return template;
+};
+
+/**
+ * Render an email template and its plain-text alternative
+ * @param {string} name - Template name (file name without extension)
+ * @param {Object} data - Template data
+ * @returns {Promise<{html: string, text: string|undefined}>}
+ */
+const renderTemplate = async (name, data) => {
+  await loadLayouts();
+
+  const [htmlTemplate, textTemplate] = await Promise.all([
+    compile(name, "html"),
+    compile(name, "text"),
+  ]);
+
+  if (!htmlTemplate) {
+    throw new Error(`Email template not found: ${name}`);
+  }
+
+  return {
+    html: htmlTemplate(data),
+    text: textTemplate ? textTemplate(data).trim() + "\n" : undefined,
+  };
+};
+
+/**
+ * Drop compiled templates and layouts so they are re-read from disk
+ */
+const clearTemplateCache = () => {
+  cache.clear();
+  layoutsLoaded = null;
+};
+
+module.exports = {
+  renderTemplate,
+  clearTemplateCache,
+};
@@ -0,0 +1,265 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+jest.mock("../../src/services/stripeService", () => ({
+  createPaymentIntent: jest.fn(),
+  retrievePaymentIntent: jest.fn(),
+  retrieveBalanceTransaction: jest.fn(),
+}));
+
+jest.mock("../../src/services/exchangeRateService", () => ({
+  convertToBase: jest.fn(),
+}));
+
+jest.mock("../../src/services/ministryService", () => ({
+  isAcceptingDonations: jest.fn(),
+}));
+
+jest.mock("../../src/services/webhookEventService", () => ({
+  recordEvent: jest.fn(),
+  claimEvent: jest.fn(),
+  markProcessed: jest.fn(),
+  markFailed: jest.fn(),
+}));
+
+const app = require("../../src/app");
+const { stripe, webhookSecret } = require("../../src/config/stripe");
+const { Donation, Donor, Campaign, EmailJob } = require("../../src/models");
+const stripeService = require("../../src/services/stripeService");
+const exchangeRateService = require("../../src/services/exchangeRateService");
+const ministryService = require("../../src/services/ministryService");
+const webhookEventService = require("../../src/services/webhookEventService");
+const { PAYMENT_STATUS, EMAIL_TYPES } = require("../../src/utils/constants");
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, condition]) => {
+    const value = getPath(doc, path);
+    if (condition && typeof condition === "object" && "$ne" in condition) {
+      return String(value) !== String(condition.$ne);
+    }
+    return String(value) === String(condition);
+  });
+
+// Back a model with an in-memory collection. Covers the queries and update
+// operators the donation flow uses; documents come back hydrated, so model
+// methods and virtuals work as with MongoDB.
+const inMemoryCollection = (Model) => {
+  const docs = [];
+
+  const find = (filter) => docs.find((doc) => matches(doc, filter));
+  const load = (doc) => (doc ? Model.hydrate({ ...doc }) : null);
+
+  const applyUpdate = (doc, update, inserting) => {
+    const {
+      $set = {},
+      $setOnInsert = {},
+      $inc = {},
+      $min = {},
+      $max = {},
+      $push = {},
+    } = update;
+    const fields = { ...$set, ...(inserting && $setOnInsert) };
+
+    Object.entries(fields).forEach(([path, value]) => doc.set(path, value));
+    Object.entries($inc).forEach(([path, value]) =>
+      doc.set(path, (doc.get(path) || 0) + value)
+    );
+    Object.entries($min).forEach(([path, value]) => {
+      if (doc.get(path) == null || value < doc.get(path)) doc.set(path, value);
+    });
+    Object.entries($max).forEach(([path, value]) => {
+      if (doc.get(path) == null || value > doc.get(path)) doc.set(path, value);
+    });
+    Object.entries($push).forEach(([path, value]) => doc.get(path).push(value));
+  };
+
+  const store = (doc) => {
+    const stored = doc.toObject({ virtuals: false, depopulate: true });
+    const index = docs.findIndex((d) => String(d._id) === String(doc._id));
+    if (index === -1) docs.push(stored);
+    else docs[index] = stored;
+  };
+
+  const findOneAndUpdate = async (filter, update, options = {}) => {
+    const existing = find(filter);
+    if (!existing && !options.upsert) return null;
+
+    const doc = existing
+      ? load(existing)
+      : new Model(
+          Object.fromEntries(
+            Object.entries(filter).filter(([, v]) => typeof v !== "object")
+          )
+        );
+    const before = doc.toObject();
+    applyUpdate(doc, update, !existing);
+    store(doc);
+
+    return options.new ? doc : existing && Model.hydrate(before);
+  };
+
+  jest.spyOn(Model.prototype, "save").mockImplementation(async function () {
+    store(this);
+    return this;
+  });
+  jest.spyOn(Model, "findOne").mockImplementation(async (f) => load(find(f)));
+  jest
+    .spyOn(Model, "findById")
+    .mockImplementation(async (id) => load(find({ _id: id })));
+  jest.spyOn(Model, "findOneAndUpdate").mockImplementation(findOneAndUpdate);
+  jest
+    .spyOn(Model, "findByIdAndUpdate")
+    .mockImplementation((id, update, options) =>
+      findOneAndUpdate({ _id: id }, update, options)
+    );
+  jest
+    .spyOn(Model, "updateOne")
+    .mockImplementation(async (filter, update, options = {}) => {
+      const doc = await findOneAndUpdate(filter, update, options);
+      return { matchedCount: doc ? 1 : 0 };
+    });
+
+  return docs;
+};
+
+const donationRequest = {
+  ministry: "general",
+  amountMinor: 5000,
+  currency: "USD",
+  donorInfo: {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.com",
+    postalCode: "12345",
+  },
+};
+
+const paymentIntent = {
+  id: "pi_flow",
+  client_secret: "pi_flow_secret",
+  status: "succeeded",
+  amount: 5000,
+  currency: "usd",
+};
+
+// Deliver a webhook signed like Stripe would
+const sendWebhook = (type, object) => {
+  const payload = JSON.stringify({
+    id: `evt_${type}`,
+    type,
+    data: { object },
+  });
+
+  return request(app)
+    .post("/api/webhooks/stripe")
+    .set("Content-Type", "application/json")
+    .set(
+      "Stripe-Signature",
+      stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: webhookSecret,
+      })
+    )
+    .send(payload);
+};
+
+describe("one-time donation flow", () => {
+  let donations;
+  let donors;
+  let emailJobs;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    donations = inMemoryCollection(Donation);
+    donors = inMemoryCollection(Donor);
+    emailJobs = inMemoryCollection(EmailJob);
+    inMemoryCollection(Campaign);
+
+    jest.spyOn(mongoose, "startSession").mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: async () => {},
+    });
+
+    ministryService.isAcceptingDonations.mockResolvedValue(true);
+    exchangeRateService.convertToBase.mockResolvedValue({
+      amountInBaseCurrency: 50,
+      baseCurrency: "USD",
+      exchangeRate: 1,
+    });
+    stripeService.createPaymentIntent.mockResolvedValue(paymentIntent);
+    stripeService.retrievePaymentIntent.mockResolvedValue(paymentIntent);
+    webhookEventService.claimEvent.mockResolvedValue(true);
+  });
+
+  it("queues receipts when the webhook completes the payment", async () => {
+    const intent = await request(app)
+      .post("/api/donations/intent")
+      .send(donationRequest)
+      .expect(201);
+
+    expect(intent.body.data.paymentIntentId).toBe("pi_flow");
+    expect(donations).toHaveLength(1);
+    expect(donations[0].paymentStatus).toBe(PAYMENT_STATUS.PENDING);
+    expect(emailJobs).toHaveLength(0);
+
+    await sendWebhook("payment_intent.succeeded", paymentIntent).expect(200);
+
+    expect(donations[0].paymentStatus).toBe(PAYMENT_STATUS.SUCCEEDED);
+    expect(donors).toHaveLength(1);
+    expect(donors[0]).toMatchObject({ totalDonated: 50, donationCount: 1 });
+    expect(emailJobs.map((job) => job.type).sort()).toEqual(
+      [
+        EMAIL_TYPES.ADMIN_NOTIFICATION,
+        EMAIL_TYPES.RECEIPT,
+        EMAIL_TYPES.THANK_YOU,
+      ].sort()
+    );
+
+    // The client confirming afterwards queues nothing new
+    const confirm = await request(app)
+      .post("/api/donations/confirm")
+      .send({ paymentIntentId: "pi_flow" })
+      .expect(201);
+
+    expect(confirm.body.data.donationId).toBe(String(donations[0]._id));
+    expect(emailJobs).toHaveLength(3);
+    expect(donors[0]).toMatchObject({ totalDonated: 50, donationCount: 1 });
+  });
+
+  it("queues receipts when the client confirms first", async () => {
+    await request(app)
+      .post("/api/donations/intent")
+      .send(donationRequest)
+      .expect(201);
+
+    await request(app)
+      .post("/api/donations/confirm")
+      .send({ paymentIntentId: "pi_flow" })
+      .expect(201);
+
+    expect(donations[0].paymentStatus).toBe(PAYMENT_STATUS.SUCCEEDED);
+    expect(emailJobs).toHaveLength(3);
+
+    await sendWebhook("payment_intent.succeeded", paymentIntent).expect(200);
+
+    expect(emailJobs).toHaveLength(3);
+  });
+
+  it("rejects webhooks without a valid signature", async () => {
+    await request(app)
+      .post("/api/webhooks/stripe")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", "t=1,v1=invalid")
+      .send(JSON.stringify({ type: "payment_intent.succeeded" }))
+      .expect(400);
+
+    expect(webhookEventService.recordEvent).not.toHaveBeenCalled();
+  });
+});
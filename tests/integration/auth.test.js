@@ -0,0 +1,256 @@
+const request = require("supertest");
+const bcrypt = require("bcryptjs");
+
+jest.mock("../../src/services/donationService", () => ({
+  getDonations: jest.fn(),
+  getAnalytics: jest.fn(),
+  getDonorRetention: jest.fn(),
+  getDonorCohorts: jest.fn(),
+  getTopDonors: jest.fn(),
+}));
+
+const app = require("../../src/app");
+const { AdminUser } = require("../../src/models");
+const authService = require("../../src/services/authService");
+const donationService = require("../../src/services/donationService");
+const { ADMIN_ROLES } = require("../../src/utils/constants");
+
+const PASSWORD = "correct horse battery";
+
+// In-memory admin store behind the queries the auth service makes
+let admins;
+
+const addAdmin = (role, overrides = {}) => {
+  const admin = new AdminUser({
+    name: `${role} admin`,
+    email: `${role}@example.org`,
+    role,
+    ...overrides,
+  });
+  admin.password = bcrypt.hashSync(PASSWORD, 4);
+  admins.set(admin._id.toString(), admin);
+  return admin;
+};
+
+const findByEmail = (email) =>
+  [...admins.values()].find((admin) => admin.email === email) || null;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  admins = new Map();
+
+  jest.spyOn(AdminUser, "findOne").mockImplementation(({ email }) => ({
+    select: async () => findByEmail(email),
+  }));
+  jest
+    .spyOn(AdminUser, "findById")
+    .mockImplementation(async (id) => admins.get(String(id)) || null);
+  jest
+    .spyOn(AdminUser, "findOneAndUpdate")
+    .mockImplementation(async (filter, update) => {
+      const admin = admins.get(String(filter._id));
+      if (
+        !admin ||
+        admin.tokenVersion !== filter.tokenVersion ||
+        admin.isActive !== filter.isActive
+      ) {
+        return null;
+      }
+      admin.tokenVersion += update.$inc.tokenVersion;
+      return admin;
+    });
+  jest
+    .spyOn(AdminUser, "updateOne")
+    .mockImplementation(async (filter, update) => {
+      const admin = admins.get(String(filter._id));
+      admin.tokenVersion += update.$inc.tokenVersion;
+    });
+  jest.spyOn(AdminUser.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+});
+
+const login = (email, password = PASSWORD) =>
+  request(app).post("/api/auth/login").send({ email, password });
+
+const signIn = async (role) => {
+  addAdmin(role);
+  const res = await login(`${role}@example.org`);
+  return res.body.data;
+};
+
+describe("POST /api/auth/login", () => {
+  it("returns a token pair without the password hash", async () => {
+    const admin = addAdmin(ADMIN_ROLES.FINANCE);
+
+    const res = await login("finance@example.org");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+    expect(res.body.data.admin.password).toBeUndefined();
+    expect(admin.lastLoginAt).toBeInstanceOf(Date);
+  });
+
+  it("rejects a wrong password", async () => {
+    addAdmin(ADMIN_ROLES.FINANCE);
+
+    const res = await login("finance@example.org", "not the password");
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Invalid email or password");
+  });
+
+  it.each([
+    ["an unknown email", () => {}],
+    [
+      "an inactive admin",
+      () => addAdmin(ADMIN_ROLES.FINANCE, { isActive: false }),
+    ],
+  ])("still runs a bcrypt compare for %s", async (label, setup) => {
+    setup();
+    const compare = jest.spyOn(bcrypt, "compare");
+
+    const res = await login("finance@example.org");
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Invalid email or password");
+    expect(compare).toHaveBeenCalledWith(PASSWORD, expect.any(String));
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("issues a new token pair and retires the used refresh token", async () => {
+    const { refreshToken } = await signIn(ADMIN_ROLES.VIEWER);
+
+    const first = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(reused.status).toBe(401);
+
+    const next = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: first.body.data.refreshToken });
+    expect(next.status).toBe(200);
+  });
+
+  it("rejects a refresh token for a deactivated admin", async () => {
+    const { admin, refreshToken } = await signIn(ADMIN_ROLES.VIEWER);
+    admins.get(admin._id).isActive = false;
+
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it("rejects an access token passed as a refresh token", async () => {
+    const { accessToken } = await signIn(ADMIN_ROLES.VIEWER);
+
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: accessToken });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("token revocation", () => {
+  it("logout revokes the access and refresh tokens", async () => {
+    const { accessToken, refreshToken } = await signIn(ADMIN_ROLES.VIEWER);
+    const auth = `Bearer ${accessToken}`;
+
+    const me = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", auth);
+    expect(me.status).toBe(200);
+
+    const logout = await request(app)
+      .post("/api/auth/logout")
+      .set("Authorization", auth);
+    expect(logout.status).toBe(200);
+
+    const after = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", auth);
+    expect(after.status).toBe(401);
+
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it("rejects access tokens issued before a token version bump", async () => {
+    const { admin, accessToken } = await signIn(ADMIN_ROLES.FINANCE);
+    admins.get(admin._id).tokenVersion += 1;
+
+    const res = await request(app)
+      .get("/api/auth/me")
+      .set("Authorization", `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("donation admin routes", () => {
+  const routes = [
+    ["/api/donations", ADMIN_ROLES.FINANCE],
+    ["/api/donations/analytics/top-donors", ADMIN_ROLES.FINANCE],
+    ["/api/donations/analytics/summary", ADMIN_ROLES.VIEWER],
+    ["/api/donations/analytics/donors", ADMIN_ROLES.VIEWER],
+    ["/api/donations/analytics/cohorts", ADMIN_ROLES.VIEWER],
+  ];
+
+  beforeEach(() => {
+    donationService.getDonations.mockResolvedValue({
+      donations: [],
+      pagination: { totalItems: 0, totalPages: 0 },
+    });
+    donationService.getAnalytics.mockResolvedValue({});
+    donationService.getDonorRetention.mockResolvedValue({});
+    donationService.getDonorCohorts.mockResolvedValue({});
+    donationService.getTopDonors.mockResolvedValue([]);
+  });
+
+  it.each(routes)("%s requires an access token", async (path) => {
+    const res = await request(app).get(path);
+
+    expect(res.status).toBe(401);
+  });
+
+  it.each(routes)("%s rejects a malformed token", async (path) => {
+    const res = await request(app)
+      .get(path)
+      .set("Authorization", "Bearer not-a-token");
+
+    expect(res.status).toBe(401);
+  });
+
+  // Tokens are signed directly so these cases stay clear of the login limiter
+  it.each(Object.values(ADMIN_ROLES))(
+    "allows %s only on the routes its role covers",
+    async (role) => {
+      const admin = addAdmin(role);
+      const { accessToken } = authService.issueTokens(admin);
+
+      for (const [path, requiredRole] of routes) {
+        const res = await request(app)
+          .get(path)
+          .set("Authorization", `Bearer ${accessToken}`);
+
+        expect([path, res.status]).toEqual([
+          path,
+          admin.hasRole(requiredRole) ? 200 : 403,
+        ]);
+      }
+    }
+  );
+});
@@ -0,0 +1,183 @@
+const request = require("supertest");
+
+const app = require("../../src/app");
+const { AdminUser, Donation } = require("../../src/models");
+const authService = require("../../src/services/authService");
+const {
+  ADMIN_ROLES,
+  DONATION_EXPORT_COLUMNS,
+  PAYMENT_STATUS,
+} = require("../../src/utils/constants");
+
+const donation = (fields = {}) => ({
+  _id: "665f1c2e8b3f4a0012345678",
+  createdAt: new Date("2024-05-01T12:00:00Z"),
+  ministry: "missions",
+  donorInfo: {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.org",
+    phone: "+15555550100",
+    postalCode: "60601",
+  },
+  dedication: { type: "in_honor", honoreeName: "Grace Hopper" },
+  amountMinor: 5000,
+  netAmountMinor: 4825,
+  transactionFeeMinor: 175,
+  currency: "USD",
+  paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+  ...fields,
+});
+
+let donations;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  donations = [donation()];
+
+  jest.spyOn(Donation, "find").mockImplementation(() => ({
+    sort: () => ({ lean: () => ({ cursor: () => donations }) }),
+  }));
+});
+
+const signIn = (role) => {
+  const admin = new AdminUser({
+    name: `${role} admin`,
+    email: `${role}@example.org`,
+    role,
+  });
+  jest.spyOn(AdminUser, "findById").mockResolvedValue(admin);
+  return `Bearer ${authService.issueTokens(admin).accessToken}`;
+};
+
+// Rows of the CSV body, without the byte order mark
+const exportCsv = async (role, query = {}) => {
+  const res = await request(app)
+    .get("/api/donations/export")
+    .query(query)
+    .set("Authorization", signIn(role));
+
+  expect(res.status).toBe(200);
+  expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+  return res.text
+    .replace(/^\uFEFF/, "")
+    .split("\r\n")
+    .slice(0, -1);
+};
+
+describe("GET /api/donations/export", () => {
+  describe("formula injection", () => {
+    it.each(["=", "+", "-", "@"])(
+      "prefixes cells starting with %s with an apostrophe",
+      async (prefix) => {
+        donations = [
+          donation({
+            donorInfo: { firstName: `${prefix}HYPERLINK("http://x")` },
+          }),
+        ];
+
+        const rows = await exportCsv(ADMIN_ROLES.FINANCE, {
+          columns: "firstName",
+        });
+
+        expect(rows).toEqual([
+          "First Name",
+          `"'${prefix}HYPERLINK(""http://x"")"`,
+        ]);
+      }
+    );
+
+    it("leaves negative numbers and plain text alone", async () => {
+      donations = [
+        donation({
+          donorInfo: { firstName: "Ada" },
+          refundedAmountMinor: -500,
+        }),
+      ];
+
+      const rows = await exportCsv(ADMIN_ROLES.FINANCE, {
+        columns: "firstName,refundedAmount",
+      });
+
+      expect(rows[1]).toBe("Ada,-5");
+    });
+
+    it("quotes commas, quotes and line breaks", async () => {
+      donations = [
+        donation({ donorInfo: { firstName: 'Ada "The Countess"\nLovelace' } }),
+      ];
+
+      const rows = await exportCsv(ADMIN_ROLES.FINANCE, {
+        columns: "firstName",
+      });
+
+      expect(rows.join("\r\n")).toContain('"Ada ""The Countess""\nLovelace"');
+    });
+  });
+
+  describe("personal data", () => {
+    const piiColumns = "firstName,lastName,email,phone,postalCode,honoreeName";
+
+    it("masks donor details for viewers", async () => {
+      const rows = await exportCsv(ADMIN_ROLES.VIEWER, {
+        columns: `${piiColumns},amount`,
+      });
+
+      expect(rows[1]).toBe("***,***,***,***,***,***,50");
+    });
+
+    it.each([ADMIN_ROLES.FINANCE, ADMIN_ROLES.SUPERADMIN])(
+      "shows donor details to %s admins",
+      async (role) => {
+        const rows = await exportCsv(role, { columns: piiColumns });
+
+        expect(rows[1]).toBe(
+          "Ada,Lovelace,ada@example.org,'+15555550100,60601,Grace Hopper"
+        );
+      }
+    );
+  });
+
+  describe("columns", () => {
+    it("exports every column in the default order", async () => {
+      const rows = await exportCsv(ADMIN_ROLES.FINANCE);
+
+      expect(rows[0].split(",")).toHaveLength(DONATION_EXPORT_COLUMNS.length);
+      expect(rows[0]).toMatch(/^Donation ID,Date,Ministry,Campaign ID,/);
+      expect(rows[1]).toMatch(
+        /^665f1c2e8b3f4a0012345678,2024-05-01T12:00:00.000Z,missions,,Ada,/
+      );
+    });
+
+    it("exports only the requested columns, in the requested order", async () => {
+      const rows = await exportCsv(ADMIN_ROLES.FINANCE, {
+        columns: "amount,currency,id,amount",
+      });
+
+      expect(rows).toEqual([
+        "Amount,Currency,Donation ID",
+        "50,USD,665f1c2e8b3f4a0012345678",
+      ]);
+    });
+
+    it("writes minor-unit amounts in major units", async () => {
+      donations = [donation({ amountMinor: 5000, currency: "JPY" })];
+
+      const rows = await exportCsv(ADMIN_ROLES.FINANCE, {
+        columns: "amount,netAmount,transactionFee,currency",
+      });
+
+      expect(rows[1]).toBe("5000,4825,175,JPY");
+    });
+
+    it("rejects unknown columns", async () => {
+      const res = await request(app)
+        .get("/api/donations/export")
+        .query({ columns: "amount,password" })
+        .set("Authorization", signIn(ADMIN_ROLES.FINANCE));
+
+      expect(res.status).toBe(400);
+      expect(Donation.find).not.toHaveBeenCalled();
+    });
+  });
+});
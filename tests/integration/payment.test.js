@@ -0,0 +1,199 @@
+const request = require("supertest");
+
+// In-memory idempotency key store with the unique (key, scope) index
+jest.mock("../../src/models/IdempotencyKey", () => {
+  const records = new Map();
+  const id = (key, scope) => `${scope}|${key}`;
+
+  const IdempotencyKey = {
+    records,
+    create: jest.fn(async (doc) => {
+      const _id = id(doc.key, doc.scope);
+      if (records.has(_id)) {
+        throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+      }
+      const record = { _id, status: "processing", ...doc };
+      records.set(_id, record);
+      return record;
+    }),
+    findOne: jest.fn(
+      async ({ key, scope }) => records.get(id(key, scope)) || null
+    ),
+    findOneAndUpdate: jest.fn(async () => null),
+    updateOne: jest.fn(async ({ _id }, { $set }) => {
+      Object.assign(records.get(_id), $set);
+    }),
+    deleteOne: jest.fn(async ({ _id }) => {
+      records.delete(_id);
+    }),
+  };
+
+  return { IdempotencyKey };
+});
+
+jest.mock("../../src/services/ministryService", () => ({
+  isAcceptingDonations: jest.fn(),
+}));
+
+jest.mock("../../src/services/donationService", () => ({
+  createOneTimeDonation: jest.fn(),
+}));
+
+jest.mock("../../src/services/campaignService", () => ({
+  getCampaignById: jest.fn(),
+}));
+
+const app = require("../../src/app");
+const { IdempotencyKey } = require("../../src/models/IdempotencyKey");
+const ministryService = require("../../src/services/ministryService");
+const donationService = require("../../src/services/donationService");
+const campaignService = require("../../src/services/campaignService");
+
+const donationRequest = {
+  ministry: "general",
+  amountMinor: 2500,
+  currency: "USD",
+  donorInfo: {
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.com",
+    postalCode: "12345",
+  },
+};
+
+describe("POST /api/donations/intent", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IdempotencyKey.records.clear();
+
+    ministryService.isAcceptingDonations.mockResolvedValue(true);
+    donationService.createOneTimeDonation.mockImplementation(async () => ({
+      donation: {
+        _id: "donation-1",
+        amountMinor: 2500,
+        coveredFeeMinor: 0,
+        currency: "USD",
+      },
+      paymentIntent: { id: "pi_1", client_secret: "pi_1_secret" },
+    }));
+  });
+
+  it("creates a payment intent", async () => {
+    const res = await request(app)
+      .post("/api/donations/intent")
+      .send(donationRequest)
+      .expect(201);
+
+    expect(res.body.data).toMatchObject({
+      paymentIntentId: "pi_1",
+      clientSecret: "pi_1_secret",
+      amountMinor: 2500,
+    });
+    expect(donationService.createOneTimeDonation).toHaveBeenCalledWith(
+      expect.objectContaining({ ministry: "general", amountMinor: 2500 }),
+      { idempotencyKey: undefined }
+    );
+  });
+
+  it("rejects donations to an inactive ministry", async () => {
+    ministryService.isAcceptingDonations.mockResolvedValue(false);
+
+    await request(app)
+      .post("/api/donations/intent")
+      .send(donationRequest)
+      .expect(400);
+
+    expect(donationService.createOneTimeDonation).not.toHaveBeenCalled();
+  });
+
+  it("rejects campaign gifts in another currency", async () => {
+    campaignService.getCampaignById.mockResolvedValue({
+      currency: "EUR",
+      isAcceptingDonations: () => true,
+    });
+
+    const res = await request(app)
+      .post("/api/donations/intent")
+      .send({ ...donationRequest, campaign: "64b7f0c2a1b2c3d4e5f60718" })
+      .expect(400);
+
+    expect(res.body).toMatchObject({
+      errorCode: "CAMPAIGN_CURRENCY_MISMATCH",
+      campaignCurrency: "EUR",
+    });
+    expect(donationService.createOneTimeDonation).not.toHaveBeenCalled();
+  });
+
+  it("accepts campaign gifts in the campaign's currency", async () => {
+    campaignService.getCampaignById.mockResolvedValue({
+      currency: "USD",
+      isAcceptingDonations: () => true,
+    });
+
+    await request(app)
+      .post("/api/donations/intent")
+      .send({ ...donationRequest, campaign: "64b7f0c2a1b2c3d4e5f60718" })
+      .expect(201);
+
+    expect(donationService.createOneTimeDonation).toHaveBeenCalled();
+  });
+
+  it("replays a retried request instead of charging twice", async () => {
+    const first = await request(app)
+      .post("/api/donations/intent")
+      .set("Idempotency-Key", "retry-1")
+      .send(donationRequest)
+      .expect(201);
+
+    const retry = await request(app)
+      .post("/api/donations/intent")
+      .set("Idempotency-Key", "retry-1")
+      .send(donationRequest)
+      .expect(201);
+
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(retry.body).toEqual(first.body);
+    expect(donationService.createOneTimeDonation).toHaveBeenCalledTimes(1);
+    expect(donationService.createOneTimeDonation).toHaveBeenCalledWith(
+      expect.any(Object),
+      { idempotencyKey: "retry-1" }
+    );
+  });
+
+  it("rejects a key reused with a different body", async () => {
+    await request(app)
+      .post("/api/donations/intent")
+      .set("Idempotency-Key", "retry-2")
+      .send(donationRequest)
+      .expect(201);
+
+    const res = await request(app)
+      .post("/api/donations/intent")
+      .set("Idempotency-Key", "retry-2")
+      .send({ ...donationRequest, amountMinor: 5000 })
+      .expect(409);
+
+    expect(res.body.errorCode).toBe("IDEMPOTENCY_KEY_REUSED");
+    expect(donationService.createOneTimeDonation).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets a failed request be retried with the same key", async () => {
+    donationService.createOneTimeDonation.mockRejectedValueOnce(
+      new Error("Stripe unavailable")
+    );
+
+    await request(app)
+      .post("/api/donations/intent")
+      .set("Idempotency-Key", "retry-3")
+      .send(donationRequest)
+      .expect(500);
+
+    await request(app)
+      .post("/api/donations/intent")
+      .set("Idempotency-Key", "retry-3")
+      .send(donationRequest)
+      .expect(201);
+
+    expect(donationService.createOneTimeDonation).toHaveBeenCalledTimes(2);
+  });
+});
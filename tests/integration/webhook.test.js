@@ -0,0 +1,244 @@
+const request = require("supertest");
+
+// In-memory webhook event log covering the queries the event service makes
+jest.mock("../../src/models/WebhookEvent", () => {
+  const records = new Map();
+  let nextId = 1;
+
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([field, condition]) => {
+      if (field === "$or") {
+        return condition.some((branch) => matches(record, branch));
+      }
+      if (condition && condition.$in) {
+        return condition.$in.includes(record[field]);
+      }
+      if (condition && condition.$lt) {
+        return record[field] < condition.$lt;
+      }
+      return record[field] === condition;
+    });
+
+  const find = (filter) =>
+    [...records.values()].find((record) => matches(record, filter));
+
+  const WebhookEvent = {
+    records,
+    findOneAndUpdate: jest.fn(async (filter, update, options = {}) => {
+      let record = find(filter);
+
+      if (!record) {
+        if (!options.upsert) return null;
+        record = {
+          _id: String(nextId++).padStart(24, "0"),
+          status: "received",
+          attempts: 0,
+          ...update.$setOnInsert,
+        };
+        records.set(record.stripeEventId, record);
+      } else {
+        Object.assign(record, update.$set);
+        Object.entries(update.$inc || {}).forEach(([field, value]) => {
+          record[field] += value;
+        });
+      }
+
+      return { ...record };
+    }),
+    findById: jest.fn((id) => ({
+      lean: async () => {
+        const record = find({ _id: id });
+        return record ? { ...record } : null;
+      },
+    })),
+  };
+
+  return { WebhookEvent };
+});
+
+jest.mock("../../src/services/donationService", () => ({
+  completePayment: jest.fn(),
+}));
+
+const app = require("../../src/app");
+const { stripe, webhookSecret } = require("../../src/config/stripe");
+const { AdminUser } = require("../../src/models");
+const { WebhookEvent } = require("../../src/models/WebhookEvent");
+const donationService = require("../../src/services/donationService");
+const authService = require("../../src/services/authService");
+const webhookEventService = require("../../src/services/webhookEventService");
+const {
+  ADMIN_ROLES,
+  WEBHOOK_EVENT_STATUS,
+} = require("../../src/utils/constants");
+
+const paymentIntent = {
+  id: "pi_1",
+  status: "succeeded",
+  amount: 5000,
+  currency: "usd",
+};
+
+const stripeEvent = {
+  id: "evt_1",
+  type: "payment_intent.succeeded",
+  data: { object: paymentIntent },
+};
+
+// Deliver a webhook signed like Stripe would
+const deliver = (event = stripeEvent) => {
+  const payload = JSON.stringify(event);
+
+  return request(app)
+    .post("/api/webhooks/stripe")
+    .set("Content-Type", "application/json")
+    .set(
+      "Stripe-Signature",
+      stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret: webhookSecret,
+      })
+    )
+    .send(payload);
+};
+
+// Bearer token for a signed-in admin with the given role
+const signIn = (role) => {
+  const admin = new AdminUser({
+    name: "Grace Hopper",
+    email: "grace@example.com",
+    password: "correct horse battery staple",
+    role,
+  });
+  jest.spyOn(AdminUser, "findById").mockResolvedValue(admin);
+  return `Bearer ${authService.issueTokens(admin).accessToken}`;
+};
+
+const recorded = () => WebhookEvent.records.get(stripeEvent.id);
+
+describe("Stripe webhook delivery", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    WebhookEvent.records.clear();
+    donationService.completePayment.mockResolvedValue({});
+  });
+
+  it("processes each event once when Stripe redelivers it", async () => {
+    await deliver().expect(200, { received: true });
+    const duplicate = await deliver().expect(200);
+
+    expect(duplicate.body).toEqual({ received: true, duplicate: true });
+    expect(donationService.completePayment).toHaveBeenCalledTimes(1);
+    expect(recorded()).toMatchObject({
+      status: WEBHOOK_EVENT_STATUS.PROCESSED,
+      attempts: 1,
+    });
+  });
+
+  it("skips an event another delivery is still processing", async () => {
+    donationService.completePayment.mockImplementation(async () => {
+      const concurrent = await deliver();
+      expect(concurrent.body).toEqual({ received: true, duplicate: true });
+    });
+
+    await deliver().expect(200, { received: true });
+
+    expect(donationService.completePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it("reclaims an event whose processing was abandoned", async () => {
+    await deliver();
+    Object.assign(recorded(), {
+      status: WEBHOOK_EVENT_STATUS.PROCESSING,
+      processingStartedAt: new Date(Date.now() - 10 * 60 * 1000),
+    });
+
+    await deliver().expect(200, { received: true });
+
+    expect(donationService.completePayment).toHaveBeenCalledTimes(2);
+    expect(recorded()).toMatchObject({
+      status: WEBHOOK_EVENT_STATUS.PROCESSED,
+      attempts: 2,
+    });
+  });
+
+  it("records failures so Stripe's retry processes the event again", async () => {
+    donationService.completePayment.mockRejectedValueOnce(new Error("boom"));
+
+    await deliver().expect(500);
+    expect(recorded()).toMatchObject({
+      status: WEBHOOK_EVENT_STATUS.FAILED,
+      lastError: "boom",
+    });
+
+    await deliver().expect(200, { received: true });
+    expect(recorded().status).toBe(WEBHOOK_EVENT_STATUS.PROCESSED);
+  });
+
+  it("still answers 500 when the failure can't be recorded", async () => {
+    donationService.completePayment.mockRejectedValue(new Error("boom"));
+    jest
+      .spyOn(webhookEventService, "markFailed")
+      .mockRejectedValue(new Error("database unavailable"));
+
+    const response = await deliver().expect(500);
+
+    expect(response.body).toEqual({ error: "Webhook processing failed" });
+  });
+});
+
+describe("POST /api/webhooks/events/:id/replay", () => {
+  const replay = (role) =>
+    request(app)
+      .post(`/api/webhooks/events/${recorded()._id}/replay`)
+      .set("Authorization", signIn(role));
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    WebhookEvent.records.clear();
+
+    donationService.completePayment.mockRejectedValueOnce(new Error("boom"));
+    await deliver().expect(500);
+    donationService.completePayment.mockResolvedValue({});
+  });
+
+  it("re-runs a failed event", async () => {
+    const response = await replay(ADMIN_ROLES.FINANCE).expect(200);
+
+    expect(response.body.data.event.status).toBe(
+      WEBHOOK_EVENT_STATUS.PROCESSED
+    );
+    expect(donationService.completePayment).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([WEBHOOK_EVENT_STATUS.RECEIVED, WEBHOOK_EVENT_STATUS.PROCESSED])(
+    "refuses to replay a %s event",
+    async (status) => {
+      recorded().status = status;
+
+      await replay(ADMIN_ROLES.FINANCE).expect(409);
+
+      expect(donationService.completePayment).toHaveBeenCalledTimes(1);
+    }
+  );
+
+  it("refuses to replay an event that is still being processed", async () => {
+    Object.assign(recorded(), {
+      status: WEBHOOK_EVENT_STATUS.PROCESSING,
+      processingStartedAt: new Date(Date.now() - 10 * 60 * 1000),
+    });
+
+    const response = await replay(ADMIN_ROLES.FINANCE).expect(409);
+
+    expect(response.body.data.status).toBe(WEBHOOK_EVENT_STATUS.PROCESSING);
+    expect(donationService.completePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it("is limited to finance admins", async () => {
+    await replay(ADMIN_ROLES.VIEWER).expect(403);
+
+    expect(recorded().status).toBe(WEBHOOK_EVENT_STATUS.FAILED);
+  });
+});
@@ -0,0 +1,13 @@
+// Environment for the test suites. Stripe is never called: tests mock the
+// services that talk to it, so dummy keys are enough to load the config.
+process.env.NODE_ENV = "test";
+process.env.STRIPE_SECRET_KEY = "sk_test_dummy";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_dummy";
+process.env.BASE_CURRENCY = "USD";
+process.env.REPORTING_TIMEZONE = "UTC";
+
+// Cheap password hashing keeps the login tests fast
+process.env.BCRYPT_ROUNDS = "4";
+
+// Keep test output readable
+require("../src/utils/logger").silent = true;
@@ -0,0 +1,242 @@
+jest.mock("../../src/models", () => ({
+  Donation: { aggregate: jest.fn() },
+  Donor: {},
+  Campaign: {},
+  Subscription: {},
+}));
+
+const { Donation } = require("../../src/models");
+const donationService = require("../../src/services/donationService");
+
+// createdAt condition of the $match stage of the first aggregation
+const matchedDates = () =>
+  Donation.aggregate.mock.calls[0][0][0].$match.createdAt;
+
+describe("analytics date range", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donation.aggregate.mockResolvedValue([]);
+  });
+
+  it("reads date-only bounds as whole days in the timezone", async () => {
+    const analytics = await donationService.getAnalytics({
+      startDate: "2024-01-01",
+      endDate: "2024-01-31",
+      timezone: "America/Chicago",
+    });
+
+    expect(matchedDates()).toEqual({
+      $gte: new Date("2024-01-01T06:00:00Z"),
+      $lt: new Date("2024-02-01T06:00:00Z"),
+    });
+    expect(analytics.series).toHaveLength(31);
+    expect(analytics.series[0].period).toBe("2024-01-01");
+    expect(analytics.series[30].period).toBe("2024-01-31");
+  });
+
+  it("follows the offset change across a DST boundary", async () => {
+    const analytics = await donationService.getAnalytics({
+      startDate: "2024-03-09",
+      endDate: "2024-03-10",
+      timezone: "America/Chicago",
+    });
+
+    // Clocks go forward at 2am on 10 March, so that day is 23 hours long
+    expect(matchedDates()).toEqual({
+      $gte: new Date("2024-03-09T06:00:00Z"),
+      $lt: new Date("2024-03-11T05:00:00Z"),
+    });
+    expect(analytics.series.map((point) => point.period)).toEqual([
+      "2024-03-09",
+      "2024-03-10",
+    ]);
+  });
+
+  it("works east of UTC", async () => {
+    const analytics = await donationService.getAnalytics({
+      startDate: "2024-01-01",
+      endDate: "2024-03-31",
+      granularity: "month",
+      timezone: "Pacific/Auckland",
+    });
+
+    expect(matchedDates()).toEqual({
+      $gte: new Date("2023-12-31T11:00:00Z"),
+      $lt: new Date("2024-03-31T11:00:00Z"),
+    });
+    expect(analytics.series.map((point) => point.period)).toEqual([
+      "2024-01-01",
+      "2024-02-01",
+      "2024-03-01",
+    ]);
+  });
+
+  it("compares with the same whole days a year earlier", async () => {
+    const analytics = await donationService.getAnalytics({
+      startDate: "2024-01-01",
+      endDate: "2024-01-31",
+      timezone: "America/Chicago",
+      compare: "year",
+    });
+
+    expect(analytics.comparison.startDate).toEqual(
+      new Date("2023-01-01T06:00:00Z")
+    );
+    expect(analytics.comparison.endDate).toEqual(
+      new Date("2023-02-01T06:00:00Z")
+    );
+    expect(analytics.comparison.series).toHaveLength(31);
+  });
+
+  it("defaults to the last 30 days up to the end date", async () => {
+    const analytics = await donationService.getAnalytics({
+      endDate: "2024-01-31",
+      timezone: "UTC",
+    });
+
+    expect(analytics.series).toHaveLength(30);
+    expect(analytics.series[0].period).toBe("2024-01-02");
+    expect(analytics.series[29].period).toBe("2024-01-31");
+  });
+});
+
+describe("donor cohorts", () => {
+  // Aggregated cells: donors first giving in a cohort month, by months since
+  const cell = (cohort, month, donorCount, totalAmount, donationCount) => ({
+    _id: { cohort, month },
+    donorCount,
+    totalAmount,
+    donationCount,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donation.aggregate.mockResolvedValue([
+      cell("2024-01-01", 0, 4, 200, 4),
+      cell("2024-01-01", 1, 2, 60, 3),
+      cell("2024-01-01", 2, 1, 25, 1),
+      cell("2024-02-01", 0, 3, 150, 3),
+      cell("2024-02-01", 1, 1, 40, 1),
+    ]);
+  });
+
+  it("covers the whole last day in the timezone", async () => {
+    await donationService.getDonorCohorts({
+      startDate: "2024-01-01",
+      endDate: "2024-03-31",
+      timezone: "America/Chicago",
+    });
+
+    const [match, , cohortMatch] = Donation.aggregate.mock.calls[0][0];
+    expect(match.$match.createdAt).toEqual({
+      $lt: new Date("2024-04-01T05:00:00Z"),
+    });
+    expect(cohortMatch.$match.firstDonation).toEqual({
+      $gte: new Date("2024-01-01T06:00:00Z"),
+    });
+  });
+
+  it("assigns donors to the month of their first gift", async () => {
+    const { cohorts } = await donationService.getDonorCohorts({
+      startDate: "2024-01-01",
+      endDate: "2024-03-31",
+      timezone: "UTC",
+    });
+
+    expect(cohorts.map((cohort) => [cohort.cohort, cohort.donors])).toEqual([
+      ["2024-01-01", 4],
+      ["2024-02-01", 3],
+      ["2024-03-01", 0],
+    ]);
+    expect(cohorts[0]).toMatchObject({ totalAmount: 285, averageValue: 71.25 });
+    expect(cohorts[2]).toMatchObject({ totalAmount: 0, averageValue: 0 });
+  });
+
+  it("reports retention for each month since, to the end of the range", async () => {
+    const { cohorts } = await donationService.getDonorCohorts({
+      startDate: "2024-01-01",
+      endDate: "2024-03-31",
+      timezone: "UTC",
+    });
+
+    expect(
+      cohorts[0].months.map(({ month, activeDonors, retentionRate }) => [
+        month,
+        activeDonors,
+        retentionRate,
+      ])
+    ).toEqual([
+      [0, 4, 100],
+      [1, 2, 50],
+      [2, 1, 25],
+    ]);
+    expect(cohorts[1].months.map((month) => month.retentionRate)).toEqual([
+      100, 33.33,
+    ]);
+    expect(cohorts[2].months).toEqual([
+      {
+        month: 0,
+        activeDonors: 0,
+        retentionRate: null,
+        totalAmount: 0,
+        donationCount: 0,
+      },
+    ]);
+  });
+});
+
+describe("donor retention", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("counts the year in the timezone", async () => {
+    Donation.aggregate.mockResolvedValue([]);
+
+    await donationService.getDonorRetention({
+      year: 2024,
+      timezone: "America/Chicago",
+    });
+
+    const [match, group] = Donation.aggregate.mock.calls[0][0];
+    expect(match.$match.createdAt).toEqual({
+      $lt: new Date("2025-01-01T06:00:00Z"),
+    });
+    expect(group.$group.years.$addToSet).toEqual({
+      $year: { date: "$createdAt", timezone: "America/Chicago" },
+    });
+  });
+
+  it("derives returning, lapsed and retention figures", async () => {
+    Donation.aggregate.mockResolvedValue([
+      {
+        totalDonors: 12,
+        averageLifetimeValue: 123.456,
+        donors: 8,
+        firstTimeDonors: 3,
+        previousYearDonors: 6,
+        retainedDonors: 5,
+      },
+    ]);
+
+    await expect(
+      donationService.getDonorRetention({ year: 2024, timezone: "UTC" })
+    ).resolves.toMatchObject({
+      year: 2024,
+      donors: 8,
+      firstTimeDonors: 3,
+      returningDonors: 5,
+      previousYearDonors: 6,
+      retainedDonors: 5,
+      lapsedDonors: 1,
+      retentionRate: 83.33,
+      averageLifetimeValue: 123.46,
+    });
+  });
+
+  it("has no retention rate without donors the year before", async () => {
+    Donation.aggregate.mockResolvedValue([]);
+
+    await expect(
+      donationService.getDonorRetention({ year: 2024, timezone: "UTC" })
+    ).resolves.toMatchObject({ donors: 0, retentionRate: null });
+  });
+});
@@ -0,0 +1,56 @@
+const { Campaign } = require("../../src/models");
+
+const campaign = (fields = {}) =>
+  new Campaign({
+    title: "Clean Water",
+    description: "Wells for rural communities",
+    goalAmountMinor: 5000000,
+    raisedAmountMinor: 1875050,
+    currency: "USD",
+    ...fields,
+  });
+
+describe("Campaign amounts", () => {
+  it("exposes the minor-unit amounts in major units", () => {
+    const json = campaign().toJSON();
+
+    expect(json.goalAmountMinor).toBe(5000000);
+    expect(json.raisedAmountMinor).toBe(1875050);
+    expect(json.goalAmount).toBe(50000);
+    expect(json.raisedAmount).toBe(18750.5);
+    expect(json.progressPercentage).toBe(37.5);
+  });
+
+  it("uses the currency's decimals", () => {
+    const json = campaign({
+      goalAmountMinor: 1000000,
+      raisedAmountMinor: 250000,
+      currency: "JPY",
+    }).toJSON();
+
+    expect(json.goalAmount).toBe(1000000);
+    expect(json.raisedAmount).toBe(250000);
+    expect(json.progressPercentage).toBe(25);
+  });
+
+  it("caps progress at 100 percent", () => {
+    expect(campaign({ raisedAmountMinor: 6000000 }).progressPercentage).toBe(
+      100
+    );
+  });
+
+  it("rejects fractional minor units", () => {
+    const error = campaign({ raisedAmountMinor: 1875.5 }).validateSync();
+
+    expect(error.errors.raisedAmountMinor.message).toBe(
+      "Raised amount must be an integer number of minor units"
+    );
+  });
+
+  it("leaves the major amounts undefined when not selected", () => {
+    const doc = campaign();
+    doc.raisedAmountMinor = undefined;
+
+    expect(doc.raisedAmount).toBeUndefined();
+  });
+});
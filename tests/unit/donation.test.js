@@ -0,0 +1,624 @@
+jest.mock("../../src/models", () => ({
+  Donation: {
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    exists: jest.fn(),
+    aggregate: jest.fn(),
+  },
+  Donor: { findOneAndUpdate: jest.fn() },
+  Campaign: { updateOne: jest.fn(), findOneAndUpdate: jest.fn() },
+  Subscription: { findOne: jest.fn() },
+}));
+
+jest.mock("../../src/services/stripeService", () => ({
+  createRefund: jest.fn(),
+}));
+
+jest.mock("../../src/services/emailQueueService", () => ({
+  queueDonationEmails: jest.fn(),
+}));
+
+const { Donation, Donor, Campaign, Subscription } = require("../../src/models");
+const stripeService = require("../../src/services/stripeService");
+const emailQueueService = require("../../src/services/emailQueueService");
+const donationService = require("../../src/services/donationService");
+const { PAYMENT_STATUS, REFUND_REASONS } = require("../../src/utils/constants");
+
+// Donation document as returned by Mongoose, with the methods used here
+const donationDoc = (fields = {}) => ({
+  _id: "donation-1",
+  amountMinor: 10000,
+  refundedAmountMinor: 0,
+  currency: "USD",
+  amountInBaseCurrency: 100,
+  baseCurrency: "USD",
+  exchangeRate: 1,
+  paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+  stripePaymentIntentId: "pi_1",
+  donorInfo: { email: "ada@example.com" },
+  campaign: "campaign-1",
+  refunds: [],
+  ...fields,
+  isSuccessful() {
+    return this.paymentStatus === PAYMENT_STATUS.SUCCEEDED;
+  },
+  getRefundableAmountMinor() {
+    return this.amountMinor - this.refundedAmountMinor;
+  },
+  getRefundableAmount() {
+    return (this.amountMinor - this.refundedAmountMinor) / 100;
+  },
+});
+
+const refund = (fields = {}) => ({
+  stripeRefundId: "re_1",
+  amountMinor: 2500,
+  reason: REFUND_REASONS.OTHER,
+  source: "stripe",
+  ...fields,
+});
+
+// Donor document returned by the stats update
+const donorDoc = () => ({ updateDonorType: jest.fn().mockResolvedValue() });
+
+describe("donationService.recordDonorDonation", () => {
+  const processedAt = new Date("2024-03-01T12:00:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donor.findOneAndUpdate.mockResolvedValue(donorDoc());
+  });
+
+  it("adds the donation to the donor's stats in one update", async () => {
+    const donor = donorDoc();
+    Donor.findOneAndUpdate.mockResolvedValueOnce(donor);
+
+    await donationService.recordDonorDonation(
+      donationDoc({
+        processedAt,
+        donorInfo: {
+          email: "ada@example.com",
+          firstName: "Ada",
+          lastName: "Lovelace",
+        },
+      })
+    );
+
+    const [filter, update, options] = Donor.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ email: "ada@example.com" });
+    expect(update).toMatchObject({
+      $inc: { totalDonated: 100, donationCount: 1 },
+      $min: { firstDonationDate: processedAt },
+      $max: { lastDonationDate: processedAt },
+    });
+    expect(update.$set).not.toHaveProperty("hasRecurringDonation");
+    expect(options).toMatchObject({ upsert: true, new: true });
+    expect(donor.updateDonorType).toHaveBeenCalled();
+  });
+
+  it("counts foreign currency gifts in the base currency", async () => {
+    await donationService.recordDonorDonation(
+      donationDoc({
+        processedAt,
+        amountMinor: 5000,
+        currency: "JPY",
+        exchangeRate: 0.0068,
+      })
+    );
+
+    const [, update] = Donor.findOneAndUpdate.mock.calls[0];
+    expect(update.$inc.totalDonated).toBe(34);
+  });
+
+  it("adds nothing to the total until the gift has a rate", async () => {
+    await donationService.recordDonorDonation(
+      donationDoc({
+        processedAt,
+        currency: "EUR",
+        amountInBaseCurrency: null,
+        baseCurrency: undefined,
+        exchangeRate: undefined,
+      })
+    );
+
+    const [, update] = Donor.findOneAndUpdate.mock.calls[0];
+    expect(update.$inc).toEqual({ totalDonated: 0, donationCount: 1 });
+  });
+
+  it("flags recurring donors", async () => {
+    await donationService.recordDonorDonation(
+      donationDoc({ processedAt, isRecurring: true })
+    );
+
+    const [, update] = Donor.findOneAndUpdate.mock.calls[0];
+    expect(update.$set.hasRecurringDonation).toBe(true);
+  });
+});
+
+describe("campaign progress", () => {
+  // $100 gift grossed up to $103.20 to cover the processing fee
+  const feeCovering = (fields = {}) =>
+    donationDoc({ amountMinor: 10320, coveredFeeMinor: 320, ...fields });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donation.exists.mockReturnValue({ session: () => Promise.resolve(null) });
+    Campaign.findOneAndUpdate.mockResolvedValue({ _id: "campaign-1" });
+  });
+
+  it("counts the gift without the fee the donor covered", async () => {
+    await donationService.recordCampaignDonation(feeCovering());
+
+    expect(Campaign.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "campaign-1", currency: "USD" },
+      { $inc: { raisedAmountMinor: 10000, donorCount: 1 } },
+      { session: null, new: true }
+    );
+  });
+
+  it("counts each donor once", async () => {
+    Donation.exists.mockReturnValue({
+      session: () => Promise.resolve({ _id: "donation-0" }),
+    });
+
+    await donationService.recordCampaignDonation(donationDoc());
+
+    const [, update] = Campaign.findOneAndUpdate.mock.calls[0];
+    expect(update.$inc).toEqual({ raisedAmountMinor: 10000, donorCount: 0 });
+  });
+
+  it("only counts gifts in the campaign's currency", async () => {
+    Campaign.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(
+      donationService.recordCampaignDonation(donationDoc({ currency: "EUR" }))
+    ).resolves.toBeNull();
+
+    const [filter] = Campaign.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: "campaign-1", currency: "EUR" });
+  });
+
+  it("takes back a refund's share of the gift", async () => {
+    await donationService.reverseCampaignDonation(feeCovering(), 5160);
+
+    expect(Campaign.updateOne).toHaveBeenCalledWith(
+      { _id: "campaign-1", currency: "USD" },
+      { $inc: { raisedAmountMinor: -5000 } }
+    );
+  });
+
+  it("ignores donations without a campaign", async () => {
+    await donationService.recordCampaignDonation(
+      donationDoc({ campaign: null })
+    );
+    await donationService.reverseCampaignDonation(
+      donationDoc({ campaign: null }),
+      2500
+    );
+
+    expect(Campaign.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Campaign.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("donationService.applyRefund", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donor.findOneAndUpdate.mockResolvedValue(donorDoc());
+  });
+
+  it("records the refund only if it is not recorded yet", async () => {
+    const donation = donationDoc();
+    Donation.findOneAndUpdate.mockResolvedValueOnce(
+      donationDoc({ refundedAmountMinor: 2500 })
+    );
+
+    await donationService.applyRefund(donation, refund());
+
+    expect(Donation.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "donation-1", "refunds.stripeRefundId": { $ne: "re_1" } },
+      {
+        $push: { refunds: refund() },
+        $inc: { refundedAmountMinor: 2500 },
+      },
+      { new: true }
+    );
+  });
+
+  it("reverses a partial refund out of donor and campaign totals", async () => {
+    const updated = donationDoc({ refundedAmountMinor: 2500 });
+    Donation.findOneAndUpdate.mockResolvedValueOnce(updated);
+
+    const result = await donationService.applyRefund(donationDoc(), refund());
+
+    expect(result).toBe(updated);
+    expect(Donation.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Donor.findOneAndUpdate).toHaveBeenCalledWith(
+      { email: "ada@example.com" },
+      { $inc: { totalDonated: -25, donationCount: 0 } },
+      { new: true }
+    );
+    expect(Campaign.updateOne).toHaveBeenCalledWith(
+      { _id: "campaign-1", currency: "USD" },
+      { $inc: { raisedAmountMinor: -2500 } }
+    );
+  });
+
+  it("changes no totals for a refund that is already recorded", async () => {
+    const current = donationDoc({ refundedAmountMinor: 2500 });
+    Donation.findOneAndUpdate.mockResolvedValueOnce(null);
+    Donation.findById.mockResolvedValueOnce(current);
+
+    const result = await donationService.applyRefund(donationDoc(), refund());
+
+    expect(result).toBe(current);
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Campaign.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("marks a fully refunded donation and counts it out once", async () => {
+    const refunded = donationDoc({
+      refundedAmountMinor: 10000,
+      paymentStatus: PAYMENT_STATUS.REFUNDED,
+    });
+    Donation.findOneAndUpdate
+      .mockResolvedValueOnce(donationDoc({ refundedAmountMinor: 10000 }))
+      .mockResolvedValueOnce(refunded);
+
+    const result = await donationService.applyRefund(
+      donationDoc(),
+      refund({ amountMinor: 10000 })
+    );
+
+    expect(result).toBe(refunded);
+    expect(Donation.findOneAndUpdate).toHaveBeenLastCalledWith(
+      {
+        _id: "donation-1",
+        paymentStatus: { $ne: PAYMENT_STATUS.REFUNDED },
+      },
+      {
+        $set: {
+          paymentStatus: PAYMENT_STATUS.REFUNDED,
+          refundedAt: expect.any(Date),
+        },
+      },
+      { new: true }
+    );
+    expect(Donor.findOneAndUpdate).toHaveBeenCalledWith(
+      { email: "ada@example.com" },
+      { $inc: { totalDonated: -100, donationCount: -1 } },
+      { new: true }
+    );
+  });
+
+  it("counts an already refunded donation out only once", async () => {
+    Donation.findOneAndUpdate
+      .mockResolvedValueOnce(donationDoc({ refundedAmountMinor: 10000 }))
+      .mockResolvedValueOnce(null);
+
+    await donationService.applyRefund(
+      donationDoc({ refundedAmountMinor: 7500 }),
+      refund({ stripeRefundId: "re_2" })
+    );
+
+    expect(Donor.findOneAndUpdate).toHaveBeenCalledWith(
+      { email: "ada@example.com" },
+      { $inc: { totalDonated: -25, donationCount: 0 } },
+      { new: true }
+    );
+  });
+});
+
+describe("donationService.refundDonation", () => {
+  const admin = { _id: "admin-1" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donor.findOneAndUpdate.mockResolvedValue(donorDoc());
+    Donation.findById.mockResolvedValue(donationDoc());
+    Donation.findOneAndUpdate.mockResolvedValue(
+      donationDoc({ refundedAmountMinor: 2500 })
+    );
+    stripeService.createRefund.mockResolvedValue({ id: "re_1" });
+  });
+
+  it("passes the client's idempotency key to Stripe", async () => {
+    await donationService.refundDonation(
+      "donation-1",
+      { amountMinor: 2500 },
+      admin,
+      { idempotencyKey: "client-key" }
+    );
+
+    expect(stripeService.createRefund).toHaveBeenCalledWith(
+      "pi_1",
+      2500,
+      expect.objectContaining({ idempotencyKey: "client-key" })
+    );
+  });
+
+  it("derives a stable key from the refund balance without one", async () => {
+    await donationService.refundDonation(
+      "donation-1",
+      { amountMinor: 2500 },
+      admin
+    );
+    await donationService.refundDonation(
+      "donation-1",
+      { amountMinor: 2500 },
+      admin
+    );
+
+    const [first, retry] = stripeService.createRefund.mock.calls;
+    expect(first[2].idempotencyKey).toBe("refund:donation-1:0:2500");
+    expect(retry[2].idempotencyKey).toBe(first[2].idempotencyKey);
+  });
+
+  it("rejects refunds above the refundable balance", async () => {
+    await expect(
+      donationService.refundDonation(
+        "donation-1",
+        { amountMinor: 20000 },
+        admin
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(stripeService.createRefund).not.toHaveBeenCalled();
+  });
+});
+
+describe("donation receipt emails", () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(donationService, "recordDonorDonation").mockResolvedValue();
+    jest.spyOn(donationService, "recordCampaignDonation").mockResolvedValue();
+  });
+
+  it("are queued when a payment becomes successful", async () => {
+    const succeeded = donationDoc();
+    Donation.findOne.mockResolvedValue(
+      donationDoc({ paymentStatus: PAYMENT_STATUS.PENDING })
+    );
+    Donation.findOneAndUpdate.mockResolvedValue(succeeded);
+
+    await donationService.updateDonationStatus(
+      "pi_1",
+      PAYMENT_STATUS.SUCCEEDED
+    );
+
+    expect(emailQueueService.queueDonationEmails).toHaveBeenCalledWith(
+      succeeded
+    );
+  });
+
+  it("are not queued by the request that lost the transition", async () => {
+    Donation.findOne.mockResolvedValue(
+      donationDoc({ paymentStatus: PAYMENT_STATUS.PENDING })
+    );
+    Donation.findOneAndUpdate.mockResolvedValue(null);
+    Donation.findById.mockResolvedValue(donationDoc());
+
+    await donationService.updateDonationStatus(
+      "pi_1",
+      PAYMENT_STATUS.SUCCEEDED
+    );
+
+    expect(emailQueueService.queueDonationEmails).not.toHaveBeenCalled();
+  });
+
+  it("are queued for a paid renewal", async () => {
+    const original = donationDoc({
+      isRecurring: true,
+      recurringFrequency: "monthly",
+      stripeSubscriptionId: "sub_1",
+    });
+    const renewal = donationDoc({ _id: "donation-2" });
+    Donation.findOne
+      .mockResolvedValueOnce(null)
+      .mockReturnValueOnce({ sort: () => Promise.resolve(original) });
+    Subscription.findOne.mockResolvedValue(null);
+    jest.spyOn(donationService, "createDonation").mockResolvedValue(renewal);
+
+    await donationService.createRecurringDonation({
+      stripeInvoiceId: "in_2",
+      stripeSubscriptionId: "sub_1",
+      amountMinor: 10000,
+      currency: "USD",
+    });
+
+    expect(donationService.createDonation).toHaveBeenCalledWith(
+      expect.objectContaining({
+        paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+        stripeInvoiceId: "in_2",
+      })
+    );
+    expect(emailQueueService.queueDonationEmails).toHaveBeenCalledWith(
+      renewal
+    );
+  });
+
+  it("are not queued again for donations already receipted", async () => {
+    await donationService.queueDonationEmails(
+      donationDoc({ receiptSent: true })
+    );
+
+    expect(emailQueueService.queueDonationEmails).not.toHaveBeenCalled();
+  });
+});
+
+describe("donationService.buildDonationQuery", () => {
+  it("includes the whole day of a date-only end date", () => {
+    const { createdAt } = donationService.buildDonationQuery({
+      startDate: new Date("2024-03-01T00:00:00Z"),
+      endDate: "2024-03-31",
+    });
+
+    expect(createdAt).toEqual({
+      $gte: new Date("2024-03-01T00:00:00Z"),
+      $lt: new Date("2024-04-01T00:00:00Z"),
+    });
+  });
+
+  it("ends at the exact time when one is given", () => {
+    const { createdAt } = donationService.buildDonationQuery({
+      endDate: new Date("2024-03-31T12:00:00Z"),
+    });
+
+    expect(createdAt).toEqual({ $lte: new Date("2024-03-31T12:00:00Z") });
+  });
+});
+
+describe("donationService.getTopDonors", () => {
+  const pipeline = async () => {
+    Donation.aggregate.mockResolvedValue([]);
+    await donationService.getTopDonors(5);
+    return Donation.aggregate.mock.calls[0][0];
+  };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("counts anonymous gifts toward the totals", async () => {
+    const [match] = await pipeline();
+
+    expect(match).toEqual({
+      $match: { paymentStatus: PAYMENT_STATUS.SUCCEEDED },
+    });
+  });
+
+  it("takes names from the most recent named gift", async () => {
+    const stages = await pipeline();
+    const sort = stages.findIndex((stage) => stage.$sort);
+    const group = stages.findIndex((stage) => stage.$group);
+
+    expect(stages[sort].$sort).toEqual({ createdAt: 1 });
+    expect(sort).toBeLessThan(group);
+    expect(stages[group].$group.names.$push.$cond[0]).toBe("$isAnonymous");
+  });
+});
+
+describe("donation disputes", () => {
+  const dispute = (fields = {}) => ({
+    id: "dp_1",
+    charge: "ch_1",
+    payment_intent: "pi_1",
+    amount: 10000,
+    reason: "fraudulent",
+    status: "needs_response",
+    created: 1711929600,
+    ...fields,
+  });
+
+  const disputedDoc = (fields = {}) => {
+    const doc = donationDoc(fields);
+    doc.save = jest.fn().mockResolvedValue(doc);
+    return doc;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donor.findOneAndUpdate.mockResolvedValue(donorDoc());
+    Campaign.updateOne.mockResolvedValue({});
+  });
+
+  it("marks the donation disputed when a chargeback opens", async () => {
+    const donation = disputedDoc();
+    Donation.findOne.mockResolvedValue(donation);
+
+    await donationService.recordDisputeCreated(dispute());
+
+    expect(donation.paymentStatus).toBe(PAYMENT_STATUS.DISPUTED);
+    expect(donation.dispute).toMatchObject({
+      stripeDisputeId: "dp_1",
+      amountMinor: 10000,
+      reason: "fraudulent",
+      createdAt: new Date(1711929600000),
+    });
+    expect(donation.save).toHaveBeenCalled();
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("restores a won dispute without touching the totals", async () => {
+    const donation = disputedDoc({ paymentStatus: PAYMENT_STATUS.DISPUTED });
+    Donation.findOne.mockResolvedValue(donation);
+
+    await donationService.recordDisputeClosed(dispute({ status: "won" }));
+
+    expect(donation.paymentStatus).toBe(PAYMENT_STATUS.SUCCEEDED);
+    expect(donation.dispute.closedAt).toEqual(expect.any(Date));
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Campaign.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("reverses a lost dispute out of the donor and campaign totals", async () => {
+    const donation = disputedDoc({
+      paymentStatus: PAYMENT_STATUS.DISPUTED,
+      refundedAmountMinor: 2500,
+    });
+    Donation.findOne.mockResolvedValue(donation);
+
+    await donationService.recordDisputeClosed(dispute({ status: "lost" }));
+
+    expect(donation.paymentStatus).toBe(PAYMENT_STATUS.DISPUTED);
+    expect(Donor.findOneAndUpdate).toHaveBeenCalledWith(
+      { email: "ada@example.com" },
+      { $inc: { totalDonated: -75, donationCount: -1 } },
+      { new: true }
+    );
+    expect(Campaign.updateOne).toHaveBeenCalledWith(
+      { _id: "campaign-1", currency: "USD" },
+      { $inc: { raisedAmountMinor: -7500 } }
+    );
+  });
+
+  it("ignores a repeated dispute closure", async () => {
+    const donation = disputedDoc({
+      paymentStatus: PAYMENT_STATUS.DISPUTED,
+      dispute: { stripeDisputeId: "dp_1", closedAt: new Date() },
+    });
+    Donation.findOne.mockResolvedValue(donation);
+
+    await donationService.recordDisputeClosed(dispute({ status: "lost" }));
+
+    expect(donation.save).not.toHaveBeenCalled();
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("donationService.updateDonationStatus", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("fails a pending donation", async () => {
+    const pending = donationDoc({ paymentStatus: PAYMENT_STATUS.PENDING });
+    const failed = donationDoc({ paymentStatus: PAYMENT_STATUS.FAILED });
+    Donation.findOne.mockResolvedValue(pending);
+    Donation.findOneAndUpdate.mockResolvedValue(failed);
+
+    await expect(
+      donationService.updateDonationStatus("pi_1", PAYMENT_STATUS.FAILED)
+    ).resolves.toBe(failed);
+
+    expect(Donation.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "donation-1", paymentStatus: PAYMENT_STATUS.PENDING },
+      { $set: { paymentStatus: PAYMENT_STATUS.FAILED } },
+      { new: true }
+    );
+  });
+
+  it.each([
+    PAYMENT_STATUS.SUCCEEDED,
+    PAYMENT_STATUS.REFUNDED,
+    PAYMENT_STATUS.DISPUTED,
+  ])("ignores a late failure for a %s donation", async (paymentStatus) => {
+    const donation = donationDoc({ paymentStatus });
+    Donation.findOne.mockResolvedValue(donation);
+
+    await expect(
+      donationService.updateDonationStatus("pi_1", PAYMENT_STATUS.FAILED)
+    ).resolves.toBe(donation);
+
+    expect(Donation.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const { Donor } = require("../../src/models");
+const { DONOR_TYPES } = require("../../src/utils/constants");
+
+const donor = (fields) =>
+  new Donor({
+    firstName: "Ada",
+    lastName: "Lovelace",
+    email: "ada@example.com",
+    ...fields,
+  });
+
+describe("Donor type", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("is classified from lifetime stats", () => {
+    expect(donor({ donationCount: 1 }).classify()).toBe(
+      DONOR_TYPES.FIRST_TIME
+    );
+    expect(donor({ donationCount: 2 }).classify()).toBe(DONOR_TYPES.RETURNING);
+    expect(
+      donor({ donationCount: 1, hasRecurringDonation: true }).classify()
+    ).toBe(DONOR_TYPES.RECURRING);
+    expect(donor({ totalDonated: 10000 }).classify()).toBe(
+      DONOR_TYPES.MAJOR_DONOR
+    );
+    expect(donor({ totalDonated: 50000 }).classify()).toBe(
+      DONOR_TYPES.CHAMPION
+    );
+  });
+
+  it("is stored only if the stats have not changed since", async () => {
+    const updateOne = jest.spyOn(Donor, "updateOne").mockResolvedValue({});
+    const returning = donor({ totalDonated: 75, donationCount: 2 });
+
+    await returning.updateDonorType();
+
+    expect(updateOne).toHaveBeenCalledWith(
+      {
+        _id: returning._id,
+        totalDonated: 75,
+        donationCount: 2,
+        hasRecurringDonation: false,
+      },
+      { $set: { donorType: DONOR_TYPES.RETURNING } },
+      { session: null }
+    );
+    expect(returning.donorType).toBe(DONOR_TYPES.RETURNING);
+  });
+
+  it("is not written when it has not changed", async () => {
+    const updateOne = jest.spyOn(Donor, "updateOne").mockResolvedValue({});
+
+    await donor({ totalDonated: 25, donationCount: 1 }).updateDonorType();
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
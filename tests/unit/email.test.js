@@ -0,0 +1,79 @@
+jest.mock("../../src/services/ministryService", () => ({
+  getMinistryProfile: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const { Donation } = require("../../src/models");
+const { transporter } = require("../../src/config/email");
+const ministryService = require("../../src/services/ministryService");
+const emailService = require("../../src/services/emailService");
+
+const SETUP_COPY = "Thank you for setting up a recurring donation!";
+const RENEWAL_COPY = "This gift is part of your recurring donation.";
+
+const donation = (fields = {}) => {
+  const doc = new Donation({
+    _id: new mongoose.Types.ObjectId(),
+    ministry: "Holiday Homes",
+    amountMinor: 5000,
+    currency: "USD",
+    donorInfo: {
+      firstName: "Ada",
+      lastName: "Lovelace",
+      email: "ada@example.com",
+    },
+    ...fields,
+  });
+  jest.spyOn(doc, "save").mockResolvedValue(doc);
+  return doc;
+};
+
+const sentThankYou = async (doc) => {
+  await emailService.sendThankYouEmail(doc);
+  return transporter.messages[transporter.messages.length - 1];
+};
+
+describe("emailService.sendThankYouEmail", () => {
+  beforeEach(() => {
+    transporter.messages.length = 0;
+    ministryService.getMinistryProfile.mockResolvedValue({
+      displayName: "Holiday Homes",
+      description: "Safe homes for children.",
+      impactStatement: "Your gift provides meals and shelter.",
+    });
+  });
+
+  it("thanks a new recurring donor for setting it up", async () => {
+    const message = await sentThankYou(
+      donation({ isRecurring: true, recurringFrequency: "monthly" })
+    );
+
+    expect(message.html).toContain(SETUP_COPY);
+    expect(message.text).toContain(SETUP_COPY);
+    expect(message.text).not.toContain(RENEWAL_COPY);
+  });
+
+  it("thanks a renewal for continuing instead", async () => {
+    const message = await sentThankYou(
+      donation({
+        isRecurring: true,
+        recurringFrequency: "monthly",
+        source: "recurring_webhook",
+      })
+    );
+
+    expect(message.html).toContain(RENEWAL_COPY);
+    expect(message.text).toContain(RENEWAL_COPY);
+    expect(message.html).not.toContain(SETUP_COPY);
+    expect(message.text).not.toContain(SETUP_COPY);
+  });
+
+  it("has no recurring copy for a one-time gift", async () => {
+    const doc = donation();
+    const message = await sentThankYou(doc);
+
+    expect(message.text).not.toContain(SETUP_COPY);
+    expect(message.text).not.toContain(RENEWAL_COPY);
+    expect(doc.thankYouSent).toBe(true);
+  });
+});
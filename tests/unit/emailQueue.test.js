@@ -0,0 +1,71 @@
+jest.mock("../../src/models", () => ({
+  EmailJob: { findOneAndUpdate: jest.fn() },
+}));
+
+const mongoose = require("mongoose");
+const { EmailJob } = require("../../src/models");
+const { Donation } = jest.requireActual("../../src/models");
+const emailQueueService = require("../../src/services/emailQueueService");
+const { EMAIL_TYPES, DEDICATION_TYPES } = require("../../src/utils/constants");
+
+const donation = (fields = {}) =>
+  new Donation({
+    _id: new mongoose.Types.ObjectId(),
+    ministry: "Holiday Homes",
+    amountMinor: 5000,
+    currency: "USD",
+    donorInfo: {
+      firstName: "Ada",
+      lastName: "Lovelace",
+      email: "ada@example.com",
+    },
+    dedication: {
+      type: DEDICATION_TYPES.IN_HONOR,
+      honoreeName: "Charles Babbage",
+      recipientEmail: "charles@example.com",
+    },
+    isRecurring: true,
+    recurringFrequency: "monthly",
+    ...fields,
+  });
+
+const queuedTypes = () =>
+  EmailJob.findOneAndUpdate.mock.calls.map(
+    ([, update]) => update.$setOnInsert.type
+  );
+
+describe("emailQueueService.queueDonationEmails", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EmailJob.findOneAndUpdate.mockResolvedValue({});
+  });
+
+  it("queues the dedication card with the first gift", async () => {
+    const gift = donation();
+
+    await emailQueueService.queueDonationEmails(gift);
+
+    expect(queuedTypes()).toContain(EMAIL_TYPES.DEDICATION_NOTIFICATION);
+    expect(EmailJob.findOneAndUpdate).toHaveBeenCalledWith(
+      { dedupeKey: `${EMAIL_TYPES.DEDICATION_NOTIFICATION}:${gift._id}` },
+      expect.objectContaining({
+        $setOnInsert: expect.objectContaining({ to: "charles@example.com" }),
+      }),
+      expect.any(Object)
+    );
+  });
+
+  it("does not send the dedication card again for renewals", async () => {
+    await emailQueueService.queueDonationEmails(
+      donation({ source: "recurring_webhook" })
+    );
+
+    expect(queuedTypes().sort()).toEqual(
+      [
+        EMAIL_TYPES.ADMIN_NOTIFICATION,
+        EMAIL_TYPES.RECEIPT,
+        EMAIL_TYPES.THANK_YOU,
+      ].sort()
+    );
+  });
+});
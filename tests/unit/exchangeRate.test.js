@@ -0,0 +1,105 @@
+jest.mock("../../src/models", () => ({
+  ExchangeRate: {},
+  Donation: { find: jest.fn(), updateOne: jest.fn() },
+  Donor: { findOneAndUpdate: jest.fn() },
+}));
+
+const { Donation, Donor } = require("../../src/models");
+const exchangeRateService = require("../../src/services/exchangeRateService");
+const { PAYMENT_STATUS } = require("../../src/utils/constants");
+
+// Donation.find(...).select(...).lean().cursor() iterating the donations
+const mockPending = (donations) =>
+  Donation.find.mockReturnValue({
+    select: () => ({ lean: () => ({ cursor: () => donations }) }),
+  });
+
+const pendingDonation = (fields = {}) => ({
+  _id: "donation-1",
+  amountMinor: 10000,
+  refundedAmountMinor: 0,
+  paymentStatus: PAYMENT_STATUS.SUCCEEDED,
+  donorInfo: { email: "ada@example.com" },
+  amountInBaseCurrency: null,
+  ...fields,
+});
+
+describe("exchangeRateService.convertPendingDonations", () => {
+  let donor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    donor = { updateDonorType: jest.fn() };
+    Donor.findOneAndUpdate.mockResolvedValue(donor);
+    Donation.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it("converts each donation only if it is still unconverted", async () => {
+    mockPending([pendingDonation()]);
+
+    await expect(
+      exchangeRateService.convertPendingDonations("EUR", 1.08)
+    ).resolves.toBe(1);
+
+    expect(Donation.updateOne).toHaveBeenCalledWith(
+      { _id: "donation-1", amountInBaseCurrency: null, baseCurrency: null },
+      {
+        $set: {
+          amountInBaseCurrency: 108,
+          baseCurrency: "USD",
+          exchangeRate: 1.08,
+        },
+      }
+    );
+  });
+
+  it("adds newly valued gifts to the donor total, net of refunds", async () => {
+    mockPending([pendingDonation({ refundedAmountMinor: 2500 })]);
+
+    await exchangeRateService.convertPendingDonations("EUR", 1.08);
+
+    expect(Donor.findOneAndUpdate).toHaveBeenCalledWith(
+      { email: "ada@example.com" },
+      { $inc: { totalDonated: 81 } },
+      { new: true }
+    );
+    expect(donor.updateDonorType).toHaveBeenCalled();
+  });
+
+  it("does not credit a donation another run converted first", async () => {
+    mockPending([pendingDonation()]);
+    Donation.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(
+      exchangeRateService.convertPendingDonations("EUR", 1.08)
+    ).resolves.toBe(0);
+
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("does not credit gifts that are not successful", async () => {
+    mockPending([pendingDonation({ paymentStatus: PAYMENT_STATUS.PENDING })]);
+
+    await exchangeRateService.convertPendingDonations("EUR", 1.08);
+
+    expect(Donation.updateOne).toHaveBeenCalled();
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("does not credit gifts counted in a previous base currency", async () => {
+    mockPending([
+      pendingDonation({ amountInBaseCurrency: 92.5, baseCurrency: "GBP" }),
+    ]);
+
+    await exchangeRateService.convertPendingDonations("EUR", 1.08);
+
+    expect(Donation.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amountInBaseCurrency: 92.5,
+        baseCurrency: "GBP",
+      }),
+      expect.any(Object)
+    );
+    expect(Donor.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
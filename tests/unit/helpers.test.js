@@ -0,0 +1,76 @@
+const {
+  calculateDonationFee,
+  encodeCursor,
+  decodeCursor,
+} = require("../../src/utils/helpers");
+
+describe("calculateDonationFee", () => {
+  it("takes the estimated fee out of the donation", () => {
+    expect(calculateDonationFee(5000, "USD")).toEqual({
+      grossAmountMinor: 5000,
+      feeMinor: 175,
+      netAmountMinor: 4825,
+    });
+  });
+
+  it("grosses the charge up when the donor covers the fee", () => {
+    const fee = calculateDonationFee(5000, "USD", true);
+
+    expect(fee).toEqual({
+      grossAmountMinor: 5181,
+      feeMinor: 180,
+      netAmountMinor: 5001,
+    });
+    expect(fee.netAmountMinor).toBeGreaterThanOrEqual(5000);
+  });
+
+  it("never nets less than the donated amount when fees are covered", () => {
+    for (let amountMinor = 100; amountMinor <= 100000; amountMinor += 997) {
+      expect(
+        calculateDonationFee(amountMinor, "EUR", true).netAmountMinor
+      ).toBeGreaterThanOrEqual(amountMinor);
+    }
+  });
+
+  it("works in the minor units of zero-decimal currencies", () => {
+    expect(calculateDonationFee(1000, "JPY")).toEqual({
+      grossAmountMinor: 1000,
+      feeMinor: 29,
+      netAmountMinor: 971,
+    });
+    expect(calculateDonationFee(1000, "JPY", true)).toEqual({
+      grossAmountMinor: 1030,
+      feeMinor: 30,
+      netAmountMinor: 1000,
+    });
+  });
+});
+
+describe("pagination cursors", () => {
+  const doc = {
+    _id: "65f1c0ffee0000000000beef",
+    createdAt: new Date("2024-03-31T12:34:56.789Z"),
+  };
+
+  it("round-trip a document's position", () => {
+    expect(decodeCursor(encodeCursor(doc))).toEqual({
+      createdAt: doc.createdAt,
+      id: doc._id,
+    });
+  });
+
+  it("are URL safe", () => {
+    expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it("decode to null when malformed", () => {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+
+    expect(decodeCursor("not a cursor")).toBeNull();
+    expect(decodeCursor(encode({ t: "yesterday", id: doc._id }))).toBeNull();
+    expect(
+      decodeCursor(encode({ t: doc.createdAt, id: "not-an-object-id" }))
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,241 @@
+jest.mock("../../src/models", () => ({
+  IdempotencyKey: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+
+const { IdempotencyKey } = require("../../src/models");
+const idempotencyService = require("../../src/services/idempotencyService");
+const { idempotency } = require("../../src/middlewares/idempotency");
+const {
+  IDEMPOTENCY,
+  IDEMPOTENCY_STATUS,
+  HTTP_STATUS,
+  ERROR_CODES,
+} = require("../../src/utils/constants");
+
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000"), { code: 11000 });
+
+// Minimal Express request/response pair
+const createRequest = (key, body = { amountMinor: 2500 }) => ({
+  method: "POST",
+  baseUrl: "/api/donations",
+  path: "/intent",
+  body,
+  get: (header) => (header === IDEMPOTENCY.HEADER ? key : undefined),
+});
+
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Let the stored outcome settle before the response is sent
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("idempotencyService", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("fingerprints equal bodies equally", () => {
+    expect(idempotencyService.fingerprint({ a: 1 })).toBe(
+      idempotencyService.fingerprint({ a: 1 })
+    );
+    expect(idempotencyService.fingerprint({ a: 1 })).not.toBe(
+      idempotencyService.fingerprint({ a: 2 })
+    );
+  });
+
+  it("records a new key as processing", async () => {
+    const record = { _id: "k1", status: IDEMPOTENCY_STATUS.PROCESSING };
+    IdempotencyKey.create.mockResolvedValue(record);
+
+    await expect(idempotencyService.begin("key", "scope", "fp")).resolves.toBe(
+      record
+    );
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(
+      expect.objectContaining({ key: "key", scope: "scope", fingerprint: "fp" })
+    );
+  });
+
+  it("returns a completed record for replay", async () => {
+    const existing = {
+      _id: "k1",
+      fingerprint: "fp",
+      status: IDEMPOTENCY_STATUS.COMPLETED,
+    };
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue(existing);
+
+    await expect(idempotencyService.begin("key", "scope", "fp")).resolves.toBe(
+      existing
+    );
+  });
+
+  it("rejects a key reused with a different body", async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      _id: "k1",
+      fingerprint: "other",
+      status: IDEMPOTENCY_STATUS.COMPLETED,
+    });
+
+    await expect(
+      idempotencyService.begin("key", "scope", "fp")
+    ).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.CONFLICT,
+      errorCode: ERROR_CODES.IDEMPOTENCY_KEY_REUSED,
+    });
+  });
+
+  it("rejects a key whose request is still processing", async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      _id: "k1",
+      fingerprint: "fp",
+      status: IDEMPOTENCY_STATUS.PROCESSING,
+    });
+    IdempotencyKey.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(
+      idempotencyService.begin("key", "scope", "fp")
+    ).rejects.toMatchObject({
+      statusCode: HTTP_STATUS.CONFLICT,
+      errorCode: ERROR_CODES.IDEMPOTENCY_KEY_IN_USE,
+    });
+  });
+
+  it("takes over a request abandoned past the lock timeout", async () => {
+    const claimed = { _id: "k1", status: IDEMPOTENCY_STATUS.PROCESSING };
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      ...claimed,
+      fingerprint: "fp",
+    });
+    IdempotencyKey.findOneAndUpdate.mockResolvedValue(claimed);
+
+    await expect(idempotencyService.begin("key", "scope", "fp")).resolves.toBe(
+      claimed
+    );
+
+    const [filter] = IdempotencyKey.findOneAndUpdate.mock.calls[0];
+    expect(filter.lockedAt.$lt).toBeInstanceOf(Date);
+  });
+});
+
+describe("idempotency middleware", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("passes requests without a key straight through", async () => {
+    const next = jest.fn();
+    await idempotency(createRequest(undefined), createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects keys longer than the maximum", async () => {
+    const next = jest.fn();
+    const key = "k".repeat(IDEMPOTENCY.MAX_KEY_LENGTH + 1);
+
+    await idempotency(createRequest(key), createResponse(), next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+      errorCode: ERROR_CODES.VALIDATION_ERROR,
+    });
+  });
+
+  it("replays a completed response", async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      _id: "k1",
+      fingerprint: idempotencyService.fingerprint({ amountMinor: 2500 }),
+      status: IDEMPOTENCY_STATUS.COMPLETED,
+      responseStatus: HTTP_STATUS.CREATED,
+      responseBody: { success: true },
+    });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await idempotency(createRequest("key"), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.headers["Idempotent-Replayed"]).toBe("true");
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+  });
+
+  it("stores a successful response before sending it", async () => {
+    const record = { _id: "k1", status: IDEMPOTENCY_STATUS.PROCESSING };
+    IdempotencyKey.create.mockResolvedValue(record);
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    const req = createRequest("key");
+    const res = createResponse();
+    const send = res.json;
+    const next = jest.fn();
+
+    await idempotency(req, res, next);
+    expect(req.idempotencyKey).toBe("key");
+    expect(next).toHaveBeenCalledWith();
+
+    res.status(HTTP_STATUS.CREATED).json({ success: true });
+    await flush();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: "k1" },
+      {
+        $set: {
+          status: IDEMPOTENCY_STATUS.COMPLETED,
+          responseStatus: HTTP_STATUS.CREATED,
+          responseBody: { success: true },
+        },
+      }
+    );
+    expect(send).toHaveBeenCalledWith({ success: true });
+  });
+
+  it("releases the key when the request fails", async () => {
+    IdempotencyKey.create.mockResolvedValue({
+      _id: "k1",
+      status: IDEMPOTENCY_STATUS.PROCESSING,
+    });
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+    const res = createResponse();
+    const send = res.json;
+
+    await idempotency(createRequest("key"), res, jest.fn());
+    res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false });
+    await flush();
+
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({
+      _id: "k1",
+      status: IDEMPOTENCY_STATUS.PROCESSING,
+    });
+    expect(send).toHaveBeenCalledWith({ success: false });
+  });
+
+  it("passes errors from the key store on", async () => {
+    const error = new Error("database down");
+    IdempotencyKey.create.mockRejectedValue(error);
+    const next = jest.fn();
+
+    await idempotency(createRequest("key"), createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock("../../src/models", () => ({
+  Ministry: { findOne: jest.fn() },
+  Donation: {},
+}));
+
+const { Ministry } = require("../../src/models");
+const ministryService = require("../../src/services/ministryService");
+
+describe("ministryService.getMinistryProfile", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("shows the ministry's display name", async () => {
+    Ministry.findOne.mockResolvedValue({
+      name: "Lish AI Labs",
+      displayName: "Lish AI Labs Scholarships",
+    });
+
+    const profile = await ministryService.getMinistryProfile("Lish AI Labs");
+
+    expect(profile).toMatchObject({
+      name: "Lish AI Labs",
+      displayName: "Lish AI Labs Scholarships",
+    });
+  });
+
+  it("falls back to the name without a display name", async () => {
+    Ministry.findOne.mockResolvedValue({ name: "Upendo Academy" });
+
+    const profile = await ministryService.getMinistryProfile("Upendo Academy");
+
+    expect(profile.displayName).toBe("Upendo Academy");
+  });
+
+  it("still builds a profile for an unknown ministry", async () => {
+    Ministry.findOne.mockResolvedValue(null);
+
+    const profile = await ministryService.getMinistryProfile("General Fund");
+
+    expect(profile.displayName).toBe("General Fund");
+    expect(profile.description).toEqual(expect.any(String));
+  });
+});
+
+describe("Ministry amounts", () => {
+  const { Ministry: MinistryModel } = jest.requireActual(
+    "../../src/models/Ministry"
+  );
+
+  const ministry = (fields = {}) =>
+    new MinistryModel({
+      name: "Holiday Homes",
+      suggestedAmountsMinor: [2500, 5000, 10050],
+      goalAmountMinor: 2500000,
+      ...fields,
+    });
+
+  it("exposes the minor-unit amounts in major units", () => {
+    const json = ministry().toJSON();
+
+    expect(json.suggestedAmountsMinor).toEqual([2500, 5000, 10050]);
+    expect(json.suggestedAmounts).toEqual([25, 50, 100.5]);
+    expect(json.goalAmountMinor).toBe(2500000);
+    expect(json.goalAmount).toBe(25000);
+  });
+
+  it("uses the currency's decimals", () => {
+    const json = ministry({
+      suggestedAmountsMinor: [1000, 5000],
+      goalAmountMinor: 1000000,
+      currency: "JPY",
+    }).toJSON();
+
+    expect(json.suggestedAmounts).toEqual([1000, 5000]);
+    expect(json.goalAmount).toBe(1000000);
+  });
+
+  it("leaves the goal undefined when none is set", () => {
+    expect(ministry({ goalAmountMinor: undefined }).goalAmount).toBeUndefined();
+  });
+
+  it("rejects fractional minor units", () => {
+    const error = ministry({
+      suggestedAmountsMinor: [25.5],
+      goalAmountMinor: 100.25,
+    }).validateSync();
+
+    expect(error.errors["suggestedAmountsMinor.0"].message).toBe(
+      "Suggested amounts must be integer minor units"
+    );
+    expect(error.errors.goalAmountMinor.message).toBe(
+      "Goal amount must be an integer number of minor units"
+    );
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock("../../src/models", () => ({
+  Donation: { findOne: jest.fn() },
+  Subscription: { findOneAndUpdate: jest.fn() },
+}));
+
+jest.mock("../../src/services/stripeService", () => ({
+  retrievePaymentIntent: jest.fn(),
+  retrieveSubscription: jest.fn(),
+}));
+
+jest.mock("../../src/services/emailQueueService", () => ({
+  enqueue: jest.fn(),
+}));
+
+const { Donation, Subscription } = require("../../src/models");
+const stripeService = require("../../src/services/stripeService");
+const emailQueueService = require("../../src/services/emailQueueService");
+const subscriptionService = require("../../src/services/subscriptionService");
+const { EMAIL_TYPES } = require("../../src/utils/constants");
+
+const stripeSubscription = (fields = {}) => ({
+  id: "sub_1",
+  customer: "cus_1",
+  status: "active",
+  items: {
+    data: [
+      {
+        price: {
+          unit_amount: 2500,
+          currency: "usd",
+          recurring: { interval: "month", interval_count: 1 },
+        },
+      },
+    ],
+  },
+  metadata: { donorEmail: "ada@example.com", ministry: "Holiday Homes" },
+  pause_collection: null,
+  cancel_at_period_end: false,
+  current_period_end: 1711929600,
+  canceled_at: null,
+  ...fields,
+});
+
+const failedInvoice = (fields = {}) => ({
+  id: "in_1",
+  subscription: "sub_1",
+  payment_intent: "pi_1",
+  amount_due: 2500,
+  currency: "usd",
+  attempt_count: 2,
+  next_payment_attempt: 1712016000,
+  customer_email: "ada@example.com",
+  ...fields,
+});
+
+const declined = {
+  last_payment_error: { message: "Your card has insufficient funds." },
+};
+
+describe("subscription lifecycle", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subscription.findOneAndUpdate.mockImplementation(
+      async (filter, update) => ({
+        ...update.$set,
+      })
+    );
+  });
+
+  it("records the terms of a Stripe subscription", async () => {
+    await subscriptionService.syncFromStripe(stripeSubscription());
+
+    expect(Subscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { stripeSubscriptionId: "sub_1" },
+      {
+        $set: expect.objectContaining({
+          amount: 25,
+          currency: "USD",
+          recurringFrequency: "monthly",
+          status: "active",
+          isPaused: false,
+          failedPaymentCount: 0,
+          nextPaymentAttemptAt: null,
+        }),
+        $setOnInsert: {
+          donorEmail: "ada@example.com",
+          ministry: "Holiday Homes",
+        },
+      },
+      { upsert: true, new: true }
+    );
+  });
+
+  it("keeps the dunning state while the subscription is past due", async () => {
+    await subscriptionService.syncFromStripe(
+      stripeSubscription({ status: "past_due" })
+    );
+
+    const [, { $set }] = Subscription.findOneAndUpdate.mock.calls[0];
+    expect($set).not.toHaveProperty("failedPaymentCount");
+    expect($set).not.toHaveProperty("nextPaymentAttemptAt");
+  });
+
+  it("records pauses and cancellations", async () => {
+    await subscriptionService.syncFromStripe(
+      stripeSubscription({
+        status: "canceled",
+        pause_collection: { resumes_at: 1714521600 },
+        canceled_at: 1711843200,
+      })
+    );
+
+    const [, { $set }] = Subscription.findOneAndUpdate.mock.calls[0];
+    expect($set).toMatchObject({
+      status: "canceled",
+      isPaused: true,
+      resumesAt: 1714521600000,
+      canceledAt: 1711843200000,
+    });
+  });
+});
+
+describe("subscription dunning", () => {
+  const subscription = {
+    donorEmail: "ada@example.com",
+    ministry: "Holiday Homes",
+    failedPaymentCount: 1,
+    nextPaymentAttemptAt: new Date(1712016000000),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subscription.findOneAndUpdate.mockResolvedValue(subscription);
+    Donation.findOne.mockReturnValue({
+      sort: () =>
+        Promise.resolve({
+          donorInfo: { email: "ada@example.com", firstName: "Ada" },
+        }),
+    });
+    stripeService.retrievePaymentIntent.mockResolvedValue(declined);
+  });
+
+  it("records the card decline from the invoice's payment intent", async () => {
+    await subscriptionService.recordPaymentFailure(failedInvoice());
+
+    expect(stripeService.retrievePaymentIntent).toHaveBeenCalledWith("pi_1");
+    expect(Subscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { stripeSubscriptionId: "sub_1" },
+      {
+        $set: {
+          lastPaymentFailedAt: expect.any(Date),
+          lastPaymentError: "Your card has insufficient funds.",
+          nextPaymentAttemptAt: 1712016000000,
+        },
+        $inc: { failedPaymentCount: 1 },
+      },
+      { new: true }
+    );
+  });
+
+  it("uses an expanded payment intent without fetching it", async () => {
+    await subscriptionService.recordPaymentFailure(
+      failedInvoice({ payment_intent: { id: "pi_1", ...declined } })
+    );
+
+    expect(stripeService.retrievePaymentIntent).not.toHaveBeenCalled();
+    const [, { $set }] = Subscription.findOneAndUpdate.mock.calls[0];
+    expect($set.lastPaymentError).toBe("Your card has insufficient funds.");
+  });
+
+  it("emails the donor once per failed attempt", async () => {
+    await subscriptionService.recordPaymentFailure(failedInvoice());
+
+    expect(emailQueueService.enqueue).toHaveBeenCalledWith(
+      EMAIL_TYPES.PAYMENT_FAILED,
+      expect.objectContaining({
+        email: "ada@example.com",
+        firstName: "Ada",
+        amount: 25,
+        currency: "USD",
+        attemptCount: 2,
+        reason: "Your card has insufficient funds.",
+      }),
+      { to: "ada@example.com", dedupeKey: "in_1:2" }
+    );
+  });
+
+  it("creates the subscription record when the failure arrives first", async () => {
+    Subscription.findOneAndUpdate
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(subscription)
+      .mockResolvedValueOnce(subscription);
+    stripeService.retrieveSubscription.mockResolvedValue(
+      stripeSubscription({ status: "past_due" })
+    );
+
+    await expect(
+      subscriptionService.recordPaymentFailure(failedInvoice())
+    ).resolves.toBe(subscription);
+
+    expect(stripeService.retrieveSubscription).toHaveBeenCalledWith("sub_1");
+    expect(Subscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { stripeSubscriptionId: "sub_1" },
+      expect.objectContaining({ $setOnInsert: expect.any(Object) }),
+      { upsert: true, new: true }
+    );
+    expect(Subscription.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { stripeSubscriptionId: "sub_1" },
+      expect.objectContaining({ $inc: { failedPaymentCount: 1 } }),
+      { new: true }
+    );
+    expect(emailQueueService.enqueue).toHaveBeenCalled();
+  });
+
+  it("falls back to a generic reason when the decline can't be read", async () => {
+    stripeService.retrievePaymentIntent.mockRejectedValue(new Error("down"));
+
+    await subscriptionService.recordPaymentFailure(failedInvoice());
+
+    const [, { $set }] = Subscription.findOneAndUpdate.mock.calls[0];
+    expect($set.lastPaymentError).toBe("Payment was declined");
+    expect(emailQueueService.enqueue).toHaveBeenCalledWith(
+      EMAIL_TYPES.PAYMENT_FAILED,
+      expect.objectContaining({ reason: null }),
+      expect.any(Object)
+    );
+  });
+});
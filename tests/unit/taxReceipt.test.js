@@ -0,0 +1,208 @@
+jest.mock("../../src/models", () => ({
+  Donation: { find: jest.fn(), distinct: jest.fn() },
+  Donor: { findOne: jest.fn() },
+  TaxReceipt: {
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+
+jest.mock("../../src/services/emailService", () => ({
+  sendTaxReceipt: jest.fn(),
+}));
+
+jest.mock("../../src/services/emailQueueService", () => ({
+  enqueue: jest.fn(),
+}));
+
+const { Donation, Donor, TaxReceipt } = require("../../src/models");
+const { config } = require("../../src/config");
+const emailService = require("../../src/services/emailService");
+const taxReceiptService = require("../../src/services/taxReceiptService");
+const { TAX_RECEIPT_STATUS } = require("../../src/utils/constants");
+
+// Donation.find(...).sort(...).lean() resolving to the given donations
+const mockDonations = (donations) =>
+  Donation.find.mockReturnValue({
+    sort: () => ({ lean: () => Promise.resolve(donations) }),
+  });
+
+describe("tax year range", () => {
+  const timezone = config.reportingTimezone;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDonations([]);
+    Donation.distinct.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    config.reportingTimezone = timezone;
+  });
+
+  it("runs from midnight to midnight in the reporting timezone", async () => {
+    config.reportingTimezone = "America/Chicago";
+
+    await taxReceiptService.buildStatement("ada@example.com", 2024);
+
+    const [{ createdAt }] = Donation.find.mock.calls[0];
+    expect(createdAt.$gte).toEqual(new Date("2024-01-01T06:00:00Z"));
+    expect(createdAt.$lt).toEqual(new Date("2025-01-01T06:00:00Z"));
+  });
+
+  it("follows the timezone's offset east of UTC", async () => {
+    config.reportingTimezone = "Pacific/Auckland";
+
+    await taxReceiptService.generateForYear(2024);
+
+    const [, { createdAt }] = Donation.distinct.mock.calls[0];
+    expect(createdAt.$gte).toEqual(new Date("2023-12-31T11:00:00Z"));
+    expect(createdAt.$lt).toEqual(new Date("2024-12-31T11:00:00Z"));
+  });
+
+  it("is the UTC calendar year by default", async () => {
+    await taxReceiptService.buildStatement("ada@example.com", 2024);
+
+    const [{ createdAt }] = Donation.find.mock.calls[0];
+    expect(createdAt.$gte).toEqual(new Date("2024-01-01T00:00:00Z"));
+    expect(createdAt.$lt).toEqual(new Date("2025-01-01T00:00:00Z"));
+  });
+});
+
+describe("statement totals", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donor.findOne.mockResolvedValue(null);
+  });
+
+  const donation = (fields) => ({
+    _id: `donation-${fields.amountMinor}`,
+    createdAt: new Date("2024-03-01T12:00:00Z"),
+    ministry: "missions",
+    donorInfo: { firstName: "Ada", lastName: "Lovelace" },
+    ...fields,
+  });
+
+  it("adds up cents without floating point drift", async () => {
+    mockDonations([
+      donation({ amountMinor: 10, currency: "USD" }),
+      donation({ amountMinor: 20, currency: "USD" }),
+    ]);
+
+    const statement = await taxReceiptService.buildStatement(
+      "ada@example.com",
+      2024
+    );
+
+    expect(statement.totals).toEqual([{ currency: "USD", amount: 0.3 }]);
+  });
+
+  it("keeps zero-decimal currencies whole", async () => {
+    mockDonations([
+      donation({ amountMinor: 5000, currency: "JPY" }),
+      donation({
+        amountMinor: 3000,
+        refundedAmountMinor: 1000,
+        currency: "JPY",
+      }),
+    ]);
+
+    const statement = await taxReceiptService.buildStatement(
+      "ada@example.com",
+      2024
+    );
+
+    expect(statement.totals).toEqual([{ currency: "JPY", amount: 7000 }]);
+    expect(statement.ministryBreakdown).toEqual([
+      { ministry: "missions", currency: "JPY", amount: 7000, count: 2 },
+    ]);
+  });
+});
+
+describe("receipt delivery", () => {
+  const receiptDoc = (fields = {}) => ({
+    _id: "receipt-1",
+    receiptNumber: "DON-1-2024",
+    donorEmail: "ada@example.com",
+    donorName: "Ada Lovelace",
+    taxYear: 2024,
+    lines: [
+      {
+        donation: "donation-1",
+        date: new Date("2024-03-01T12:00:00Z"),
+        ministry: "missions",
+        currency: "USD",
+        amount: 50,
+      },
+    ],
+    totals: [{ currency: "USD", amount: 50 }],
+    ministryBreakdown: [
+      { ministry: "missions", currency: "USD", amount: 50, count: 1 },
+    ],
+    donationCount: 1,
+    status: TAX_RECEIPT_STATUS.QUEUED,
+    sendCount: 0,
+    save: jest.fn().mockResolvedValue(),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Donor.findOne.mockResolvedValue(null);
+  });
+
+  it("records the statement lines when queuing", async () => {
+    TaxReceipt.findOne.mockResolvedValue(null);
+    TaxReceipt.findOneAndUpdate.mockImplementation(async () => receiptDoc());
+    mockDonations([
+      {
+        _id: "donation-1",
+        createdAt: new Date("2024-03-01T12:00:00Z"),
+        ministry: "missions",
+        amountMinor: 5000,
+        currency: "USD",
+        donorInfo: { firstName: "Ada", lastName: "Lovelace" },
+      },
+    ]);
+
+    await taxReceiptService.queueTaxReceipt("ada@example.com", 2024);
+
+    const [, update] = TaxReceipt.findOneAndUpdate.mock.calls[0];
+    expect(update.$set.lines).toEqual(receiptDoc().lines);
+    expect(update.$set.totals).toEqual(receiptDoc().totals);
+  });
+
+  it("emails the statement as recorded, not rebuilt from donations", async () => {
+    const receipt = receiptDoc();
+    TaxReceipt.findById.mockResolvedValue(receipt);
+    const renderPdf = jest
+      .spyOn(taxReceiptService, "renderPdf")
+      .mockResolvedValue(Buffer.from("pdf"));
+
+    await taxReceiptService.deliverTaxReceipt("receipt-1");
+
+    expect(Donation.find).not.toHaveBeenCalled();
+    const [statement] = renderPdf.mock.calls[0];
+    expect(statement.totals).toBe(receipt.totals);
+    expect(statement.lines).toBe(receipt.lines);
+    expect(emailService.sendTaxReceipt).toHaveBeenCalledWith(
+      statement,
+      "DON-1-2024",
+      Buffer.from("pdf")
+    );
+    expect(receipt.status).toBe(TAX_RECEIPT_STATUS.SENT);
+    expect(receipt.sendCount).toBe(1);
+
+    renderPdf.mockRestore();
+  });
+
+  it("renders a PDF from the recorded statement", async () => {
+    TaxReceipt.findById.mockResolvedValue(receiptDoc());
+
+    const { pdf } = await taxReceiptService.getReceiptPdf("receipt-1");
+
+    expect(Donation.find).not.toHaveBeenCalled();
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+});
@@ -0,0 +1,173 @@
+const {
+  schemas,
+  resolveAmountMinor,
+} = require("../../src/middlewares/validation");
+
+describe("resolveAmountMinor", () => {
+  it("keeps amountMinor as given", () => {
+    expect(resolveAmountMinor({ amountMinor: 150000 }, "USD")).toBe(150000);
+  });
+
+  it("converts major units with the currency's decimals", () => {
+    expect(
+      resolveAmountMinor({ amount: 1500, amountUnit: "major" }, "USD")
+    ).toBe(150000);
+    expect(
+      resolveAmountMinor({ amount: 19.99, amountUnit: "major" }, "EUR")
+    ).toBe(1999);
+    expect(
+      resolveAmountMinor({ amount: 5000, amountUnit: "major" }, "JPY")
+    ).toBe(5000);
+  });
+
+  it("takes minor units at face value", () => {
+    expect(
+      resolveAmountMinor({ amount: 50000, amountUnit: "minor" }, "USD")
+    ).toBe(50000);
+  });
+
+  it("returns undefined when no amount is given", () => {
+    expect(resolveAmountMinor({}, "USD")).toBeUndefined();
+  });
+
+  it("rejects fractional minor units", () => {
+    expect(
+      resolveAmountMinor({ amount: 10.5, amountUnit: "minor" }, "USD")
+    ).toEqual(expect.stringContaining("whole number"));
+  });
+
+  it("rejects more decimals than the currency allows", () => {
+    expect(
+      resolveAmountMinor({ amount: 10.005, amountUnit: "major" }, "USD")
+    ).toEqual(expect.stringContaining("decimal places"));
+    expect(
+      resolveAmountMinor({ amount: 100.5, amountUnit: "major" }, "JPY")
+    ).toEqual(expect.stringContaining("decimal places"));
+  });
+});
+
+describe("createDonation amount", () => {
+  const donation = (fields) => ({
+    ministry: "general",
+    currency: "USD",
+    donorInfo: {
+      firstName: "Ada",
+      lastName: "Lovelace",
+      email: "ada@example.com",
+      postalCode: "12345",
+    },
+    ...fields,
+  });
+
+  it("stores the amount as amountMinor", () => {
+    const { value, error } = schemas.createDonation.validate(
+      donation({ amount: 1500, amountUnit: "major" })
+    );
+
+    expect(error).toBeUndefined();
+    expect(value.amountMinor).toBe(150000);
+    expect(value).not.toHaveProperty("amount");
+    expect(value).not.toHaveProperty("amountUnit");
+  });
+
+  it("requires a unit with amount", () => {
+    const { error } = schemas.createDonation.validate(donation({ amount: 50 }));
+
+    expect(error).toBeDefined();
+  });
+
+  it("rejects amountMinor together with amount", () => {
+    const { error } = schemas.createDonation.validate(
+      donation({ amountMinor: 5000, amount: 50, amountUnit: "major" })
+    );
+
+    expect(error).toBeDefined();
+  });
+
+  it("rejects amounts outside the donation limits", () => {
+    const { error } = schemas.createDonation.validate(
+      donation({ amountMinor: 50 })
+    );
+
+    expect(error.message).toMatch(/between/);
+  });
+});
+
+describe("donation filter dates", () => {
+  it("keeps date-only dates as given", () => {
+    const { value, error } = schemas.donationQuery.validate({
+      startDate: "2024-03-01",
+      endDate: "2024-03-31",
+    });
+
+    expect(error).toBeUndefined();
+    expect(value.startDate).toBe("2024-03-01");
+    expect(value.endDate).toBe("2024-03-31");
+  });
+
+  it("converts an end date with a time", () => {
+    const { value } = schemas.donationExport.validate({
+      endDate: "2024-03-31T12:00:00Z",
+    });
+
+    expect(value.endDate).toEqual(new Date("2024-03-31T12:00:00Z"));
+  });
+
+  it("rejects an end date before the start date", () => {
+    const { error } = schemas.donationQuery.validate({
+      startDate: "2024-04-01",
+      endDate: "2024-03-31",
+    });
+
+    expect(error.message).toMatch(/greater than or equal/);
+  });
+});
+
+describe("generateTaxReceipts taxYear", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("accepts the current year as of the request", () => {
+    jest.useFakeTimers({ now: new Date("2031-01-02T12:00:00Z") });
+
+    const { error, value } = schemas.generateTaxReceipts.validate({
+      taxYear: 2031,
+    });
+
+    expect(error).toBeUndefined();
+    expect(value.taxYear).toBe(2031);
+  });
+
+  it("rejects a year that has not started", () => {
+    jest.useFakeTimers({ now: new Date("2031-06-01T12:00:00Z") });
+
+    const { error } = schemas.generateTaxReceipts.validate({ taxYear: 2032 });
+
+    expect(error.message).toBe("taxYear must be less than or equal to 2031");
+  });
+});
+
+describe("ministry amounts", () => {
+  it("takes suggested amounts and the goal in minor units", () => {
+    const { error, value } = schemas.createMinistry.validate({
+      name: "Holiday Homes",
+      suggestedAmountsMinor: [2500, 5000],
+      goalAmountMinor: 2500000,
+    });
+
+    expect(error).toBeUndefined();
+    expect(value.suggestedAmountsMinor).toEqual([2500, 5000]);
+    expect(value.goalAmountMinor).toBe(2500000);
+  });
+
+  it.each([
+    { suggestedAmountsMinor: [25.5] },
+    { goalAmountMinor: 100.25 },
+    { suggestedAmounts: [25] },
+  ])("rejects %o", (amounts) => {
+    const { error } = schemas.updateMinistry.validate(amounts);
+
+    expect(error).toBeDefined();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock("../../src/services/donationService", () => ({
+  updateDonationStatus: jest.fn(),
+  cancelRecurringDonation: jest.fn(),
+}));
+
+jest.mock("../../src/services/subscriptionService", () => ({
+  syncFromStripe: jest.fn(),
+  recordPaymentFailure: jest.fn(),
+}));
+
+const donationService = require("../../src/services/donationService");
+const subscriptionService = require("../../src/services/subscriptionService");
+const webhookController = require("../../src/controllers/webhookController");
+const { STRIPE_WEBHOOK_EVENTS } = require("../../src/utils/constants");
+
+const event = (type, object) => ({ id: `evt_${type}`, type, data: { object } });
+
+describe("webhook event handling", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("fails the donation of a failed one-time payment", async () => {
+    await webhookController.processWebhookEvent(
+      event(STRIPE_WEBHOOK_EVENTS.PAYMENT_INTENT_PAYMENT_FAILED, {
+        id: "pi_1",
+        invoice: null,
+      })
+    );
+
+    expect(donationService.updateDonationStatus).toHaveBeenCalledWith(
+      "pi_1",
+      "failed"
+    );
+  });
+
+  it("leaves failed renewal payment intents to the invoice event", async () => {
+    await webhookController.processWebhookEvent(
+      event(STRIPE_WEBHOOK_EVENTS.PAYMENT_INTENT_PAYMENT_FAILED, {
+        id: "pi_2",
+        invoice: "in_2",
+      })
+    );
+
+    expect(donationService.updateDonationStatus).not.toHaveBeenCalled();
+  });
+
+  it("records failed renewals for dunning", async () => {
+    const invoice = { id: "in_2", subscription: "sub_1" };
+
+    await webhookController.processWebhookEvent(
+      event(STRIPE_WEBHOOK_EVENTS.INVOICE_PAYMENT_FAILED, invoice)
+    );
+
+    expect(subscriptionService.recordPaymentFailure).toHaveBeenCalledWith(
+      invoice
+    );
+  });
+
+  it("syncs created and updated subscriptions", async () => {
+    const subscription = { id: "sub_1", status: "active" };
+
+    await webhookController.processWebhookEvent(
+      event(STRIPE_WEBHOOK_EVENTS.CUSTOMER_SUBSCRIPTION_CREATED, subscription)
+    );
+    await webhookController.processWebhookEvent(
+      event(STRIPE_WEBHOOK_EVENTS.CUSTOMER_SUBSCRIPTION_UPDATED, subscription)
+    );
+
+    expect(subscriptionService.syncFromStripe).toHaveBeenCalledTimes(2);
+    expect(donationService.cancelRecurringDonation).not.toHaveBeenCalled();
+  });
+
+  it("cancels the donations of a deleted subscription", async () => {
+    const subscription = { id: "sub_1", status: "canceled" };
+
+    await webhookController.processWebhookEvent(
+      event(STRIPE_WEBHOOK_EVENTS.CUSTOMER_SUBSCRIPTION_DELETED, subscription)
+    );
+
+    expect(subscriptionService.syncFromStripe).toHaveBeenCalledWith(
+      subscription
+    );
+    expect(donationService.cancelRecurringDonation).toHaveBeenCalledWith(
+      "sub_1"
+    );
+  });
+});